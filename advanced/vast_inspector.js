@@ -0,0 +1,132 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Shows a VAST or VMAP response as a collapsible tree, with the spec
+ * violations VastParser found flagged on the nodes they belong to.
+ *
+ * @param {!Element} container
+ * @constructor
+ */
+var VastInspector = function(container) {
+  this.container_ = container;
+  this.parser_ = new VastParser();
+};
+
+/**
+ * @const {!Array<string>}
+ * @private
+ */
+VastInspector.OPEN_LABELS_ = ['Ad tag', 'File', 'VAST', 'VMAP'];
+
+/**
+ * @param {string} url
+ * @param {function(number, number)=} callback Called with the number of
+ *     errors and warnings once the tree is shown.
+ */
+VastInspector.prototype.inspectUrl = function(url, callback) {
+  this.showMessage_('Loading ' + url + '...');
+  this.parser_.load(url, this.render_.bind(this, callback));
+};
+
+/**
+ * @param {!File} file
+ * @param {function(number, number)=} callback
+ */
+VastInspector.prototype.inspectFile = function(file, callback) {
+  var reader = new FileReader();
+  reader.onload = function() {
+    this.parser_.parse(
+        reader.result, file.name, this.render_.bind(this, callback));
+  }.bind(this);
+  reader.onerror = function() {
+    this.showMessage_('Could not read ' + file.name + '.');
+  }.bind(this);
+  reader.readAsText(file);
+};
+
+VastInspector.prototype.clear = function() {
+  this.container_.textContent = '';
+  this.container_.style.display = 'none';
+};
+
+VastInspector.prototype.showMessage_ = function(message) {
+  this.container_.textContent = message;
+  this.container_.style.display = 'block';
+};
+
+/**
+ * @param {function(number, number)|undefined} callback
+ * @param {!VastParser.Node} root
+ * @private
+ */
+VastInspector.prototype.render_ = function(callback, root) {
+  var counts = {error: 0, warning: 0};
+  var tree = this.renderNode_(root, counts);
+
+  var summary = document.createElement('div');
+  summary.className = 'inspectorSummary';
+  summary.textContent = counts.error + ' error(s), ' + counts.warning +
+      ' warning(s)';
+
+  this.container_.textContent = '';
+  this.container_.appendChild(summary);
+  this.container_.appendChild(tree);
+  this.container_.style.display = 'block';
+  if (callback) {
+    callback(counts.error, counts.warning);
+  }
+};
+
+/**
+ * @param {!VastParser.Node} node
+ * @param {!Object<string, number>} counts Issue counts by severity, updated
+ *     for this node and its descendants.
+ * @return {!Element}
+ * @private
+ */
+VastInspector.prototype.renderNode_ = function(node, counts) {
+  var before = counts.error + counts.warning;
+  var branch = node.children.length > 0;
+  var element = document.createElement(branch ? 'details' : 'div');
+  element.className = 'inspectorNode';
+
+  var heading = document.createElement(branch ? 'summary' : 'div');
+  var label = document.createElement('span');
+  label.className = 'inspectorLabel';
+  label.textContent = node.label;
+  heading.appendChild(label);
+  if (node.value) {
+    heading.appendChild(document.createTextNode(' ' + node.value));
+  }
+  element.appendChild(heading);
+
+  for (var i = 0; i < node.issues.length; i++) {
+    var issue = node.issues[i];
+    var issueElement = document.createElement('div');
+    issueElement.className = 'inspectorIssue ' + issue.severity;
+    issueElement.textContent = issue.severity + ': ' + issue.message;
+    element.appendChild(issueElement);
+    counts[issue.severity]++;
+  }
+  for (var j = 0; j < node.children.length; j++) {
+    element.appendChild(this.renderNode_(node.children[j], counts));
+  }
+  // Open the responses themselves and every branch that leads to a problem.
+  if (branch && (counts.error + counts.warning > before ||
+      VastInspector.OPEN_LABELS_.indexOf(node.label) != -1)) {
+    element.open = true;
+  }
+  return element;
+};
@@ -4,15 +4,59 @@
 // of any kind either expressed or implied.
 
 /**
- * Handles video player functionality.
+ * Handles video player functionality. Everything is looked up inside the
+ * container, by class name, so a page can hold several players.
+ *
+ * @param {!VideoPlayer.Config} config
  */
-var VideoPlayer = function() {
-  this.contentPlayer = document.getElementById('content');
-  this.adContainer = document.getElementById('adcontainer');
-  this.videoPlayerContainer_ = document.getElementById('videoplayer');
+var VideoPlayer = function(config) {
+  this.videoPlayerContainer_ = config.container;
+  this.contentPlayer = this.find_('content');
+  this.adContainer = this.find_('adcontainer');
+  this.seekBar_ = this.find_('seekBar');
+  this.seekProgress_ = this.find_('seekProgress');
+  this.cueMarkers_ = this.find_('cueMarkers');
 
-  this.width = 640;
-  this.height = 360;
+  // The configured width is the most the player takes up; it shrinks with
+  // the page below that.
+  this.width = config.width || 640;
+  this.height = config.height || 360;
+  this.maxWidth_ = this.width;
+  this.videoPlayerContainer_.style.maxWidth = this.maxWidth_ + 'px';
+  this.fullscreen_ = false;
+  this.resize(this.width, this.height);
+
+  this.cuePoints_ = [];
+  this.playedCuePoints_ = [];
+  this.seekEnabled_ = true;
+  this.seeking_ = false;
+  // The pointer dragging the seek bar, while seeking_.
+  this.seekPointerId_ = null;
+  this.seekHandler_ = null;
+  this.initSeekBar_();
+};
+
+/**
+ * @typedef {{
+ *   container: !Element,
+ *   width: (number|undefined),
+ *   height: (number|undefined)
+ * }}
+ *
+ * container: the player element, holding the video, the ad container and
+ *     the seek bar.
+ * width, height: the largest player size in pixels, which also sets the
+ *     player's aspect ratio. Defaults to 640x360.
+ */
+VideoPlayer.Config;
+
+/**
+ * @param {string} className
+ * @return {!Element} The player's element with the class.
+ * @private
+ */
+VideoPlayer.prototype.find_ = function(className) {
+  return this.videoPlayerContainer_.querySelector('.' + className);
 };
 
 VideoPlayer.prototype.preloadContent = function(contentLoadedAction) {
@@ -55,21 +99,246 @@ VideoPlayer.prototype.isMobilePlatform = function() {
        navigator.userAgent.toLowerCase().indexOf('android') > -1);
 };
 
-VideoPlayer.prototype.resize = function(
-    position, top, left, width, height) {
-  this.videoPlayerContainer_.style.position = position;
-  this.videoPlayerContainer_.style.top = top + 'px';
-  this.videoPlayerContainer_.style.left = left + 'px';
-  this.videoPlayerContainer_.style.width = width + 'px';
-  this.videoPlayerContainer_.style.height = height + 'px';
+/**
+ * Sizes the player, e.g. to what PlayerLayout measured. Outside fullscreen
+ * the container takes the height; its width is left to the page.
+ *
+ * @param {number} width
+ * @param {number} height
+ */
+VideoPlayer.prototype.resize = function(width, height) {
+  this.width = width;
+  this.height = height;
+  if (!this.fullscreen_) {
+    this.videoPlayerContainer_.style.height = height + 'px';
+  }
   this.contentPlayer.style.width = width + 'px';
   this.contentPlayer.style.height = height + 'px';
 };
 
-VideoPlayer.prototype.registerVideoEndedCallback = function(callback) {
-  this.contentPlayer.addEventListener('ended', callback, false);
+/**
+ * Makes the container fill the window, or puts it back in the page.
+ *
+ * @param {boolean} fullscreen
+ */
+VideoPlayer.prototype.setFullscreen = function(fullscreen) {
+  this.fullscreen_ = fullscreen;
+  var style = this.videoPlayerContainer_.style;
+  style.position = fullscreen ? 'fixed' : '';
+  style.top = fullscreen ? '0' : '';
+  style.left = fullscreen ? '0' : '';
+  style.width = fullscreen ? '100%' : '';
+  style.height = fullscreen ? '100%' : '';
+  style.maxWidth = fullscreen ? 'none' : this.maxWidth_ + 'px';
+};
+
+VideoPlayer.prototype.getCurrentTime = function() {
+  return this.contentPlayer.currentTime;
+};
+
+VideoPlayer.prototype.seek = function(time) {
+  this.contentPlayer.currentTime = time;
+  this.updateSeekBar_();
+};
+
+/**
+ * Sets the function that decides what a seek on the seek bar does. It is
+ * called with the time the user picked; without one the player seeks there
+ * directly.
+ *
+ * @param {?function(number)} handler
+ */
+VideoPlayer.prototype.setSeekHandler = function(handler) {
+  this.seekHandler_ = handler;
+};
+
+/**
+ * @param {boolean} enabled False while ads play, when content cannot be
+ *     scrubbed.
+ */
+VideoPlayer.prototype.setSeekEnabled = function(enabled) {
+  this.seekEnabled_ = enabled;
+  if (!enabled && this.seeking_) {
+    this.stopSeekDrag_();
+  }
+  this.seekBar_.classList.toggle('disabled', !enabled);
+  this.seekBar_.setAttribute('aria-disabled', String(!enabled));
+};
+
+/**
+ * Draws a marker on the seek bar for each ad break.
+ *
+ * @param {!Array<number>} cuePoints Break times in seconds, with 0 for the
+ *     pre-roll and -1 for the post-roll, as returned by getCuePoints().
+ */
+VideoPlayer.prototype.setCuePoints = function(cuePoints) {
+  this.cuePoints_ = cuePoints.slice();
+  this.playedCuePoints_ = [];
+  this.drawCueMarkers_();
+};
+
+/**
+ * Greys out the marker of a break that has played.
+ *
+ * @param {number} cuePoint
+ */
+VideoPlayer.prototype.markCuePointPlayed = function(cuePoint) {
+  if (!this.isCuePointPlayed(cuePoint)) {
+    this.playedCuePoints_.push(cuePoint);
+  }
+  this.drawCueMarkers_();
+};
+
+VideoPlayer.prototype.getCuePoints = function() {
+  return this.cuePoints_;
+};
+
+VideoPlayer.prototype.isCuePointPlayed = function(cuePoint) {
+  return this.playedCuePoints_.indexOf(cuePoint) != -1;
+};
+
+VideoPlayer.prototype.initSeekBar_ = function() {
+  this.contentPlayer.addEventListener(
+      'timeupdate',
+      this.updateSeekBar_.bind(this),
+      false);
+  // Markers are placed relative to the duration, which is only known once
+  // the content's metadata has loaded.
+  this.contentPlayer.addEventListener(
+      'durationchange',
+      this.drawCueMarkers_.bind(this),
+      false);
+  this.contentPlayer.addEventListener(
+      'durationchange',
+      this.updateSeekBar_.bind(this),
+      false);
+  // Pointer events cover the mouse, touch and pens alike.
+  this.seekBar_.addEventListener(
+      'pointerdown',
+      this.onSeekStart_.bind(this),
+      false);
+  this.onSeekMove_ = this.onSeekMove_.bind(this);
+  this.onSeekEnd_ = this.onSeekEnd_.bind(this);
+};
+
+VideoPlayer.prototype.getDuration_ = function() {
+  var duration = this.contentPlayer.duration;
+  return isFinite(duration) && duration > 0 ? duration : 0;
+};
+
+/**
+ * @param {!PointerEvent} event
+ * @return {number} The content time under the pointer.
+ * @private
+ */
+VideoPlayer.prototype.timeAt_ = function(event) {
+  var rect = this.seekBar_.getBoundingClientRect();
+  var fraction = rect.width ? (event.clientX - rect.left) / rect.width : 0;
+  return Math.min(Math.max(fraction, 0), 1) * this.getDuration_();
+};
+
+/**
+ * Starts a drag on the seek bar. The bar captures the pointer, so the drag
+ * follows it off the bar and, on touch screens, doesn't scroll the page.
+ *
+ * @param {!PointerEvent} event
+ * @private
+ */
+VideoPlayer.prototype.onSeekStart_ = function(event) {
+  if (!this.seekEnabled_ || !this.getDuration_() || this.seeking_) {
+    return;
+  }
+  event.preventDefault();
+  this.seeking_ = true;
+  this.seekPointerId_ = event.pointerId;
+  this.seekBar_.setPointerCapture(event.pointerId);
+  this.seekBar_.addEventListener('pointermove', this.onSeekMove_, false);
+  this.seekBar_.addEventListener('pointerup', this.onSeekEnd_, false);
+  this.seekBar_.addEventListener('pointercancel', this.onSeekEnd_, false);
+  this.showProgress_(this.timeAt_(event));
+};
+
+VideoPlayer.prototype.onSeekMove_ = function(event) {
+  if (event.pointerId == this.seekPointerId_) {
+    this.showProgress_(this.timeAt_(event));
+  }
+};
+
+/**
+ * Seeks where the drag ended. A drag the browser cancelled, e.g. for a
+ * gesture, seeks nowhere.
+ *
+ * @param {!PointerEvent} event
+ * @private
+ */
+VideoPlayer.prototype.onSeekEnd_ = function(event) {
+  if (event.pointerId != this.seekPointerId_) {
+    return;
+  }
+  this.stopSeekDrag_();
+  if (event.type == 'pointercancel') {
+    this.updateSeekBar_();
+    return;
+  }
+  var time = this.timeAt_(event);
+  if (this.seekHandler_) {
+    this.seekHandler_(time);
+  } else {
+    this.seek(time);
+  }
+};
+
+VideoPlayer.prototype.stopSeekDrag_ = function() {
+  this.seeking_ = false;
+  this.seekPointerId_ = null;
+  this.seekBar_.removeEventListener('pointermove', this.onSeekMove_, false);
+  this.seekBar_.removeEventListener('pointerup', this.onSeekEnd_, false);
+  this.seekBar_.removeEventListener('pointercancel', this.onSeekEnd_, false);
 };
 
-VideoPlayer.prototype.removeVideoEndedCallback = function(callback) {
-  this.contentPlayer.removeEventListener('ended', callback, false);
+VideoPlayer.prototype.updateSeekBar_ = function() {
+  // Don't fight the user while they drag.
+  if (!this.seeking_) {
+    this.showProgress_(this.contentPlayer.currentTime);
+  }
+};
+
+VideoPlayer.prototype.showProgress_ = function(time) {
+  var duration = this.getDuration_();
+  var percent = duration ? Math.min(time / duration, 1) * 100 : 0;
+  this.seekProgress_.style.width = percent + '%';
+  // The bar is a slider to screen readers, valued in whole seconds.
+  time = Math.min(time, duration);
+  this.seekBar_.setAttribute('aria-valuemax', String(Math.floor(duration)));
+  this.seekBar_.setAttribute('aria-valuenow', String(Math.floor(time)));
+  this.seekBar_.setAttribute('aria-valuetext',
+      this.formatTime_(time) + ' of ' + this.formatTime_(duration));
+};
+
+/**
+ * @param {number} seconds
+ * @return {string} The time as minutes and seconds, e.g. 1:05.
+ * @private
+ */
+VideoPlayer.prototype.formatTime_ = function(seconds) {
+  var minutes = Math.floor(seconds / 60);
+  var rest = Math.floor(seconds % 60);
+  return minutes + ':' + (rest < 10 ? '0' : '') + rest;
+};
+
+VideoPlayer.prototype.drawCueMarkers_ = function() {
+  this.cueMarkers_.textContent = '';
+  var duration = this.getDuration_();
+  if (!duration) {
+    return;
+  }
+  for (var i = 0; i < this.cuePoints_.length; i++) {
+    var cuePoint = this.cuePoints_[i];
+    var time = cuePoint < 0 ? duration : Math.min(cuePoint, duration);
+    var marker = document.createElement('div');
+    marker.className = this.isCuePointPlayed(cuePoint) ?
+        'cueMarker played' : 'cueMarker';
+    marker.style.left = (time / duration * 100) + '%';
+    this.cueMarkers_.appendChild(marker);
+  }
 };
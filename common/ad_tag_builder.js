@@ -0,0 +1,357 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Builds the ad tag URL for each ad request from a template.
+ *
+ * IAB macros in the template are expanded:
+ *   [CACHEBUSTING]     a random 8 digit number.
+ *   [TIMESTAMP]        the time of the request, in ISO 8601.
+ *   [CONTENTPLAYHEAD]  the content time, as HH:MM:SS.mmm.
+ *   [PAGEURL]          the page's URL.
+ *   [PLAYERSIZE]       the player's width and height, as "width,height".
+ * plus any given in the options. Values are URL-encoded; macros the builder
+ * has no value for are left for the SDK or ad server.
+ *
+ * For Google Ad Manager tags, key-values are merged into cust_params,
+ * description_url, vid and cmsid are set from the options, and a correlator
+ * parameter, usually left empty in the template, gets a new value on every
+ * build so that repeated requests are not taken for duplicates.
+ *
+ * AdsController takes a builder wherever it takes an ad tag URL, and builds
+ * the tag again for each request.
+ */
+(function(root, factory) {
+  if (typeof define == 'function' && define.amd) {
+    define([], factory);
+  } else if (typeof module == 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.AdTagBuilder = factory();
+  }
+})(typeof self != 'undefined' ? self : this, function() {
+  'use strict';
+
+  /**
+   * @param {string} template The ad tag URL, with macros.
+   * @param {!AdTagBuilder.Options=} options
+   * @constructor
+   */
+  var AdTagBuilder = function(template, options) {
+    options = options || {};
+    this.template_ = template;
+    /** @private {!Object<string, (string|number|boolean|!Array)>} */
+    this.targeting_ = {};
+    /** @private {!Object<string, ?string>} */
+    this.params_ = {};
+    this.macros_ = options.macros || {};
+
+    this.setTargeting(options.targeting || {});
+    this.setParam('description_url', options.descriptionUrl);
+    this.setParam('vid', options.contentId);
+    this.setParam('cmsid', options.cmsId);
+    for (var name in options.params) {
+      this.setParam(name, options.params[name]);
+    }
+  };
+
+  /**
+   * @typedef {{
+   *   targeting: (!Object<string, (string|number|boolean|!Array)>|undefined),
+   *   descriptionUrl: (string|undefined),
+   *   contentId: (string|undefined),
+   *   cmsId: (string|undefined),
+   *   params: (!Object<string, string>|undefined),
+   *   macros: (!Object<string,
+   *       (string|function(!AdTagBuilder.Context): string)>|undefined)
+   * }}
+   *
+   * targeting: key-values for cust_params. Arrays are sent comma-separated.
+   * descriptionUrl: a page describing the content, sent as description_url.
+   * contentId, cmsId: the content's ID and its content source ID in Ad
+   *     Manager, sent as vid and cmsid.
+   * params: other query parameters to set.
+   * macros: values for other macros by name, without brackets. Functions
+   *     are called on each build.
+   */
+  AdTagBuilder.Options;
+
+  /**
+   * What the player knows at the time of a request.
+   *
+   * @typedef {{
+   *   width: (number|undefined),
+   *   height: (number|undefined),
+   *   contentPlayhead: (number|undefined)
+   * }}
+   *
+   * contentPlayhead: the content time in seconds.
+   */
+  AdTagBuilder.Context;
+
+  /**
+   * Replaces the key-values sent in cust_params, in addition to any already
+   * in the template.
+   *
+   * @param {!Object<string, (string|number|boolean|!Array)>} targeting
+   */
+  AdTagBuilder.prototype.setTargeting = function(targeting) {
+    this.targeting_ = {};
+    for (var key in targeting) {
+      this.targeting_[key] = targeting[key];
+    }
+  };
+
+  /**
+   * @param {string} name
+   * @param {?string|undefined} value Null or undefined leaves the template's
+   *     value, if any.
+   */
+  AdTagBuilder.prototype.setParam = function(name, value) {
+    if (value === null || value === undefined) {
+      delete this.params_[name];
+    } else {
+      this.params_[name] = String(value);
+    }
+  };
+
+  /**
+   * @param {!AdTagBuilder.Context=} context
+   * @return {string} The ad tag URL for one request.
+   */
+  AdTagBuilder.prototype.build = function(context) {
+    context = context || {};
+    var url = splitUrl(this.expandMacros_(this.template_, context));
+    var params = url.params;
+    setQueryParams(params, this.params_);
+    if (Object.keys(this.targeting_).length) {
+      var existing = getQueryParam(params, 'cust_params');
+      setQueryParam(params, 'cust_params', this.mergeTargeting_(existing));
+    }
+    if (getQueryParam(params, 'correlator') !== null) {
+      setQueryParam(params, 'correlator', newCorrelator());
+    }
+    return joinUrl(url);
+  };
+
+  /**
+   * Sets query parameters on any URL, leaving the others as they are.
+   *
+   * @param {string} url
+   * @param {!Object<string, ?string>} params Values to set, not yet encoded.
+   *     A null or undefined value leaves the URL's, as setParam does.
+   * @return {string}
+   */
+  AdTagBuilder.setParams = function(url, params) {
+    var parts = splitUrl(url);
+    setQueryParams(parts.params, params);
+    return joinUrl(parts);
+  };
+
+  /**
+   * @param {string} url
+   * @param {!AdTagBuilder.Context} context
+   * @return {string}
+   * @private
+   */
+  AdTagBuilder.prototype.expandMacros_ = function(url, context) {
+    var macros = this.macros_;
+    return url.replace(/\[([A-Z0-9_]+)\]/g, function(macro, name) {
+      var value = macros.hasOwnProperty(name) ? macros[name] :
+          STANDARD_MACROS[name];
+      if (typeof value == 'function') {
+        value = value(context);
+      }
+      return value === undefined || value === null ?
+          macro : encodeURIComponent(value);
+    });
+  };
+
+  /**
+   * @param {?string} encoded The template's cust_params, still encoded.
+   * @return {string} The merged key-values, encoded as a single parameter.
+   * @private
+   */
+  AdTagBuilder.prototype.mergeTargeting_ = function(encoded) {
+    var pairs = parseQuery(encoded ? decode(encoded) : '');
+    for (var key in this.targeting_) {
+      var value = this.targeting_[key];
+      setQueryParam(pairs, encodeURIComponent(key), [].concat(value).map(
+          function(item) {
+            return encodeURIComponent(String(item));
+          }).join(','));
+    }
+    return encodeURIComponent(pairs.map(function(pair) {
+      return pair.name + '=' + (pair.value || '');
+    }).join('&'));
+  };
+
+  /**
+   * Values of the standard macros, by name.
+   * @const {!Object<string, function(!AdTagBuilder.Context): ?string>}
+   */
+  var STANDARD_MACROS = {
+    'CACHEBUSTING': function() {
+      return ('0000000' + Math.floor(Math.random() * 1e8)).slice(-8);
+    },
+    'TIMESTAMP': function() {
+      return new Date().toISOString();
+    },
+    'CONTENTPLAYHEAD': function(context) {
+      return context.contentPlayhead === undefined ?
+          null : formatPlayhead(context.contentPlayhead);
+    },
+    'PAGEURL': function() {
+      return typeof location != 'undefined' ? location.href : null;
+    },
+    'PLAYERSIZE': function(context) {
+      return context.width && context.height ?
+          context.width + ',' + context.height : null;
+    }
+  };
+
+  /**
+   * @param {number} seconds
+   * @return {string} The time as HH:MM:SS.mmm.
+   */
+  var formatPlayhead = function(seconds) {
+    var millis = Math.round(Math.max(0, seconds || 0) * 1000);
+    var pad = function(value, length) {
+      return ('00' + value).slice(-length);
+    };
+    return pad(Math.floor(millis / 3600000), 2) + ':' +
+        pad(Math.floor(millis / 60000) % 60, 2) + ':' +
+        pad(Math.floor(millis / 1000) % 60, 2) + '.' + pad(millis % 1000, 3);
+  };
+
+  /**
+   * @return {string}
+   */
+  var newCorrelator = function() {
+    return String(Math.floor(Math.random() * 1e15) + 1);
+  };
+
+  /**
+   * @param {string} value
+   * @return {string}
+   */
+  var decode = function(value) {
+    try {
+      return decodeURIComponent(value.replace(/\+/g, ' '));
+    } catch (e) {
+      return value;
+    }
+  };
+
+  /**
+   * @typedef {{
+   *   base: string,
+   *   params: !Array<{name: string, value: ?string}>,
+   *   hash: string
+   * }}
+   */
+  var UrlParts;
+
+  /**
+   * @param {string} url
+   * @return {!UrlParts}
+   */
+  var splitUrl = function(url) {
+    var hashIndex = url.indexOf('#');
+    var hash = hashIndex == -1 ? '' : url.slice(hashIndex);
+    url = hashIndex == -1 ? url : url.slice(0, hashIndex);
+    var queryIndex = url.indexOf('?');
+    return {
+      base: queryIndex == -1 ? url : url.slice(0, queryIndex),
+      params: parseQuery(queryIndex == -1 ? '' : url.slice(queryIndex + 1)),
+      hash: hash
+    };
+  };
+
+  /**
+   * @param {!UrlParts} parts
+   * @return {string}
+   */
+  var joinUrl = function(parts) {
+    var query = parts.params.map(function(param) {
+      return param.value === null ? param.name : param.name + '=' + param.value;
+    }).join('&');
+    return parts.base + (query ? '?' + query : '') + parts.hash;
+  };
+
+  /**
+   * Splits a query string, leaving names and values encoded so parameters
+   * the builder does not touch come out as they went in.
+   *
+   * @param {string} query
+   * @return {!Array<{name: string, value: ?string}>} Value is null for a
+   *     parameter without "=".
+   */
+  var parseQuery = function(query) {
+    return query.split('&').filter(Boolean).map(function(param) {
+      var equals = param.indexOf('=');
+      return equals == -1 ? {name: param, value: null} :
+          {name: param.slice(0, equals), value: param.slice(equals + 1)};
+    });
+  };
+
+  /**
+   * @param {!Array<{name: string, value: ?string}>} params
+   * @param {string} name
+   * @return {?string} The first value of the parameter, or null if it is
+   *     missing. A parameter without a value reads as ''.
+   */
+  var getQueryParam = function(params, name) {
+    for (var i = 0; i < params.length; i++) {
+      if (params[i].name == name) {
+        return params[i].value || '';
+      }
+    }
+    return null;
+  };
+
+  /**
+   * @param {!Array<{name: string, value: ?string}>} params
+   * @param {!Object<string, ?string>} values Not yet encoded. Null and
+   *     undefined values are skipped.
+   */
+  var setQueryParams = function(params, values) {
+    for (var name in values) {
+      if (values[name] === null || values[name] === undefined) {
+        continue;
+      }
+      setQueryParam(params, encodeURIComponent(name),
+          encodeURIComponent(values[name]));
+    }
+  };
+
+  /**
+   * Replaces the parameter's value where it is, or appends it.
+   *
+   * @param {!Array<{name: string, value: ?string}>} params
+   * @param {string} name
+   * @param {string} value Already encoded.
+   */
+  var setQueryParam = function(params, name, value) {
+    for (var i = 0; i < params.length; i++) {
+      if (params[i].name == name) {
+        params[i].value = value;
+        return;
+      }
+    }
+    params.push({name: name, value: value});
+  };
+
+  return AdTagBuilder;
+});
@@ -0,0 +1,1221 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview The ad integration shared by all samples. Owns the IMA
+ * AdDisplayContainer, AdsLoader and AdsManager and keeps the content video
+ * element in step with them, for single-break VAST responses and VMAP ad
+ * rules alike, so each sample only supplies its configuration.
+ *
+ * Loads as a plain script (defines window.AdsController), as an AMD or
+ * CommonJS module, or through ads_controller.mjs as an ES module. As a plain
+ * script it needs event_emitter.js loaded first.
+ */
+(function(root, factory) {
+  if (typeof define == 'function' && define.amd) {
+    define(['./event_emitter'], factory);
+  } else if (typeof module == 'object' && module.exports) {
+    module.exports = factory(require('./event_emitter.js'));
+  } else {
+    root.AdsController = factory(root.EventEmitter);
+  }
+})(typeof self != 'undefined' ? self : this, function(EventEmitter) {
+  'use strict';
+
+  /**
+   * Seconds before a live ad break at which the next ads are requested.
+   * @const {number}
+   */
+  var LIVE_PREFETCH_LEAD_TIME = 5;
+
+  /**
+   * Default milliseconds from play() to the first break before the watchdog
+   * starts the content.
+   * @const {number}
+   */
+  var DEFAULT_CONTENT_START_TIMEOUT = 15000;
+
+  /**
+   * The google.ima.AdError.ErrorCode names in each AdsController.ErrorClass.
+   * Codes not listed are 'other'.
+   * @const {!Object<string, !Array<string>>}
+   */
+  var ERROR_CODES_BY_CLASS = {
+    'empty': ['VAST_EMPTY_RESPONSE', 'VAST_NO_ADS_AFTER_WRAPPER'],
+    'timeout': ['VAST_LOAD_TIMEOUT'],
+    'network': ['ADS_REQUEST_NETWORK_ERROR', 'FAILED_TO_REQUEST_ADS'],
+    'media': [
+      'VIDEO_PLAY_ERROR', 'VAST_MEDIA_LOAD_TIMEOUT',
+      'VAST_LINEAR_ASSET_MISMATCH', 'VAST_PROBLEM_DISPLAYING_MEDIA_FILE',
+      'VAST_ASSET_NOT_FOUND', 'OVERLAY_AD_LOADING_FAILED',
+      'VAST_NONLINEAR_ASSET_MISMATCH'
+    ],
+    'vpaid': ['VPAID_ERROR'],
+    'invalid': [
+      'VAST_MALFORMED_RESPONSE', 'VAST_SCHEMA_VALIDATION_ERROR',
+      'VAST_UNSUPPORTED_VERSION', 'VAST_TRAFFICKING_ERROR',
+      'VAST_WRAPPER_ERROR', 'VAST_TOO_MANY_REDIRECTS', 'UNKNOWN_AD_RESPONSE',
+      'INVALID_AD_TAG'
+    ]
+  };
+
+  /**
+   * The page follows the ads through events, subscribed to with on(), off()
+   * and once(). Each listener gets an object with the event type and, where
+   * there is one, the ad's metadata (see AdsController.AdMetadata):
+   *   adsManagerLoaded  ads are ready to play; has adsManager.
+   *   adBreakReady      with autoPlayAdBreaks off, a break is ready; call
+   *                     startAdBreak() to play it.
+   *   breakStart        a linear break began and content paused. For ad
+   *                     rules, ad.timeOffset is the break's cue point.
+   *   adStart           an ad started.
+   *   quartile          has quartile: 1, 2 or 3.
+   *   adComplete        an ad played to the end.
+   *   skip              the user skipped an ad.
+   *   click             the user clicked an ad.
+   *   breakEnd          the break is over and content resumed. Ad rules
+   *                     breaks also end when none of their ads played,
+   *                     e.g. they failed or there were none; played is
+   *                     false for those. For ad rules, timeOffset is the
+   *                     break's cue point, and null otherwise.
+   *   allAdsCompleted   every ad in the response has played.
+   *   complete          content ended and all ads completed.
+   *   error             has error, the google.ima.AdError; errorClass, one
+   *                     of AdsController.ErrorClass; adTagUrl, the failed
+   *                     URL; and recovery, what happens next: 'retry' the
+   *                     same tag, 'fallback' to the next tag, or 'none'
+   *                     when the content resumes.
+   *   autoplayBlocked   autoplay is on but the browser does not allow it.
+   *   watchdog          no break began in time and the content was started
+   *                     without ads; see AdsController.WatchdogDiagnostics.
+   *   interrupted       interrupt() paused the ads or content, e.g. because
+   *                     another player on the page started an ad with
+   *                     sound; has adBreak and reason.
+   *   audible           a linear ad started, resumed or was unmuted, and is
+   *                     playing with sound.
+   *   adEvent           every other google.ima.AdEvent (progress, volume,
+   *                     skippable state, log...), as adEvent.
+   *
+   * @param {!AdsController.Options} options
+   * @constructor
+   * @extends {EventEmitter}
+   */
+  var AdsController = function(options) {
+    EventEmitter.call(this);
+    this.options_ = options;
+    this.videoElement_ = options.videoElement;
+    this.clickElement_ = options.clickElement || null;
+    this.width_ = options.width || 640;
+    this.height_ = options.height || 360;
+    this.viewMode_ = google.ima.ViewMode.NORMAL;
+
+    /**
+     * The requested tag followed by its fallbacks.
+     * @private {!Array<string|!AdTagBuilder>}
+     */
+    this.adTags_ = [];
+    // The URL of the latest request, with macros expanded.
+    this.adTagUrl_ = '';
+    this.adTagIndex_ = 0;
+    this.retryCount_ = 0;
+    this.retryTimer_ = null;
+    this.adStarted_ = false;
+    // Identifies the latest request, so answers to earlier ones are ignored.
+    this.requestId_ = 0;
+    this.contentStarted_ = false;
+    this.watchdogTimer_ = null;
+    this.playTime_ = 0;
+    this.adsManager_ = null;
+    this.currentAd_ = null;
+    this.requestPending_ = false;
+    this.containerInitialized_ = false;
+    this.playRequested_ = false;
+    this.linearAdPlaying_ = false;
+    this.adPaused_ = false;
+    this.contentCompleteCalled_ = false;
+    this.allAdsCompleted_ = false;
+    this.liveAdBreakTimer_ = null;
+    this.contentProgressProvider_ =
+        new AdsController.ContentProgressProvider(this.videoElement_);
+
+    // Set once the autoplay check has run. Null while unknown.
+    this.autoplayAllowed_ = options.autoplay ? null : false;
+    this.autoplayRequiresMuted_ = !!options.muted;
+
+    if (options.muted) {
+      this.videoElement_.volume = 0;
+      this.videoElement_.muted = true;
+    }
+
+    google.ima.settings.setVpaidMode(options.vpaidMode === undefined ?
+        google.ima.ImaSdkSettings.VpaidMode.ENABLED : options.vpaidMode);
+
+    this.adDisplayContainer_ = new google.ima.AdDisplayContainer(
+        options.adContainer, this.videoElement_, this.clickElement_);
+    this.adsLoader_ = new google.ima.AdsLoader(this.adDisplayContainer_);
+    if (options.iosCustomPlayback === false) {
+      this.adsLoader_.getSettings().setDisableCustomPlaybackForIOS10Plus(true);
+    }
+    this.setAutoPlayAdBreaks(options.autoPlayAdBreaks !== false);
+    this.adsLoader_.addEventListener(
+        google.ima.AdsManagerLoadedEvent.Type.ADS_MANAGER_LOADED,
+        this.onAdsManagerLoaded_,
+        false,
+        this);
+    this.adsLoader_.addEventListener(
+        google.ima.AdErrorEvent.Type.AD_ERROR,
+        this.onAdError_,
+        false,
+        this);
+
+    // Tell the SDK when content completes so it can play any post-rolls.
+    this.videoElement_.addEventListener(
+        'ended', this.onContentEnded_.bind(this), false);
+  };
+  AdsController.prototype = Object.create(EventEmitter.prototype);
+  AdsController.prototype.constructor = AdsController;
+
+  /**
+   * Reports the content's progress to the SDK, which polls currentTime to
+   * decide when an ad rules mid-roll is due. While a linear break plays it
+   * keeps reporting where content paused: with custom playback on iOS the
+   * content element plays the ads itself, and its time would otherwise look
+   * like content progress.
+   *
+   * @param {!HTMLVideoElement} videoElement
+   * @constructor
+   */
+  AdsController.ContentProgressProvider = function(videoElement) {
+    this.videoElement_ = videoElement;
+    /**
+     * The content time when the current break started, or null outside
+     * breaks.
+     * @type {?number}
+     * @private
+     */
+    this.pausedAt_ = null;
+  };
+
+  Object.defineProperties(AdsController.ContentProgressProvider.prototype, {
+    currentTime: {
+      get: function() {
+        return this.pausedAt_ === null ?
+            this.videoElement_.currentTime : this.pausedAt_;
+      }
+    },
+    duration: {
+      get: function() {
+        return this.videoElement_.duration;
+      }
+    }
+  });
+
+  /**
+   * @param {boolean} adPlaying
+   */
+  AdsController.ContentProgressProvider.prototype.setAdPlaying = function(
+      adPlaying) {
+    this.pausedAt_ = adPlaying ? this.videoElement_.currentTime : null;
+  };
+
+  /**
+   * Configuration for an AdsController. Only adContainer and videoElement are
+   * required.
+   *
+   * @typedef {{
+   *   adContainer: !Element,
+   *   videoElement: !HTMLVideoElement,
+   *   clickElement: (Element|undefined),
+   *   width: (number|undefined),
+   *   height: (number|undefined),
+   *   autoplay: (boolean|undefined),
+   *   muted: (boolean|undefined),
+   *   liveAdBreakInterval: (number|undefined),
+   *   iosCustomPlayback: (boolean|undefined),
+   *   autoPlayAdBreaks: (boolean|undefined),
+   *   vpaidMode: (number|undefined),
+   *   fallbackAdTags: (!Array<string|!AdTagBuilder>|undefined),
+   *   maxRetries: (number|undefined),
+   *   retryDelay: (number|undefined),
+   *   adRequestTimeout: (number|undefined),
+   *   mediaLoadTimeout: (number|undefined),
+   *   contentStartTimeout: (number|undefined),
+   *   consent: (!ConsentManager|undefined)
+   * }}
+   *
+   * autoplay: test whether the browser lets the content autoplay (with sound,
+   *     then muted) and start ads without a user action when it does.
+   * muted: start the content and ads muted.
+   * liveAdBreakInterval: for live streams, the seconds between ad breaks. The
+   *     next break's ads are prefetched while content plays.
+   * iosCustomPlayback: set to false to play ads in their own video element on
+   *     iOS 10+ instead of reusing the content element.
+   * autoPlayAdBreaks: set to false to decide when each break plays; see
+   *     setAutoPlayAdBreaks().
+   * fallbackAdTags: tags to request in turn when the requested one fails or
+   *     returns no ads.
+   * maxRetries: how many times to retry a tag after a timeout or network
+   *     error before falling back. Defaults to 2.
+   * retryDelay: milliseconds before the first retry; each further retry
+   *     waits twice as long. Defaults to 1000.
+   * adRequestTimeout: milliseconds the ad server has to answer each request
+   *     before it fails as a timeout. Defaults to the SDK's.
+   * mediaLoadTimeout: milliseconds an ad's media has to load before the ad
+   *     fails. Defaults to the SDK's.
+   * contentStartTimeout: milliseconds from play() within which a break must
+   *     begin, or the content starts without ads. 0 turns the watchdog off.
+   *     Defaults to 15000.
+   * consent: adds the gdpr, gdpr_consent, us_privacy, gpp and npa
+   *     parameters to every ad tag.
+   */
+  AdsController.Options;
+
+  /**
+   * The ad details attached to events, flattened from google.ima.Ad.
+   *
+   * @typedef {{
+   *   adId: string,
+   *   creativeId: string,
+   *   title: string,
+   *   adSystem: string,
+   *   duration: number,
+   *   linear: boolean,
+   *   skipOffset: number,
+   *   adPosition: number,
+   *   totalAds: number,
+   *   podIndex: number,
+   *   timeOffset: number
+   * }}
+   */
+  AdsController.AdMetadata;
+
+  /**
+   * What the controller was waiting for when the watchdog fired, as fields
+   * of the watchdog event.
+   *
+   * @typedef {{
+   *   timeout: number,
+   *   elapsed: number,
+   *   adTagUrl: string,
+   *   requestPending: boolean,
+   *   consentPending: boolean,
+   *   adsManagerLoaded: boolean,
+   *   retries: number,
+   *   fallbacks: number
+   * }}
+   *
+   * elapsed: milliseconds since play().
+   * requestPending: the ad server had not answered yet.
+   * consentPending: the request was still waiting for consent.
+   * adsManagerLoaded: ads had loaded but no break began, e.g. their media
+   *     did not load.
+   * retries: retries of the current tag so far.
+   * fallbacks: how many fallback tags had been tried.
+   */
+  AdsController.WatchdogDiagnostics;
+
+  /**
+   * Kinds of ad error, as reported in the error event's errorClass.
+   * @enum {string}
+   */
+  AdsController.ErrorClass = {
+    /** The response had no ads. */
+    EMPTY: 'empty',
+    /** The ad server did not answer in time. Retried. */
+    TIMEOUT: 'timeout',
+    /** The ad request failed. Retried. */
+    NETWORK: 'network',
+    /** The ad's media could not be found, loaded or played. */
+    MEDIA: 'media',
+    /** The VPAID creative reported an error. */
+    VPAID: 'vpaid',
+    /** The response was malformed, or the tag or a wrapper was bad. */
+    INVALID: 'invalid',
+    OTHER: 'other'
+  };
+
+  /**
+   * @param {!google.ima.AdError} adError
+   * @return {!AdsController.ErrorClass}
+   */
+  AdsController.classifyError = function(adError) {
+    var code = adError.getErrorCode();
+    var codes = google.ima.AdError.ErrorCode;
+    for (var errorClass in ERROR_CODES_BY_CLASS) {
+      var names = ERROR_CODES_BY_CLASS[errorClass];
+      for (var i = 0; i < names.length; i++) {
+        if (codes[names[i]] === code) {
+          return /** @type {!AdsController.ErrorClass} */ (errorClass);
+        }
+      }
+    }
+    return AdsController.ErrorClass.OTHER;
+  };
+
+  /**
+   * On iOS and Android devices, video playback must begin in a user action.
+   * Call this when the user clicks or taps; play() calls it as well.
+   */
+  AdsController.prototype.initialUserAction = function() {
+    if (this.containerInitialized_) {
+      return;
+    }
+    this.adDisplayContainer_.initialize();
+    this.videoElement_.load();
+    this.containerInitialized_ = true;
+  };
+
+  /**
+   * Requests ads for the content, falling back to options.fallbackAdTags if
+   * the tag fails. When autoplay is on, the first request waits until the
+   * browser's autoplay policy is known.
+   *
+   * @param {string|!AdTagBuilder} adTag The ad tag URL, or a builder that
+   *     makes a new one for each request.
+   */
+  AdsController.prototype.requestAds = function(adTag) {
+    this.destroyAdsManager();
+    clearTimeout(this.retryTimer_);
+    this.adTags_ = [adTag].concat(this.options_.fallbackAdTags || []);
+    this.adTagIndex_ = 0;
+    this.retryCount_ = 0;
+    this.contentStarted_ = false;
+    this.stopWatchdog_();
+    this.contentCompleteCalled_ = false;
+    this.allAdsCompleted_ = false;
+    this.requestPending_ = true;
+    if (this.autoplayAllowed_ === null) {
+      this.checkAutoplaySupport_(this.onAutoplayChecked_.bind(this));
+    } else {
+      this.requestAds_(0);
+    }
+  };
+
+  /**
+   * Starts the ads, or content if there are none. If the ads have not loaded
+   * yet they start as soon as they do.
+   */
+  AdsController.prototype.play = function() {
+    this.initialUserAction();
+    this.startWatchdog_();
+    if (!this.adsManager_) {
+      if (this.requestPending_) {
+        this.playRequested_ = true;
+      } else {
+        this.playContent_();
+      }
+      return;
+    }
+    this.playRequested_ = false;
+    try {
+      // Initialize the ads manager. Ad rules playlist will start at this time.
+      this.adsManager_.init(this.width_, this.height_, this.viewMode_);
+      if (this.autoplayRequiresMuted_) {
+        this.adsManager_.setVolume(0);
+      }
+      // Call play to start showing the ad. Single video and overlay ads will
+      // start at this time; the call will be ignored for ad rules. Under
+      // manual ad break playback the page starts each break itself.
+      if (this.adsLoader_.getSettings().isAutoPlayAdBreaks()) {
+        this.adsManager_.start();
+      }
+      // Ad rules without a pre-roll have nothing to start; the content plays
+      // until the first mid-roll is due.
+      var cuePoints = this.adsManager_.getCuePoints();
+      if (cuePoints.length && cuePoints.indexOf(0) == -1) {
+        this.playContent_();
+      }
+    } catch (adError) {
+      // An error may be thrown if there was a problem with the VAST response.
+      this.playContent_();
+    }
+  };
+
+  /**
+   * Chooses whether ad breaks play as soon as they are due, or wait for the
+   * page to call startAdBreak() after an adBreakReady event. Applies to ads
+   * requested afterwards.
+   *
+   * @param {boolean} autoPlay
+   */
+  AdsController.prototype.setAutoPlayAdBreaks = function(autoPlay) {
+    this.adsLoader_.getSettings().setAutoPlayAdBreaks(autoPlay);
+  };
+
+  /**
+   * Plays the break announced by the last adBreakReady event.
+   */
+  AdsController.prototype.startAdBreak = function() {
+    if (this.adsManager_) {
+      this.adsManager_.start();
+    }
+  };
+
+  AdsController.prototype.pause = function() {
+    if (this.adsManager_) {
+      this.adsManager_.pause();
+    }
+  };
+
+  AdsController.prototype.resume = function() {
+    if (this.adsManager_) {
+      this.adsManager_.resume();
+    }
+  };
+
+  /**
+   * Skips the current ad if it is skippable yet.
+   */
+  AdsController.prototype.skip = function() {
+    if (this.adsManager_) {
+      this.adsManager_.skip();
+    }
+  };
+
+  /**
+   * @return {number} Seconds left in the current linear ad, or -1.
+   */
+  AdsController.prototype.getRemainingTime = function() {
+    return this.adsManager_ ? this.adsManager_.getRemainingTime() : -1;
+  };
+
+  /**
+   * @return {boolean} Whether the current ad can be skipped now.
+   */
+  AdsController.prototype.getAdSkippableState = function() {
+    return this.adsManager_ ? this.adsManager_.getAdSkippableState() : false;
+  };
+
+  /**
+   * @return {number} The volume of the content and the ads, from 0 to 1.
+   */
+  AdsController.prototype.getVolume = function() {
+    return this.isMuted() ? 0 : this.videoElement_.volume;
+  };
+
+  /**
+   * Sets the volume of the content and the ads together, unmuting both
+   * unless it is 0.
+   *
+   * @param {number} volume From 0 to 1.
+   */
+  AdsController.prototype.setVolume = function(volume) {
+    volume = Math.min(Math.max(volume, 0), 1);
+    this.videoElement_.volume = volume;
+    this.videoElement_.muted = volume == 0;
+    this.autoplayRequiresMuted_ = this.autoplayRequiresMuted_ && volume == 0;
+    if (this.adsManager_) {
+      this.adsManager_.setVolume(volume);
+    }
+  };
+
+  /**
+   * @return {boolean} Whether the content and the ads are silent.
+   */
+  AdsController.prototype.isMuted = function() {
+    return this.videoElement_.muted || this.videoElement_.volume == 0;
+  };
+
+  /**
+   * Mutes or unmutes the content and the ads. Unmuting restores the volume
+   * they had, or full volume if they started muted.
+   *
+   * @param {boolean} muted
+   */
+  AdsController.prototype.setMuted = function(muted) {
+    var video = this.videoElement_;
+    if (muted) {
+      video.muted = true;
+      if (this.adsManager_) {
+        this.adsManager_.setVolume(0);
+      }
+    } else {
+      this.setVolume(video.volume || 1);
+    }
+  };
+
+  /**
+   * @param {number} width
+   * @param {number} height
+   * @param {string=} viewMode One of google.ima.ViewMode. Defaults to NORMAL.
+   */
+  AdsController.prototype.resize = function(width, height, viewMode) {
+    this.width_ = width;
+    this.height_ = height;
+    this.viewMode_ = viewMode || google.ima.ViewMode.NORMAL;
+    if (this.adsManager_) {
+      this.adsManager_.resize(width, height, this.viewMode_);
+    }
+  };
+
+  /**
+   * Tells the SDK the content is done, e.g. when switching to another video.
+   * Content ending by itself is picked up from the video element.
+   */
+  AdsController.prototype.contentComplete = function() {
+    this.contentCompleteCalled_ = true;
+    this.adsLoader_.contentComplete();
+  };
+
+  AdsController.prototype.destroyAdsManager = function() {
+    if (this.adsManager_) {
+      this.adsManager_.destroy();
+      this.adsManager_ = null;
+    }
+  };
+
+  /**
+   * @return {boolean} Whether a linear ad break is in progress.
+   */
+  AdsController.prototype.isLinearAdPlaying = function() {
+    return this.linearAdPlaying_;
+  };
+
+  /**
+   * @return {boolean} Whether the player is making sound: a linear ad is
+   *     playing with its volume up, or, outside breaks, the content is
+   *     playing unmuted.
+   */
+  AdsController.prototype.isAudible = function() {
+    if (this.linearAdPlaying_) {
+      return !!this.adsManager_ && !this.adPaused_ &&
+          this.adsManager_.getVolume() > 0;
+    }
+    var video = this.videoElement_;
+    return !video.paused && !video.muted && video.volume > 0;
+  };
+
+  /**
+   * Pauses the ad break, or the content outside breaks, on behalf of someone
+   * other than the page's own controls, and emits interrupted so the page
+   * can update them. Resume with resume() or by playing the content.
+   *
+   * @param {string=} reason Passed on with the event, e.g. 'audio' when
+   *     another player's ad took over, or 'pictureInPicture'.
+   */
+  AdsController.prototype.interrupt = function(reason) {
+    if (this.linearAdPlaying_) {
+      this.pause();
+    } else {
+      this.videoElement_.pause();
+    }
+    this.emit_('interrupted', this.currentAd_, {
+      adBreak: this.linearAdPlaying_,
+      reason: reason || ''
+    });
+  };
+
+  /**
+   * @return {!Array<number>} The content times in seconds at which the current
+   *     ad rules schedule breaks. 0 is the pre-roll and -1 the post-roll.
+   *     Empty for a single-break ad response.
+   */
+  AdsController.prototype.getCuePoints = function() {
+    return this.adsManager_ ? this.adsManager_.getCuePoints() : [];
+  };
+
+  /**
+   * Builds the URL that requestAds() would send for the tag now, e.g. to
+   * fetch the same response the SDK gets. Like a request, waits for consent
+   * when the consent manager's policy says so.
+   *
+   * @param {string|!AdTagBuilder} adTag
+   * @param {function(string)} callback Called with the URL.
+   */
+  AdsController.prototype.buildAdTagUrl = function(adTag, callback) {
+    var consent = this.options_.consent;
+    if (consent && consent.blocksRequests()) {
+      consent.whenResolved(function() {
+        callback(this.buildAdTagUrl_(adTag));
+      }.bind(this));
+      return;
+    }
+    callback(this.buildAdTagUrl_(adTag));
+  };
+
+  /**
+   * @return {google.ima.AdsManager}
+   */
+  AdsController.prototype.getAdsManager = function() {
+    return this.adsManager_;
+  };
+
+  /**
+   * @param {number} liveStreamPrefetchSeconds
+   * @private
+   */
+  AdsController.prototype.requestAds_ = function(liveStreamPrefetchSeconds) {
+    var consent = this.options_.consent;
+    if (consent && consent.blocksRequests()) {
+      // Send the request once the user's choices are known. A later request
+      // or the watchdog supersedes it.
+      var requestId = ++this.requestId_;
+      this.requestPending_ = true;
+      consent.whenResolved(function() {
+        if (requestId == this.requestId_) {
+          this.requestAds_(liveStreamPrefetchSeconds);
+        }
+      }.bind(this));
+      return;
+    }
+    var adsRequest = new google.ima.AdsRequest();
+    this.adTagUrl_ = this.buildAdTagUrl_(this.adTags_[this.adTagIndex_]);
+    adsRequest.adTagUrl = this.adTagUrl_;
+    // Specify the linear and nonlinear slot sizes. This helps the SDK to
+    // select the correct creative if multiple are returned.
+    adsRequest.linearAdSlotWidth = this.width_;
+    adsRequest.linearAdSlotHeight = this.height_;
+    adsRequest.nonLinearAdSlotWidth = this.width_;
+    adsRequest.nonLinearAdSlotHeight = this.height_;
+    adsRequest.liveStreamPrefetchSeconds = liveStreamPrefetchSeconds;
+    if (this.options_.autoplay) {
+      adsRequest.setAdWillAutoPlay(this.autoplayAllowed_);
+    }
+    adsRequest.setAdWillPlayMuted(this.autoplayRequiresMuted_);
+    if (this.options_.adRequestTimeout) {
+      adsRequest.vastLoadTimeout = this.options_.adRequestTimeout;
+    }
+    this.requestPending_ = true;
+    this.adStarted_ = false;
+    this.adsLoader_.requestAds(adsRequest, {requestId: ++this.requestId_});
+  };
+
+  /**
+   * @param {string|!AdTagBuilder} adTag
+   * @return {string} The URL to request, with the macros expanded and the
+   *     consent parameters added.
+   * @private
+   */
+  AdsController.prototype.buildAdTagUrl_ = function(adTag) {
+    var url = typeof adTag == 'string' ? adTag : adTag.build({
+      width: this.width_,
+      height: this.height_,
+      contentPlayhead: this.contentProgressProvider_.currentTime
+    });
+    var consent = this.options_.consent;
+    return consent ? consent.applyTo(url) : url;
+  };
+
+  /**
+   * Tries to play the content with sound, then muted, and records which (if
+   * either) the browser allows.
+   *
+   * @param {function()} callback Called once the check has resolved.
+   * @private
+   */
+  AdsController.prototype.checkAutoplaySupport_ = function(callback) {
+    var video = this.videoElement_;
+    var self = this;
+    var resolve = function(allowed, muted) {
+      video.pause();
+      self.autoplayAllowed_ = allowed;
+      self.autoplayRequiresMuted_ = muted;
+      if (!allowed) {
+        video.volume = 1;
+        video.muted = false;
+      }
+      callback();
+    };
+    var tryPlay = function(muted, onFail) {
+      video.volume = muted ? 0 : 1;
+      video.muted = muted;
+      var playPromise = video.play();
+      if (playPromise === undefined) {
+        // Old browsers without a play promise can't tell us; assume not.
+        resolve(false, false);
+        return;
+      }
+      playPromise.then(function() {
+        resolve(true, muted);
+      }).catch(onFail);
+    };
+    var tryMuted = function() {
+      tryPlay(true, function() {
+        resolve(false, false);
+      });
+    };
+    if (this.options_.muted) {
+      tryMuted();
+    } else {
+      tryPlay(false, tryMuted);
+    }
+  };
+
+  /**
+   * @private
+   */
+  AdsController.prototype.onAutoplayChecked_ = function() {
+    // Start the ads as soon as they load, as if the user had clicked play.
+    this.playRequested_ = this.autoplayAllowed_;
+    this.requestAds_(0);
+  };
+
+  /**
+   * @param {!google.ima.AdsManagerLoadedEvent} adsManagerLoadedEvent
+   * @private
+   */
+  AdsController.prototype.onAdsManagerLoaded_ = function(
+      adsManagerLoadedEvent) {
+    if (this.isStale_(adsManagerLoadedEvent)) {
+      return;
+    }
+    this.requestPending_ = false;
+    this.retryCount_ = 0;
+    this.destroyAdsManager();
+    var adsRenderingSettings = new google.ima.AdsRenderingSettings();
+    adsRenderingSettings.restoreCustomPlaybackStateOnAdBreakComplete = true;
+    if (this.options_.mediaLoadTimeout) {
+      adsRenderingSettings.loadVideoTimeout = this.options_.mediaLoadTimeout;
+    }
+    this.adsManager_ = adsManagerLoadedEvent.getAdsManager(
+        this.contentProgressProvider_, adsRenderingSettings);
+    this.attachAdsManagerListeners_(this.adsManager_);
+    this.emit_('adsManagerLoaded', null, {adsManager: this.adsManager_});
+
+    if (this.playRequested_) {
+      this.play();
+    } else if (this.options_.autoplay && !this.autoplayAllowed_) {
+      this.emit_('autoplayBlocked', null);
+    }
+  };
+
+  /**
+   * @param {!google.ima.AdsManager} adsManager
+   * @private
+   */
+  AdsController.prototype.attachAdsManagerListeners_ = function(adsManager) {
+    if (this.clickElement_ && adsManager.isCustomClickTrackingUsed()) {
+      this.clickElement_.style.display = 'table';
+    }
+    // Attach the pause/resume events.
+    adsManager.addEventListener(
+        google.ima.AdEvent.Type.CONTENT_PAUSE_REQUESTED,
+        this.onContentPauseRequested_,
+        false,
+        this);
+    adsManager.addEventListener(
+        google.ima.AdEvent.Type.CONTENT_RESUME_REQUESTED,
+        this.onContentResumeRequested_,
+        false,
+        this);
+    // Handle errors.
+    adsManager.addEventListener(
+        google.ima.AdErrorEvent.Type.AD_ERROR,
+        this.onAdError_,
+        false,
+        this);
+    // Listen to every other event type the SDK defines, so none are missed
+    // and new ones surface as adEvent without changes here.
+    var events = [];
+    for (var key in google.ima.AdEvent.Type) {
+      var type = google.ima.AdEvent.Type[key];
+      if (type != google.ima.AdEvent.Type.CONTENT_PAUSE_REQUESTED &&
+          type != google.ima.AdEvent.Type.CONTENT_RESUME_REQUESTED) {
+        events.push(type);
+      }
+    }
+    adsManager.addEventListener(events, this.onAdEvent_, false, this);
+  };
+
+  /**
+   * @private
+   */
+  AdsController.prototype.onContentPauseRequested_ = function() {
+    this.linearAdPlaying_ = true;
+    this.adPaused_ = false;
+    this.stopWatchdog_();
+    this.contentProgressProvider_.setAdPlaying(true);
+    this.videoElement_.pause();
+    this.emit_('breakStart', this.currentAd_);
+    this.emitIfAudible_();
+  };
+
+  /**
+   * @private
+   */
+  AdsController.prototype.emitIfAudible_ = function() {
+    if (this.isAudible()) {
+      this.emit_('audible', this.currentAd_);
+    }
+  };
+
+  /**
+   * @private
+   */
+  AdsController.prototype.onContentResumeRequested_ = function() {
+    var breakWasActive = this.linearAdPlaying_;
+    var cuePoint = this.findEndedCuePoint_();
+    this.resumeContent_();
+    if (breakWasActive || cuePoint !== null) {
+      this.emit_('breakEnd', null, {
+        played: breakWasActive,
+        timeOffset: cuePoint
+      });
+    }
+  };
+
+  /**
+   * The SDK does not say which ad rules break ended; it is the post-roll once
+   * content has completed, and otherwise the last cue point the content has
+   * reached, as the SDK only plays the last of several it passed.
+   *
+   * @return {?number} The cue point of the break that just ended, or null
+   *     for a single-break ad response.
+   * @private
+   */
+  AdsController.prototype.findEndedCuePoint_ = function() {
+    var cuePoints = this.getCuePoints();
+    if (!cuePoints.length) {
+      return null;
+    }
+    if (this.contentCompleteCalled_ && cuePoints.indexOf(-1) != -1) {
+      return -1;
+    }
+    var contentTime = this.contentProgressProvider_.currentTime;
+    var cuePoint = null;
+    for (var i = 0; i < cuePoints.length; i++) {
+      if (cuePoints[i] >= 0 && cuePoints[i] <= contentTime &&
+          (cuePoint === null || cuePoints[i] > cuePoint)) {
+        cuePoint = cuePoints[i];
+      }
+    }
+    return cuePoint;
+  };
+
+  /**
+   * @private
+   */
+  AdsController.prototype.resumeContent_ = function() {
+    this.linearAdPlaying_ = false;
+    this.contentProgressProvider_.setAdPlaying(false);
+    // Without this check the video starts over from the beginning on a
+    // post-roll's CONTENT_RESUME_REQUESTED.
+    if (!this.contentCompleteCalled_) {
+      this.playContent_();
+    }
+  };
+
+  /**
+   * @private
+   */
+  AdsController.prototype.playContent_ = function() {
+    this.contentStarted_ = true;
+    this.stopWatchdog_();
+    this.videoElement_.play();
+  };
+
+  /**
+   * Starts the watchdog unless it is running, off, or content already
+   * started.
+   *
+   * @private
+   */
+  AdsController.prototype.startWatchdog_ = function() {
+    var timeout = this.options_.contentStartTimeout === undefined ?
+        DEFAULT_CONTENT_START_TIMEOUT : this.options_.contentStartTimeout;
+    if (!timeout || this.watchdogTimer_ || this.contentStarted_ ||
+        this.linearAdPlaying_) {
+      return;
+    }
+    this.playTime_ = Date.now();
+    this.watchdogTimer_ =
+        setTimeout(this.onWatchdog_.bind(this, timeout), timeout);
+  };
+
+  /**
+   * @private
+   */
+  AdsController.prototype.stopWatchdog_ = function() {
+    clearTimeout(this.watchdogTimer_);
+    this.watchdogTimer_ = null;
+  };
+
+  /**
+   * Gives up on the ads for this content and starts it.
+   *
+   * @param {number} timeout
+   * @private
+   */
+  AdsController.prototype.onWatchdog_ = function(timeout) {
+    this.watchdogTimer_ = null;
+    this.emit_('watchdog', this.currentAd_, {
+      timeout: timeout,
+      elapsed: Date.now() - this.playTime_,
+      adTagUrl: this.adTagUrl_,
+      requestPending: this.requestPending_,
+      consentPending: !!this.options_.consent &&
+          this.options_.consent.blocksRequests(),
+      adsManagerLoaded: !!this.adsManager_,
+      retries: this.retryCount_,
+      fallbacks: this.adTagIndex_
+    });
+    clearTimeout(this.retryTimer_);
+    // Whatever the ad server still sends is for a request given up on.
+    this.requestId_++;
+    this.requestPending_ = false;
+    this.playRequested_ = false;
+    this.destroyAdsManager();
+    this.currentAd_ = null;
+    this.resumeContent_();
+  };
+
+  /**
+   * Translates SDK ad events into the controller's events.
+   *
+   * @param {!google.ima.AdEvent} adEvent
+   * @private
+   */
+  AdsController.prototype.onAdEvent_ = function(adEvent) {
+    var ad = adEvent.getAd();
+    if (ad) {
+      this.currentAd_ = ad;
+    }
+    switch (adEvent.type) {
+      case google.ima.AdEvent.Type.LOADED:
+        // This is the first event sent for an ad - it is possible to
+        // determine whether the ad is a video ad or an overlay.
+        if (!ad.isLinear()) {
+          this.resumeContent_();
+        }
+        this.emit_('adEvent', ad, {adEvent: adEvent});
+        break;
+      case google.ima.AdEvent.Type.AD_BREAK_READY:
+        // The page decides when the break starts.
+        this.stopWatchdog_();
+        this.emit_('adBreakReady', ad);
+        break;
+      case google.ima.AdEvent.Type.STARTED:
+        this.adStarted_ = true;
+        this.emit_('adStart', ad);
+        break;
+      case google.ima.AdEvent.Type.FIRST_QUARTILE:
+        this.emit_('quartile', ad, {quartile: 1});
+        break;
+      case google.ima.AdEvent.Type.MIDPOINT:
+        this.emit_('quartile', ad, {quartile: 2});
+        break;
+      case google.ima.AdEvent.Type.THIRD_QUARTILE:
+        this.emit_('quartile', ad, {quartile: 3});
+        break;
+      case google.ima.AdEvent.Type.COMPLETE:
+        this.emit_('adComplete', ad);
+        break;
+      case google.ima.AdEvent.Type.SKIPPED:
+        this.emit_('skip', ad);
+        break;
+      case google.ima.AdEvent.Type.CLICK:
+        this.emit_('click', ad);
+        break;
+      case google.ima.AdEvent.Type.ALL_ADS_COMPLETED:
+        this.currentAd_ = null;
+        this.onAllAdsCompleted_();
+        break;
+      case google.ima.AdEvent.Type.PAUSED:
+        this.adPaused_ = true;
+        this.emit_('adEvent', ad, {adEvent: adEvent});
+        break;
+      case google.ima.AdEvent.Type.RESUMED:
+        this.adPaused_ = false;
+        this.emit_('adEvent', ad, {adEvent: adEvent});
+        this.emitIfAudible_();
+        break;
+      case google.ima.AdEvent.Type.VOLUME_CHANGED:
+        this.emit_('adEvent', ad, {adEvent: adEvent});
+        this.emitIfAudible_();
+        break;
+      default:
+        this.emit_('adEvent', ad, {adEvent: adEvent});
+    }
+  };
+
+  /**
+   * Timeouts and network errors are retried with exponential backoff, then
+   * the fallbackAdTags are tried in turn, and the content only resumes once
+   * every tag has failed. An ad that fails after another has started only
+   * ends its break.
+   *
+   * @param {!google.ima.AdErrorEvent} adErrorEvent
+   * @private
+   */
+  AdsController.prototype.onAdError_ = function(adErrorEvent) {
+    if (this.isStale_(adErrorEvent)) {
+      return;
+    }
+    var error = adErrorEvent.getError();
+    var errorClass = AdsController.classifyError(error);
+    // With ad rules a failed ad only ends its own break; the SDK resumes the
+    // content and still plays the later breaks.
+    var adRules =
+        !!this.adsManager_ && this.adsManager_.getCuePoints().length > 0;
+    var recovery = adRules ? 'none' : this.chooseRecovery_(errorClass);
+    var adsWereStarting = this.playRequested_ || !!this.adsManager_;
+    this.requestPending_ = false;
+    this.emit_('error', this.currentAd_, {
+      error: error,
+      errorClass: errorClass,
+      adTagUrl: this.adTagUrl_,
+      recovery: recovery
+    });
+    if (adRules) {
+      return;
+    }
+    this.destroyAdsManager();
+    this.currentAd_ = null;
+    if (recovery != 'none') {
+      // Keep the content paused; the next ads play as soon as they load if
+      // the user has already asked to play.
+      this.playRequested_ = adsWereStarting;
+      this.requestPending_ = true;
+      if (recovery == 'retry') {
+        this.retryCount_++;
+        var delay = (this.options_.retryDelay === undefined ?
+            1000 : this.options_.retryDelay) *
+            Math.pow(2, this.retryCount_ - 1);
+        this.retryTimer_ = setTimeout(this.requestAds_.bind(this, 0), delay);
+      } else {
+        this.adTagIndex_++;
+        this.retryCount_ = 0;
+        this.requestAds_(0);
+      }
+      return;
+    }
+    this.playRequested_ = false;
+    this.currentAd_ = null;
+    if (adsWereStarting || this.linearAdPlaying_) {
+      this.onContentResumeRequested_();
+    }
+  };
+
+  /**
+   * @param {!google.ima.AdsManagerLoadedEvent|!google.ima.AdErrorEvent} event
+   * @return {boolean} Whether the event answers a request that a later one
+   *     replaced.
+   * @private
+   */
+  AdsController.prototype.isStale_ = function(event) {
+    var context = event.getUserRequestContext();
+    return !!context && context.requestId !== undefined &&
+        context.requestId != this.requestId_;
+  };
+
+  /**
+   * @param {!AdsController.ErrorClass} errorClass
+   * @return {string} 'retry', 'fallback' or 'none'.
+   * @private
+   */
+  AdsController.prototype.chooseRecovery_ = function(errorClass) {
+    // Replacing ads part way through a break would replay the break.
+    if (this.adStarted_ || this.linearAdPlaying_) {
+      return 'none';
+    }
+    var maxRetries = this.options_.maxRetries === undefined ?
+        2 : this.options_.maxRetries;
+    if ((errorClass == AdsController.ErrorClass.TIMEOUT ||
+        errorClass == AdsController.ErrorClass.NETWORK) &&
+        this.retryCount_ < maxRetries) {
+      return 'retry';
+    }
+    if (this.adTagIndex_ + 1 < this.adTags_.length) {
+      return 'fallback';
+    }
+    return 'none';
+  };
+
+  /**
+   * If we aren't playing post-rolls, ALL_ADS_COMPLETED fires before the
+   * content ends, and if we are it fires after. Either way playback is
+   * complete once both have happened.
+   *
+   * @private
+   */
+  AdsController.prototype.onAllAdsCompleted_ = function() {
+    this.allAdsCompleted_ = true;
+    this.emit_('allAdsCompleted', null);
+    if (this.contentCompleteCalled_) {
+      this.emit_('complete', null);
+    }
+    if (this.options_.liveAdBreakInterval) {
+      this.scheduleLiveAdBreak_();
+    }
+  };
+
+  /**
+   * @private
+   */
+  AdsController.prototype.onContentEnded_ = function() {
+    // On iOS the content element may play the ads itself; its ended events
+    // during a break are not the content's.
+    if (this.linearAdPlaying_ || this.contentCompleteCalled_) {
+      return;
+    }
+    this.contentComplete();
+    if (this.allAdsCompleted_) {
+      this.emit_('complete', null);
+    }
+  };
+
+  /**
+   * Prefetches the ads for the next live ad break and plays them when it is
+   * due.
+   *
+   * @private
+   */
+  AdsController.prototype.scheduleLiveAdBreak_ = function() {
+    var interval = this.options_.liveAdBreakInterval;
+    this.adsLoader_.contentComplete();
+    this.allAdsCompleted_ = false;
+    this.adTagIndex_ = 0;
+    this.retryCount_ = 0;
+    this.requestAds_(Math.max(0, interval - LIVE_PREFETCH_LEAD_TIME));
+    clearTimeout(this.liveAdBreakTimer_);
+    this.liveAdBreakTimer_ = setTimeout(this.play.bind(this), interval * 1000);
+  };
+
+  /**
+   * @param {string} type
+   * @param {google.ima.Ad} ad
+   * @param {!Object=} fields Extra fields for the event.
+   * @private
+   */
+  AdsController.prototype.emit_ = function(type, ad, fields) {
+    var event = {type: type, ad: ad ? getAdMetadata(ad) : null};
+    for (var key in fields) {
+      event[key] = fields[key];
+    }
+    this.emit(event);
+  };
+
+  /**
+   * @param {!google.ima.Ad} ad
+   * @return {!AdsController.AdMetadata}
+   */
+  var getAdMetadata = function(ad) {
+    var podInfo = ad.getAdPodInfo();
+    return {
+      adId: ad.getAdId(),
+      creativeId: ad.getCreativeId(),
+      title: ad.getTitle(),
+      adSystem: ad.getAdSystem(),
+      duration: ad.getDuration(),
+      linear: ad.isLinear(),
+      skipOffset: ad.getSkipTimeOffset(),
+      adPosition: podInfo.getAdPosition(),
+      totalAds: podInfo.getTotalAds(),
+      podIndex: podInfo.getPodIndex(),
+      timeOffset: podInfo.getTimeOffset()
+    };
+  };
+
+  return AdsController;
+});
@@ -0,0 +1,33 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview ES module entry point for the ads controller, ad tag builder,
+ * consent manager and player group, for pages that load them with <script
+ * type="module">. The UMD files define their globals on the global object
+ * when they are evaluated as modules.
+ */
+import './event_emitter.js';
+import './ads_controller.js';
+import './ad_tag_builder.js';
+import './consent.js';
+import './player_group.js';
+
+const AdsController = self.AdsController;
+const AdTagBuilder = self.AdTagBuilder;
+const ConsentManager = self.ConsentManager;
+const PlayerGroup = self.PlayerGroup;
+
+export {AdsController, AdTagBuilder, ConsentManager, PlayerGroup};
+export default AdsController;
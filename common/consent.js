@@ -0,0 +1,363 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Reads the user's privacy choices from the consent management
+ * platforms (CMPs) on the page, through the IAB TCF v2 (__tcfapi), US Privacy
+ * (__uspapi) and GPP (__gpp) APIs, and turns them into ad tag parameters:
+ * gdpr, gdpr_consent, us_privacy, gpp, gpp_sid and npa.
+ *
+ * Consent is resolved once every CMP on the page has answered, or the
+ * timeout has passed. Until then AdsController either holds its ad requests
+ * or sends them as non-personalized, as the whileUnresolved option says.
+ * Ads are personalized only when every CMP answered and, where they apply,
+ * the TCF purposes for personalized ads (1, 3 and 4) are consented to and
+ * the user has not opted out of the sale of their data.
+ *
+ * Emits 'resolved', with consent and timedOut, once, and 'change', with
+ * consent, when the user changes their choices afterwards. 'resolved' comes
+ * asynchronously, even without a CMP, so listeners added straight after
+ * construction hear it. As a plain script
+ * it needs event_emitter.js and ad_tag_builder.js loaded first.
+ */
+(function(root, factory) {
+  if (typeof define == 'function' && define.amd) {
+    define(['./event_emitter', './ad_tag_builder'], factory);
+  } else if (typeof module == 'object' && module.exports) {
+    module.exports = factory(
+        require('./event_emitter.js'), require('./ad_tag_builder.js'));
+  } else {
+    root.ConsentManager = factory(root.EventEmitter, root.AdTagBuilder);
+  }
+})(typeof self != 'undefined' ? self : this, function(
+    EventEmitter, AdTagBuilder) {
+  'use strict';
+
+  /**
+   * TCF purposes that personalized ads need consent for: storing information
+   * on the device, and creating and using a personalized ads profile.
+   * @const {!Array<number>}
+   */
+  var PERSONALIZED_ADS_PURPOSES = [1, 3, 4];
+
+  /**
+   * Starts reading consent from the CMPs on the page straight away.
+   *
+   * @param {!ConsentManager.Options=} options
+   * @constructor
+   * @extends {EventEmitter}
+   */
+  var ConsentManager = function(options) {
+    EventEmitter.call(this);
+    options = options || {};
+    this.policy_ = options.whileUnresolved || ConsentManager.Policy.BLOCK;
+    this.resolved_ = false;
+    this.timeoutTimer_ = null;
+    this.callbacks_ = [];
+    /** @private {!ConsentManager.Consent} */
+    this.consent_ = {
+      gdprApplies: null,
+      tcString: '',
+      purposeConsents: {},
+      usPrivacy: '',
+      gppString: '',
+      gppSections: []
+    };
+    /**
+     * Whether each CMP found on the page has answered, by API name.
+     * @private {!Object<string, boolean>}
+     */
+    this.answered_ = {};
+
+    var win = options.window || (typeof window != 'undefined' ? window : {});
+    var readers = {
+      '__tcfapi': this.readTcf_,
+      '__uspapi': this.readUsp_,
+      '__gpp': this.readGpp_
+    };
+    var apis = Object.keys(readers).filter(function(api) {
+      return typeof win[api] == 'function';
+    });
+    apis.forEach(function(api) {
+      this.answered_[api] = false;
+    }, this);
+    if (!apis.length) {
+      this.resolve_(false);
+      return;
+    }
+    this.timeoutTimer_ = setTimeout(this.resolve_.bind(this, true),
+        options.timeout === undefined ? 3000 : options.timeout);
+    apis.forEach(function(api) {
+      try {
+        readers[api].call(this, win[api]);
+      } catch (e) {
+        // A broken CMP gives no signal; don't wait for it.
+        this.onAnswer_(api);
+      }
+    }, this);
+  };
+  ConsentManager.prototype = Object.create(EventEmitter.prototype);
+  ConsentManager.prototype.constructor = ConsentManager;
+
+  /**
+   * What to do with ad requests before consent has resolved.
+   * @enum {string}
+   */
+  ConsentManager.Policy = {
+    /** Hold them until it resolves. */
+    BLOCK: 'block',
+    /** Send them straight away, asking for non-personalized ads. */
+    NON_PERSONALIZED: 'nonPersonalized'
+  };
+
+  /**
+   * @typedef {{
+   *   whileUnresolved: (!ConsentManager.Policy|undefined),
+   *   timeout: (number|undefined),
+   *   window: (!Object|undefined)
+   * }}
+   *
+   * whileUnresolved: defaults to BLOCK.
+   * timeout: milliseconds to wait for the CMPs before resolving without
+   *     them, with non-personalized ads. Defaults to 3000.
+   * window: where to look for the CMP APIs. Defaults to the global object.
+   */
+  ConsentManager.Options;
+
+  /**
+   * @typedef {{
+   *   gdprApplies: ?boolean,
+   *   tcString: string,
+   *   purposeConsents: !Object<string, boolean>,
+   *   usPrivacy: string,
+   *   gppString: string,
+   *   gppSections: !Array<number>
+   * }}
+   *
+   * gdprApplies: null when no TCF CMP has said.
+   * purposeConsents: TCF purpose consents by purpose number.
+   * usPrivacy: the US Privacy string, e.g. '1YNN'.
+   * gppSections: the IDs of the GPP sections that apply.
+   */
+  ConsentManager.Consent;
+
+  /**
+   * @return {boolean} Whether every CMP has answered or the timeout passed.
+   */
+  ConsentManager.prototype.isResolved = function() {
+    return this.resolved_;
+  };
+
+  /**
+   * @return {boolean} Whether ad requests have to wait for consent.
+   */
+  ConsentManager.prototype.blocksRequests = function() {
+    return !this.resolved_ && this.policy_ == ConsentManager.Policy.BLOCK;
+  };
+
+  /**
+   * @param {function()} callback Called once consent has resolved, straight
+   *     away if it already has.
+   */
+  ConsentManager.prototype.whenResolved = function(callback) {
+    if (this.resolved_) {
+      callback();
+    } else {
+      this.callbacks_.push(callback);
+    }
+  };
+
+  /**
+   * @return {!ConsentManager.Consent} A copy of the choices read so far.
+   */
+  ConsentManager.prototype.getConsent = function() {
+    var consent = this.consent_;
+    var purposeConsents = {};
+    for (var purpose in consent.purposeConsents) {
+      purposeConsents[purpose] = consent.purposeConsents[purpose];
+    }
+    return {
+      gdprApplies: consent.gdprApplies,
+      tcString: consent.tcString,
+      purposeConsents: purposeConsents,
+      usPrivacy: consent.usPrivacy,
+      gppString: consent.gppString,
+      gppSections: consent.gppSections.slice()
+    };
+  };
+
+  /**
+   * @return {boolean} Whether personalized ads may be requested.
+   */
+  ConsentManager.prototype.isPersonalized = function() {
+    if (!this.resolved_) {
+      return false;
+    }
+    for (var api in this.answered_) {
+      if (!this.answered_[api]) {
+        return false;
+      }
+    }
+    var consent = this.consent_;
+    if (consent.gdprApplies) {
+      for (var i = 0; i < PERSONALIZED_ADS_PURPOSES.length; i++) {
+        if (!consent.purposeConsents[PERSONALIZED_ADS_PURPOSES[i]]) {
+          return false;
+        }
+      }
+    }
+    // The third character says whether the user opted out of the sale of
+    // their personal information.
+    return consent.usPrivacy.charAt(2).toUpperCase() != 'Y';
+  };
+
+  /**
+   * @return {!Object<string, string>} The privacy parameters for an ad tag.
+   */
+  ConsentManager.prototype.getAdTagParams = function() {
+    var consent = this.consent_;
+    var params = {};
+    if (consent.gdprApplies !== null) {
+      params['gdpr'] = consent.gdprApplies ? '1' : '0';
+      if (consent.tcString) {
+        params['gdpr_consent'] = consent.tcString;
+      }
+    }
+    if (consent.usPrivacy) {
+      params['us_privacy'] = consent.usPrivacy;
+    }
+    if (consent.gppString) {
+      params['gpp'] = consent.gppString;
+      if (consent.gppSections.length) {
+        params['gpp_sid'] = consent.gppSections.join(',');
+      }
+    }
+    if (!this.isPersonalized()) {
+      params['npa'] = '1';
+    }
+    return params;
+  };
+
+  /**
+   * @param {string} adTagUrl
+   * @return {string} The ad tag with the privacy parameters set.
+   */
+  ConsentManager.prototype.applyTo = function(adTagUrl) {
+    return AdTagBuilder.setParams(adTagUrl, this.getAdTagParams());
+  };
+
+  /**
+   * @param {function(string, number, function(Object, boolean))} tcfapi
+   * @private
+   */
+  ConsentManager.prototype.readTcf_ = function(tcfapi) {
+    tcfapi('addEventListener', 2, function(tcData, success) {
+      if (!success || !tcData) {
+        this.onAnswer_('__tcfapi');
+        return;
+      }
+      // While the CMP shows its UI (eventStatus 'cmpuishown') the user has
+      // not chosen yet.
+      if (tcData.gdprApplies === false || tcData.eventStatus == 'tcloaded' ||
+          tcData.eventStatus == 'useractioncomplete') {
+        this.consent_.gdprApplies = tcData.gdprApplies !== false;
+        this.consent_.tcString = tcData.tcString || '';
+        this.consent_.purposeConsents =
+            (tcData.purpose && tcData.purpose.consents) || {};
+        this.onAnswer_('__tcfapi');
+      }
+    }.bind(this));
+  };
+
+  /**
+   * @param {function(string, number, function(Object, boolean))} uspapi
+   * @private
+   */
+  ConsentManager.prototype.readUsp_ = function(uspapi) {
+    uspapi('getUSPData', 1, function(uspData, success) {
+      if (success && uspData) {
+        this.consent_.usPrivacy = uspData.uspString || '';
+      }
+      this.onAnswer_('__uspapi');
+    }.bind(this));
+  };
+
+  /**
+   * @param {function(string, function(Object, boolean))} gpp
+   * @private
+   */
+  ConsentManager.prototype.readGpp_ = function(gpp) {
+    gpp('addEventListener', function(event, success) {
+      var pingData = event && event.pingData;
+      if (!success || !pingData) {
+        this.onAnswer_('__gpp');
+        return;
+      }
+      if (pingData.signalStatus != 'ready') {
+        return;
+      }
+      this.consent_.gppString = pingData.gppString || '';
+      // [-1] means no section applies.
+      this.consent_.gppSections = (pingData.applicableSections || [])
+          .filter(function(section) {
+            return section > 0;
+          });
+      this.onAnswer_('__gpp');
+    }.bind(this));
+  };
+
+  /**
+   * @param {string} api
+   * @private
+   */
+  ConsentManager.prototype.onAnswer_ = function(api) {
+    this.answered_[api] = true;
+    if (this.resolved_) {
+      // The user changed their choices, or a CMP answered after the timeout.
+      this.emit({type: 'change', consent: this.getConsent()});
+      return;
+    }
+    for (var name in this.answered_) {
+      if (!this.answered_[name]) {
+        return;
+      }
+    }
+    this.resolve_(false);
+  };
+
+  /**
+   * @param {boolean} timedOut
+   * @private
+   */
+  ConsentManager.prototype.resolve_ = function(timedOut) {
+    if (this.resolved_) {
+      return;
+    }
+    this.resolved_ = true;
+    clearTimeout(this.timeoutTimer_);
+    // Consent can resolve inside the constructor, before anyone listens.
+    setTimeout(this.emit.bind(this, {
+      type: 'resolved',
+      consent: this.getConsent(),
+      timedOut: timedOut
+    }), 0);
+    var callbacks = this.callbacks_;
+    this.callbacks_ = [];
+    for (var i = 0; i < callbacks.length; i++) {
+      callbacks[i]();
+    }
+  };
+
+  return ConsentManager;
+});
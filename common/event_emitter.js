@@ -0,0 +1,101 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview A minimal on/off/once event emitter that the shared player
+ * modules extend.
+ */
+(function(root, factory) {
+  if (typeof define == 'function' && define.amd) {
+    define([], factory);
+  } else if (typeof module == 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.EventEmitter = factory();
+  }
+})(typeof self != 'undefined' ? self : this, function() {
+  'use strict';
+
+  /**
+   * @constructor
+   */
+  var EventEmitter = function() {
+    /**
+     * Listeners by event type, in the order they were added.
+     * @type {!Object<string, !Array<!Function>>}
+     * @private
+     */
+    this.listeners_ = {};
+  };
+
+  /**
+   * @param {string} type
+   * @param {!Function} listener Called with the event object.
+   * @return {!EventEmitter} This emitter, for chaining.
+   */
+  EventEmitter.prototype.on = function(type, listener) {
+    var listeners = this.listeners_[type] || (this.listeners_[type] = []);
+    listeners.push(listener);
+    return this;
+  };
+
+  /**
+   * Removes a listener added with on() or once().
+   *
+   * @param {string} type
+   * @param {!Function} listener
+   * @return {!EventEmitter} This emitter, for chaining.
+   */
+  EventEmitter.prototype.off = function(type, listener) {
+    var listeners = this.listeners_[type] || [];
+    for (var i = listeners.length - 1; i >= 0; i--) {
+      if (listeners[i] == listener || listeners[i].listener_ == listener) {
+        listeners.splice(i, 1);
+      }
+    }
+    return this;
+  };
+
+  /**
+   * Adds a listener that is removed after it is first called.
+   *
+   * @param {string} type
+   * @param {!Function} listener
+   * @return {!EventEmitter} This emitter, for chaining.
+   */
+  EventEmitter.prototype.once = function(type, listener) {
+    var self = this;
+    var wrapper = function(event) {
+      self.off(type, wrapper);
+      listener.call(self, event);
+    };
+    wrapper.listener_ = listener;
+    return this.on(type, wrapper);
+  };
+
+  /**
+   * Calls the listeners for event.type. Listeners added or removed while
+   * emitting take effect from the next event.
+   *
+   * @param {!Object} event An object with at least a type property.
+   */
+  EventEmitter.prototype.emit = function(event) {
+    var listeners = (this.listeners_[event.type] || []).slice();
+    for (var i = 0; i < listeners.length; i++) {
+      listeners[i].call(this, event);
+    }
+  };
+
+  return EventEmitter;
+});
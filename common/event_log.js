@@ -0,0 +1,277 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview A bounded store of structured log entries (time, severity,
+ * category, event type, ad and creative IDs) that can be filtered and
+ * exported as JSON or in a HAR-like format for bug reports.
+ *
+ * Emits an 'entry' event, with entry, for every entry added and a 'clear'
+ * event when cleared. As a plain script it needs event_emitter.js loaded
+ * first.
+ */
+(function(root, factory) {
+  if (typeof define == 'function' && define.amd) {
+    define(['./event_emitter'], factory);
+  } else if (typeof module == 'object' && module.exports) {
+    module.exports = factory(require('./event_emitter.js'));
+  } else {
+    root.EventLog = factory(root.EventEmitter);
+  }
+})(typeof self != 'undefined' ? self : this, function(EventEmitter) {
+  'use strict';
+
+  /**
+   * @param {!EventLog.Options=} options
+   * @constructor
+   * @extends {EventEmitter}
+   */
+  var EventLog = function(options) {
+    EventEmitter.call(this);
+    options = options || {};
+    this.maxEntries_ = options.maxEntries || 500;
+    this.mirrorToConsole_ = !!options.mirrorToConsole;
+    this.creator_ = options.creator || {name: 'EventLog', version: '1.0'};
+    /**
+     * Oldest first.
+     * @type {!Array<!EventLog.Entry>}
+     * @private
+     */
+    this.entries_ = [];
+  };
+  EventLog.prototype = Object.create(EventEmitter.prototype);
+  EventLog.prototype.constructor = EventLog;
+
+  /**
+   * Severities, least severe first.
+   * @const {!Array<string>}
+   */
+  EventLog.SEVERITIES = ['debug', 'info', 'warning', 'error'];
+
+  /**
+   * @typedef {{
+   *   maxEntries: (number|undefined),
+   *   mirrorToConsole: (boolean|undefined),
+   *   creator: ({name: string, version: string}|undefined)
+   * }}
+   *
+   * maxEntries: how many entries to keep; the oldest are dropped first.
+   *     Defaults to 500.
+   * mirrorToConsole: also write each entry to the browser console. Defaults
+   *     to false.
+   * creator: the application named in HAR exports.
+   */
+  EventLog.Options;
+
+  /**
+   * @typedef {{
+   *   time: number,
+   *   severity: string,
+   *   category: string,
+   *   type: string,
+   *   message: string,
+   *   adId: string,
+   *   creativeId: string
+   * }}
+   *
+   * time: milliseconds since the epoch.
+   * severity: one of EventLog.SEVERITIES.
+   * category: what the entry is about, e.g. 'ad', 'content' or 'app'.
+   */
+  EventLog.Entry;
+
+  /**
+   * @typedef {{
+   *   category: (string|undefined),
+   *   minSeverity: (string|undefined),
+   *   text: (string|undefined)
+   * }}
+   *
+   * Each field left empty matches every entry. text matches the type,
+   * message and IDs, ignoring case.
+   */
+  EventLog.Filter;
+
+  /**
+   * Adds an entry. Missing fields default to an info entry in the 'app'
+   * category, logged now.
+   *
+   * @param {{
+   *   severity: (string|undefined),
+   *   category: (string|undefined),
+   *   type: (string|undefined),
+   *   message: (string|undefined),
+   *   adId: (string|undefined),
+   *   creativeId: (string|undefined)
+   * }} fields
+   * @return {!EventLog.Entry}
+   */
+  EventLog.prototype.add = function(fields) {
+    var entry = {
+      time: Date.now(),
+      severity: EventLog.SEVERITIES.indexOf(fields.severity) == -1 ?
+          'info' : fields.severity,
+      category: fields.category || 'app',
+      type: fields.type || '',
+      message: String(fields.message || ''),
+      adId: fields.adId || '',
+      creativeId: fields.creativeId || ''
+    };
+    this.entries_.push(entry);
+    if (this.entries_.length > this.maxEntries_) {
+      this.entries_.splice(0, this.entries_.length - this.maxEntries_);
+    }
+    if (this.mirrorToConsole_ && typeof console != 'undefined') {
+      var method = entry.severity == 'error' ? 'error' :
+          entry.severity == 'warning' ? 'warn' : 'log';
+      console[method](EventLog.format(entry));
+    }
+    this.emit({type: 'entry', entry: entry});
+    return entry;
+  };
+
+  /**
+   * @param {!EventLog.Filter=} filter
+   * @return {!Array<!EventLog.Entry>} The matching entries, oldest first.
+   */
+  EventLog.prototype.getEntries = function(filter) {
+    return this.entries_.filter(function(entry) {
+      return EventLog.matches(entry, filter);
+    });
+  };
+
+  /**
+   * @return {number} The most entries kept at once.
+   */
+  EventLog.prototype.getMaxEntries = function() {
+    return this.maxEntries_;
+  };
+
+  EventLog.prototype.clear = function() {
+    this.entries_ = [];
+    this.emit({type: 'clear'});
+  };
+
+  /**
+   * @param {!EventLog.Filter=} filter
+   * @return {string} The matching entries as a JSON array, with ISO 8601
+   *     times.
+   */
+  EventLog.prototype.toJson = function(filter) {
+    return JSON.stringify(this.getEntries(filter).map(function(entry) {
+      return {
+        time: new Date(entry.time).toISOString(),
+        severity: entry.severity,
+        category: entry.category,
+        type: entry.type,
+        message: entry.message,
+        adId: entry.adId,
+        creativeId: entry.creativeId
+      };
+    }), null, 2);
+  };
+
+  /**
+   * Exports the matching entries in the shape of a HAR 1.2 file, so they can
+   * be attached to bug reports next to a network capture. Entries carry the
+   * log fields as custom (underscore-prefixed) fields rather than requests.
+   *
+   * @param {!EventLog.Filter=} filter
+   * @return {string}
+   */
+  EventLog.prototype.toHar = function(filter) {
+    var entries = this.getEntries(filter);
+    var page = {
+      startedDateTime: new Date(
+          entries.length ? entries[0].time : Date.now()).toISOString(),
+      id: 'page_1',
+      title: typeof document != 'undefined' ? document.title : '',
+      pageTimings: {}
+    };
+    return JSON.stringify({
+      log: {
+        version: '1.2',
+        creator: this.creator_,
+        pages: [page],
+        entries: entries.map(function(entry) {
+          return {
+            pageref: page.id,
+            startedDateTime: new Date(entry.time).toISOString(),
+            time: 0,
+            comment: entry.message,
+            _severity: entry.severity,
+            _category: entry.category,
+            _type: entry.type,
+            _adId: entry.adId,
+            _creativeId: entry.creativeId
+          };
+        })
+      }
+    }, null, 2);
+  };
+
+  /**
+   * @param {!EventLog.Entry} entry
+   * @param {!EventLog.Filter=} filter
+   * @return {boolean}
+   */
+  EventLog.matches = function(entry, filter) {
+    if (!filter) {
+      return true;
+    }
+    if (filter.category && entry.category != filter.category) {
+      return false;
+    }
+    if (filter.minSeverity &&
+        EventLog.SEVERITIES.indexOf(entry.severity) <
+        EventLog.SEVERITIES.indexOf(filter.minSeverity)) {
+      return false;
+    }
+    if (filter.text) {
+      var haystack = [entry.type, entry.message, entry.adId, entry.creativeId]
+          .join(' ').toLowerCase();
+      if (haystack.indexOf(filter.text.toLowerCase()) == -1) {
+        return false;
+      }
+    }
+    return true;
+  };
+
+  /**
+   * @param {!EventLog.Entry} entry
+   * @return {string} The entry on one line, e.g. for the browser console.
+   */
+  EventLog.format = function(entry) {
+    var ids = [entry.adId, entry.creativeId].filter(Boolean).join('/');
+    return EventLog.formatTime(entry.time) + ' [' + entry.severity + '] ' +
+        entry.category + (entry.type ? ' ' + entry.type : '') +
+        (entry.message ? ': ' + entry.message : '') +
+        (ids ? ' (' + ids + ')' : '');
+  };
+
+  /**
+   * @param {number} time Milliseconds since the epoch.
+   * @return {string} The local time as HH:MM:SS.mmm.
+   */
+  EventLog.formatTime = function(time) {
+    var date = new Date(time);
+    var pad = function(value, length) {
+      return ('00' + value).slice(-length);
+    };
+    return pad(date.getHours(), 2) + ':' + pad(date.getMinutes(), 2) + ':' +
+        pad(date.getSeconds(), 2) + '.' + pad(date.getMilliseconds(), 3);
+  };
+
+  return EventLog;
+});
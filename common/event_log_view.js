@@ -0,0 +1,265 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Shows an EventLog in a page element, with controls to filter
+ * it by category, severity and text, export it and clear it. Entries are
+ * rendered as text, never as markup.
+ */
+(function(root, factory) {
+  if (typeof define == 'function' && define.amd) {
+    define(['./event_log'], factory);
+  } else if (typeof module == 'object' && module.exports) {
+    module.exports = factory(require('./event_log.js'));
+  } else {
+    root.EventLogView = factory(root.EventLog);
+  }
+})(typeof self != 'undefined' ? self : this, function(EventLog) {
+  'use strict';
+
+  /**
+   * @param {!EventLog} eventLog
+   * @param {!Element} container Emptied and filled with the controls and
+   *     entries.
+   * @param {!EventLogView.Options=} options
+   * @constructor
+   */
+  var EventLogView = function(eventLog, container, options) {
+    options = options || {};
+    this.eventLog_ = eventLog;
+    this.filename_ = options.filename || 'event-log';
+    /** @private {!EventLog.Filter} */
+    this.filter_ = {
+      category: '',
+      minSeverity: options.minSeverity || 'info',
+      text: ''
+    };
+    this.categories_ = [];
+
+    var doc = container.ownerDocument;
+    container.textContent = '';
+    var toolbar = doc.createElement('div');
+    toolbar.className = 'logToolbar';
+    container.appendChild(toolbar);
+
+    this.categorySelect_ = this.createSelect_(toolbar, 'Category', [''], {
+      '': 'All categories'
+    });
+    this.categorySelect_.addEventListener(
+        'change', this.onFilterChange_.bind(this), false);
+    this.severitySelect_ = this.createSelect_(
+        toolbar, 'Minimum severity', EventLog.SEVERITIES, {});
+    this.severitySelect_.value = this.filter_.minSeverity;
+    this.severitySelect_.addEventListener(
+        'change', this.onFilterChange_.bind(this), false);
+    this.searchBox_ = doc.createElement('input');
+    this.searchBox_.type = 'search';
+    this.searchBox_.placeholder = 'Filter';
+    this.searchBox_.setAttribute('aria-label', 'Filter text');
+    this.searchBox_.addEventListener(
+        'input', this.onFilterChange_.bind(this), false);
+    toolbar.appendChild(this.searchBox_);
+
+    this.createButton_(toolbar, 'JSON', 'Export as JSON',
+        this.download_.bind(this, 'json'));
+    this.createButton_(toolbar, 'HAR', 'Export in HAR format',
+        this.download_.bind(this, 'har'));
+    this.createButton_(toolbar, 'Clear', 'Clear the log',
+        eventLog.clear.bind(eventLog));
+
+    this.list_ = doc.createElement('div');
+    this.list_.className = 'logEntries';
+    container.appendChild(this.list_);
+
+    var categories = options.categories || [];
+    for (var i = 0; i < categories.length; i++) {
+      this.addCategory_(categories[i]);
+    }
+    eventLog.on('entry', this.onEntry_.bind(this));
+    eventLog.on('clear', this.render_.bind(this));
+    this.render_();
+  };
+
+  /**
+   * @typedef {{
+   *   categories: (!Array<string>|undefined),
+   *   minSeverity: (string|undefined),
+   *   filename: (string|undefined)
+   * }}
+   *
+   * categories: offered in the category filter from the start; others are
+   *     added as entries arrive.
+   * minSeverity: the initial severity filter. Defaults to 'info'.
+   * filename: the name of exported files, without extension.
+   */
+  EventLogView.Options;
+
+  /**
+   * @param {!Element} parent
+   * @param {string} label
+   * @param {!Array<string>} values
+   * @param {!Object<string, string>} names Option text by value, where it
+   *     differs from the value.
+   * @return {!HTMLSelectElement}
+   * @private
+   */
+  EventLogView.prototype.createSelect_ = function(
+      parent, label, values, names) {
+    var select = parent.ownerDocument.createElement('select');
+    select.setAttribute('aria-label', label);
+    for (var i = 0; i < values.length; i++) {
+      this.addOption_(select, values[i], names[values[i]] || values[i]);
+    }
+    parent.appendChild(select);
+    return select;
+  };
+
+  /**
+   * @param {!HTMLSelectElement} select
+   * @param {string} value
+   * @param {string} text
+   * @private
+   */
+  EventLogView.prototype.addOption_ = function(select, value, text) {
+    var option = select.ownerDocument.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    select.appendChild(option);
+  };
+
+  /**
+   * @param {!Element} parent
+   * @param {string} text
+   * @param {string} title
+   * @param {function()} onClick
+   * @private
+   */
+  EventLogView.prototype.createButton_ = function(
+      parent, text, title, onClick) {
+    var button = parent.ownerDocument.createElement('button');
+    button.textContent = text;
+    button.title = title;
+    button.addEventListener('click', onClick, false);
+    parent.appendChild(button);
+  };
+
+  /**
+   * @param {string} category
+   * @private
+   */
+  EventLogView.prototype.addCategory_ = function(category) {
+    if (this.categories_.indexOf(category) == -1) {
+      this.categories_.push(category);
+      this.addOption_(this.categorySelect_, category, category);
+    }
+  };
+
+  /**
+   * @private
+   */
+  EventLogView.prototype.onFilterChange_ = function() {
+    this.filter_.category = this.categorySelect_.value;
+    this.filter_.minSeverity = this.severitySelect_.value;
+    this.filter_.text = this.searchBox_.value;
+    this.render_();
+  };
+
+  /**
+   * @param {{entry: !EventLog.Entry}} event
+   * @private
+   */
+  EventLogView.prototype.onEntry_ = function(event) {
+    this.addCategory_(event.entry.category);
+    if (!EventLog.matches(event.entry, this.filter_)) {
+      return;
+    }
+    var atBottom = this.list_.scrollTop + this.list_.clientHeight >=
+        this.list_.scrollHeight - 1;
+    this.list_.appendChild(this.renderEntry_(event.entry));
+    // Keep no more rows than the log keeps entries.
+    while (this.list_.childNodes.length > this.eventLog_.getMaxEntries()) {
+      this.list_.removeChild(this.list_.firstChild);
+    }
+    // Follow new entries unless the user has scrolled up to read.
+    if (atBottom) {
+      this.list_.scrollTop = this.list_.scrollHeight;
+    }
+  };
+
+  /**
+   * @private
+   */
+  EventLogView.prototype.render_ = function() {
+    this.list_.textContent = '';
+    var entries = this.eventLog_.getEntries(this.filter_);
+    for (var i = 0; i < entries.length; i++) {
+      this.list_.appendChild(this.renderEntry_(entries[i]));
+    }
+    this.list_.scrollTop = this.list_.scrollHeight;
+  };
+
+  /**
+   * @param {!EventLog.Entry} entry
+   * @return {!Element}
+   * @private
+   */
+  EventLogView.prototype.renderEntry_ = function(entry) {
+    var doc = this.list_.ownerDocument;
+    var row = doc.createElement('div');
+    row.className = 'logEntry ' + entry.severity;
+    var ids = [entry.adId, entry.creativeId].filter(Boolean).join('/');
+    var cells = [
+      ['logTime', EventLog.formatTime(entry.time)],
+      ['logCategory', entry.category],
+      ['logType', entry.type],
+      ['logMessage', entry.message],
+      ['logIds', ids]
+    ];
+    for (var i = 0; i < cells.length; i++) {
+      if (!cells[i][1]) {
+        continue;
+      }
+      var cell = doc.createElement('span');
+      cell.className = cells[i][0];
+      cell.textContent = cells[i][1];
+      row.appendChild(cell);
+    }
+    return row;
+  };
+
+  /**
+   * Saves the entries that pass the current filter to a file.
+   *
+   * @param {string} format 'json' or 'har'.
+   * @private
+   */
+  EventLogView.prototype.download_ = function(format) {
+    var text = format == 'har' ?
+        this.eventLog_.toHar(this.filter_) :
+        this.eventLog_.toJson(this.filter_);
+    var blob = new Blob([text], {type: 'application/json'});
+    var url = URL.createObjectURL(blob);
+    var link = this.list_.ownerDocument.createElement('a');
+    link.href = url;
+    link.download = this.filename_ + '.' + format;
+    this.list_.ownerDocument.body.appendChild(link);
+    link.click();
+    link.parentNode.removeChild(link);
+    setTimeout(function() {
+      URL.revokeObjectURL(url);
+    }, 0);
+  };
+
+  return EventLogView;
+});
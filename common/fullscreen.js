@@ -0,0 +1,280 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Puts one player into fullscreen and tells the page when it
+ * enters or leaves it, however that happens: the player's button, the Escape
+ * key or the browser's own controls.
+ *
+ * Only the player's container goes fullscreen, through the Fullscreen API
+ * (prefixed where needed), so the rest of the page and other players on it
+ * are left alone. On iPhone, which only lets a video element go fullscreen,
+ * the content video does, with webkitEnterFullscreen. Without either the
+ * player is left to fill the window.
+ *
+ * State comes from the browser's fullscreenchange events and the fullscreen
+ * element, not from the button, so it stays right when fullscreen is left
+ * some other way or another element goes fullscreen.
+ *
+ * Emits 'change', with fullscreen, mode (a FullscreenManager.Mode) and
+ * viewMode (the google.ima.ViewMode to resize the ads with), and 'error',
+ * with error, when the browser refuses. As a plain script it needs
+ * event_emitter.js loaded first.
+ */
+(function(root, factory) {
+  if (typeof define == 'function' && define.amd) {
+    define(['./event_emitter'], factory);
+  } else if (typeof module == 'object' && module.exports) {
+    module.exports = factory(require('./event_emitter.js'));
+  } else {
+    root.FullscreenManager = factory(root.EventEmitter);
+  }
+})(typeof self != 'undefined' ? self : this, function(EventEmitter) {
+  'use strict';
+
+  /**
+   * The Fullscreen API's names, standard first.
+   * @const {!Array<{request: string, exit: string, element: string,
+   *     change: string, error: string}>}
+   */
+  var APIS = [
+    {
+      request: 'requestFullscreen',
+      exit: 'exitFullscreen',
+      element: 'fullscreenElement',
+      change: 'fullscreenchange',
+      error: 'fullscreenerror'
+    },
+    {
+      request: 'webkitRequestFullscreen',
+      exit: 'webkitExitFullscreen',
+      element: 'webkitFullscreenElement',
+      change: 'webkitfullscreenchange',
+      error: 'webkitfullscreenerror'
+    },
+    {
+      request: 'mozRequestFullScreen',
+      exit: 'mozCancelFullScreen',
+      element: 'mozFullScreenElement',
+      change: 'mozfullscreenchange',
+      error: 'mozfullscreenerror'
+    },
+    {
+      request: 'msRequestFullscreen',
+      exit: 'msExitFullscreen',
+      element: 'msFullscreenElement',
+      change: 'MSFullscreenChange',
+      error: 'MSFullscreenError'
+    }
+  ];
+
+  /**
+   * @param {!Element} container The player element to make fullscreen.
+   * @param {!HTMLVideoElement} videoElement The content video, for iPhone.
+   * @constructor
+   * @extends {EventEmitter}
+   */
+  var FullscreenManager = function(container, videoElement) {
+    EventEmitter.call(this);
+    this.container_ = container;
+    this.videoElement_ = videoElement;
+    this.document_ = container.ownerDocument;
+    /** @private {?FullscreenManager.Mode} Null when not fullscreen. */
+    this.mode_ = null;
+
+    this.api_ = null;
+    for (var i = 0; i < APIS.length; i++) {
+      if (typeof container[APIS[i].request] == 'function') {
+        this.api_ = APIS[i];
+        break;
+      }
+    }
+
+    this.onChange_ = this.onChange_.bind(this);
+    this.onError_ = this.onError_.bind(this);
+    this.onVideoBegin_ = this.onVideoFullscreen_.bind(this, true);
+    this.onVideoEnd_ = this.onVideoFullscreen_.bind(this, false);
+    this.onKeyDown_ = this.onKeyDown_.bind(this);
+    if (this.api_) {
+      this.document_.addEventListener(this.api_.change, this.onChange_, false);
+      this.document_.addEventListener(this.api_.error, this.onError_, false);
+    }
+    videoElement.addEventListener(
+        'webkitbeginfullscreen', this.onVideoBegin_, false);
+    videoElement.addEventListener(
+        'webkitendfullscreen', this.onVideoEnd_, false);
+    this.document_.addEventListener('keydown', this.onKeyDown_, false);
+  };
+  FullscreenManager.prototype = Object.create(EventEmitter.prototype);
+  FullscreenManager.prototype.constructor = FullscreenManager;
+
+  /**
+   * How the player is fullscreen.
+   * @enum {string}
+   */
+  FullscreenManager.Mode = {
+    /** The container is the document's fullscreen element. */
+    ELEMENT: 'element',
+    /** The content video is in the iOS native player. */
+    VIDEO: 'video',
+    /** The page styles the container to fill the window. */
+    WINDOW: 'window'
+  };
+
+  /**
+   * @return {boolean}
+   */
+  FullscreenManager.prototype.isFullscreen = function() {
+    return this.mode_ !== null;
+  };
+
+  /**
+   * @return {?FullscreenManager.Mode} Null when not fullscreen.
+   */
+  FullscreenManager.prototype.getMode = function() {
+    return this.mode_;
+  };
+
+  FullscreenManager.prototype.toggle = function() {
+    if (this.isFullscreen()) {
+      this.exit();
+    } else {
+      this.enter();
+    }
+  };
+
+  /**
+   * Call from a click or key handler; browsers only allow fullscreen in
+   * response to the user.
+   */
+  FullscreenManager.prototype.enter = function() {
+    if (this.isFullscreen()) {
+      return;
+    }
+    var video = this.videoElement_;
+    if (this.api_) {
+      ignoreRejection(this.container_[this.api_.request]());
+    } else if (typeof video.webkitEnterFullscreen == 'function' &&
+        video.webkitSupportsFullscreen) {
+      video.webkitEnterFullscreen();
+    } else {
+      this.setMode_(FullscreenManager.Mode.WINDOW);
+    }
+  };
+
+  FullscreenManager.prototype.exit = function() {
+    switch (this.mode_) {
+      case FullscreenManager.Mode.ELEMENT:
+        ignoreRejection(this.document_[this.api_.exit]());
+        break;
+      case FullscreenManager.Mode.VIDEO:
+        this.videoElement_.webkitExitFullscreen();
+        break;
+      case FullscreenManager.Mode.WINDOW:
+        this.setMode_(null);
+        break;
+    }
+  };
+
+  /**
+   * Stops following fullscreen changes.
+   */
+  FullscreenManager.prototype.destroy = function() {
+    if (this.api_) {
+      this.document_.removeEventListener(
+          this.api_.change, this.onChange_, false);
+      this.document_.removeEventListener(this.api_.error, this.onError_, false);
+    }
+    this.videoElement_.removeEventListener(
+        'webkitbeginfullscreen', this.onVideoBegin_, false);
+    this.videoElement_.removeEventListener(
+        'webkitendfullscreen', this.onVideoEnd_, false);
+    this.document_.removeEventListener('keydown', this.onKeyDown_, false);
+  };
+
+  /**
+   * @private
+   */
+  FullscreenManager.prototype.onChange_ = function() {
+    // Fires for every element on the page; only this container counts.
+    var fullscreen = this.document_[this.api_.element] === this.container_;
+    if (fullscreen) {
+      this.setMode_(FullscreenManager.Mode.ELEMENT);
+    } else if (this.mode_ == FullscreenManager.Mode.ELEMENT) {
+      this.setMode_(null);
+    }
+  };
+
+  /**
+   * @param {boolean} fullscreen
+   * @private
+   */
+  FullscreenManager.prototype.onVideoFullscreen_ = function(fullscreen) {
+    this.setMode_(fullscreen ? FullscreenManager.Mode.VIDEO : null);
+  };
+
+  /**
+   * @param {!Event} error The fullscreenerror event.
+   * @private
+   */
+  FullscreenManager.prototype.onError_ = function(error) {
+    this.emit({type: 'error', error: error});
+  };
+
+  /**
+   * The browser leaves real fullscreen on Escape by itself; do the same when
+   * the player only fills the window.
+   *
+   * @param {!KeyboardEvent} event
+   * @private
+   */
+  FullscreenManager.prototype.onKeyDown_ = function(event) {
+    if (this.mode_ == FullscreenManager.Mode.WINDOW &&
+        (event.key == 'Escape' || event.key == 'Esc')) {
+      this.setMode_(null);
+    }
+  };
+
+  /**
+   * @param {?FullscreenManager.Mode} mode
+   * @private
+   */
+  FullscreenManager.prototype.setMode_ = function(mode) {
+    if (mode === this.mode_) {
+      return;
+    }
+    this.mode_ = mode;
+    this.emit({
+      type: 'change',
+      fullscreen: mode !== null,
+      mode: mode,
+      viewMode: mode !== null ?
+          google.ima.ViewMode.FULLSCREEN : google.ima.ViewMode.NORMAL
+    });
+  };
+
+  /**
+   * Newer browsers also reject the promise from requestFullscreen() and
+   * exitFullscreen() when they refuse; the error event already reports it.
+   *
+   * @param {*} result
+   */
+  var ignoreRejection = function(result) {
+    if (result && typeof result.then == 'function') {
+      result.then(null, function() {});
+    }
+  };
+
+  return FullscreenManager;
+});
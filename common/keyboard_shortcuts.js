@@ -0,0 +1,150 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Turns key presses inside a player into player commands:
+ * space to play or pause, f for fullscreen, m to mute, left and right arrows
+ * to seek and up and down arrows for the volume.
+ *
+ * Keys are only taken while focus is inside the player, so the rest of the
+ * page keeps its own keys, and never from text fields or with Ctrl, Alt or
+ * Meta held, so browser shortcuts still work. Space is left to buttons and
+ * other elements it activates, so it presses the focused button rather than
+ * playing or pausing. Keys that are taken don't scroll the page.
+ *
+ * Emits one event per command: 'playPause', 'fullscreen', 'mute', 'seek',
+ * with delta in seconds, and 'volume', with delta from -1 to 1. As a plain
+ * script it needs event_emitter.js loaded first.
+ */
+(function(root, factory) {
+  if (typeof define == 'function' && define.amd) {
+    define(['./event_emitter'], factory);
+  } else if (typeof module == 'object' && module.exports) {
+    module.exports = factory(require('./event_emitter.js'));
+  } else {
+    root.KeyboardShortcuts = factory(root.EventEmitter);
+  }
+})(typeof self != 'undefined' ? self : this, function(EventEmitter) {
+  'use strict';
+
+  /**
+   * The command for each key, by KeyboardEvent.key. 'Spacebar', 'Left' and
+   * so on are what older browsers report.
+   * @const {!Object<string, {type: string, delta: (number|undefined)}>}
+   */
+  var KEYS = {
+    ' ': {type: 'playPause'},
+    'Spacebar': {type: 'playPause'},
+    'f': {type: 'fullscreen'},
+    'F': {type: 'fullscreen'},
+    'm': {type: 'mute'},
+    'M': {type: 'mute'},
+    'ArrowLeft': {type: 'seek', delta: -1},
+    'Left': {type: 'seek', delta: -1},
+    'ArrowRight': {type: 'seek', delta: 1},
+    'Right': {type: 'seek', delta: 1},
+    'ArrowUp': {type: 'volume', delta: 1},
+    'Up': {type: 'volume', delta: 1},
+    'ArrowDown': {type: 'volume', delta: -1},
+    'Down': {type: 'volume', delta: -1}
+  };
+
+  /**
+   * Elements whose keys are typed, not commands.
+   * @const {!Array<string>}
+   */
+  var TEXT_ELEMENTS = ['INPUT', 'TEXTAREA', 'SELECT'];
+
+  /**
+   * Elements that space activates.
+   * @const {!Array<string>}
+   */
+  var ACTIVATED_ELEMENTS = ['BUTTON', 'SUMMARY'];
+
+  /**
+   * Roles of elements that space activates.
+   * @const {!Array<string>}
+   */
+  var ACTIVATED_ROLES =
+      ['button', 'checkbox', 'switch', 'menuitem', 'option', 'tab', 'radio'];
+
+  /**
+   * @param {!Element} container The player. Give it a tabindex so it can
+   *     take focus itself.
+   * @param {!KeyboardShortcuts.Options=} options
+   * @constructor
+   * @extends {EventEmitter}
+   */
+  var KeyboardShortcuts = function(container, options) {
+    EventEmitter.call(this);
+    options = options || {};
+    this.container_ = container;
+    this.seekStep_ = options.seekStep || 5;
+    this.volumeStep_ = options.volumeStep || 0.1;
+    this.onKeyDown_ = this.onKeyDown_.bind(this);
+    container.addEventListener('keydown', this.onKeyDown_, false);
+  };
+  KeyboardShortcuts.prototype = Object.create(EventEmitter.prototype);
+  KeyboardShortcuts.prototype.constructor = KeyboardShortcuts;
+
+  /**
+   * @typedef {{
+   *   seekStep: (number|undefined),
+   *   volumeStep: (number|undefined)
+   * }}
+   *
+   * seekStep: seconds an arrow key seeks by. Defaults to 5.
+   * volumeStep: how much an arrow key changes the volume by, from 0 to 1.
+   *     Defaults to 0.1.
+   */
+  KeyboardShortcuts.Options;
+
+  /**
+   * Stops taking keys.
+   */
+  KeyboardShortcuts.prototype.destroy = function() {
+    this.container_.removeEventListener('keydown', this.onKeyDown_, false);
+  };
+
+  /**
+   * @param {!KeyboardEvent} event
+   * @private
+   */
+  KeyboardShortcuts.prototype.onKeyDown_ = function(event) {
+    var command = KEYS[event.key];
+    var target = event.target;
+    if (!command || event.ctrlKey || event.altKey || event.metaKey ||
+        TEXT_ELEMENTS.indexOf(target.tagName) != -1 ||
+        target.isContentEditable ||
+        (command.type == 'playPause' && isActivatedBySpace(target))) {
+      return;
+    }
+    event.preventDefault();
+    var step = command.type == 'seek' ? this.seekStep_ : this.volumeStep_;
+    this.emit(command.delta === undefined ?
+        {type: command.type} :
+        {type: command.type, delta: command.delta * step});
+  };
+
+  /**
+   * @param {!Element} element
+   * @return {boolean} Whether space does something of its own on the element.
+   */
+  function isActivatedBySpace(element) {
+    return ACTIVATED_ELEMENTS.indexOf(element.tagName) != -1 ||
+        ACTIVATED_ROLES.indexOf(element.getAttribute('role')) != -1;
+  }
+
+  return KeyboardShortcuts;
+});
@@ -0,0 +1,274 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Moves a player's content video into a picture-in-picture
+ * window and back, through the Picture-in-Picture API or, in Safari,
+ * webkitSetPresentationMode.
+ *
+ * Only the content video goes into the window. Linear ads play in the ad
+ * container in the page, so when a break starts while the content is in
+ * picture-in-picture, the manager follows its adPolicy: leave the window so
+ * the ad is seen in the page, or keep the window and hold the ad paused
+ * until the user comes back to the page. Playing the content from the window
+ * while an ad is held also brings the user back. Browsers only open the
+ * window in response to the user, so it is not reopened after the break.
+ *
+ * State comes from the video's enterpictureinpicture and
+ * leavepictureinpicture events, so it stays right when the user closes the
+ * window with the browser's own controls.
+ *
+ * Emits 'change', with active, and adResumed, true when leaving the window
+ * resumed a held ad, and 'error', with error, when the browser refuses. As a
+ * plain script it needs event_emitter.js loaded first.
+ */
+(function(root, factory) {
+  if (typeof define == 'function' && define.amd) {
+    define(['./event_emitter'], factory);
+  } else if (typeof module == 'object' && module.exports) {
+    module.exports = factory(require('./event_emitter.js'));
+  } else {
+    root.PictureInPictureManager = factory(root.EventEmitter);
+  }
+})(typeof self != 'undefined' ? self : this, function(EventEmitter) {
+  'use strict';
+
+  /**
+   * Safari's presentation mode for picture-in-picture.
+   * @const {string}
+   */
+  var WEBKIT_MODE = 'picture-in-picture';
+
+  /**
+   * @param {!HTMLVideoElement} videoElement The content video.
+   * @param {!AdsController} adsController The player's ads.
+   * @param {!PictureInPictureManager.Options=} options
+   * @constructor
+   * @extends {EventEmitter}
+   */
+  var PictureInPictureManager = function(videoElement, adsController,
+      options) {
+    EventEmitter.call(this);
+    options = options || {};
+    this.videoElement_ = videoElement;
+    this.ads_ = adsController;
+    this.document_ = videoElement.ownerDocument;
+    this.adPolicy_ = options.adPolicy ||
+        PictureInPictureManager.AdPolicy.SHOW_AD;
+    this.active_ = false;
+    /** @private {boolean} Whether the ad is paused until the user returns. */
+    this.adHeld_ = false;
+
+    this.onEnter_ = this.setActive_.bind(this, true);
+    this.onLeave_ = this.setActive_.bind(this, false);
+    this.onPresentationModeChanged_ =
+        this.onPresentationModeChanged_.bind(this);
+    this.onContentPlay_ = this.onContentPlay_.bind(this);
+    this.onBreakStart_ = this.onBreakStart_.bind(this);
+    this.onAdStart_ = this.onAdStart_.bind(this);
+    this.onBreakEnd_ = this.onBreakEnd_.bind(this);
+    videoElement.addEventListener('enterpictureinpicture', this.onEnter_,
+        false);
+    videoElement.addEventListener('leavepictureinpicture', this.onLeave_,
+        false);
+    videoElement.addEventListener('webkitpresentationmodechanged',
+        this.onPresentationModeChanged_, false);
+    videoElement.addEventListener('play', this.onContentPlay_, false);
+    adsController.on('breakStart', this.onBreakStart_);
+    adsController.on('adStart', this.onAdStart_);
+    adsController.on('breakEnd', this.onBreakEnd_);
+  };
+  PictureInPictureManager.prototype = Object.create(EventEmitter.prototype);
+  PictureInPictureManager.prototype.constructor = PictureInPictureManager;
+
+  /**
+   * What to do when a linear ad break starts while the content is in
+   * picture-in-picture.
+   * @enum {string}
+   */
+  PictureInPictureManager.AdPolicy = {
+    /** Leave picture-in-picture, so the ad plays in the page. */
+    SHOW_AD: 'showAd',
+    /** Stay in picture-in-picture and hold the ad until the user leaves. */
+    PAUSE_AD: 'pauseAd'
+  };
+
+  /**
+   * @typedef {{
+   *   adPolicy: (!PictureInPictureManager.AdPolicy|undefined)
+   * }}
+   *
+   * adPolicy: defaults to SHOW_AD.
+   */
+  PictureInPictureManager.Options;
+
+  /**
+   * @return {boolean} Whether the browser can put the content video into
+   *     picture-in-picture.
+   */
+  PictureInPictureManager.prototype.isSupported = function() {
+    var video = this.videoElement_;
+    if (this.document_.pictureInPictureEnabled) {
+      return !video.disablePictureInPicture;
+    }
+    return typeof video.webkitSupportsPresentationMode == 'function' &&
+        video.webkitSupportsPresentationMode(WEBKIT_MODE);
+  };
+
+  /**
+   * @return {boolean}
+   */
+  PictureInPictureManager.prototype.isActive = function() {
+    return this.active_;
+  };
+
+  PictureInPictureManager.prototype.toggle = function() {
+    if (this.active_) {
+      this.exit();
+    } else {
+      this.enter();
+    }
+  };
+
+  /**
+   * Call from a click or key handler; browsers only allow picture-in-picture
+   * in response to the user. Does nothing during a linear ad break, when
+   * the content video is not what the user is watching.
+   */
+  PictureInPictureManager.prototype.enter = function() {
+    if (this.active_ || this.ads_.isLinearAdPlaying()) {
+      return;
+    }
+    var video = this.videoElement_;
+    if (!this.isSupported()) {
+      this.emit({
+        type: 'error',
+        error: new Error('Picture-in-picture is not supported.')
+      });
+    } else if (typeof video.requestPictureInPicture == 'function') {
+      video.requestPictureInPicture().then(null, this.onError_.bind(this));
+    } else {
+      video.webkitSetPresentationMode(WEBKIT_MODE);
+    }
+  };
+
+  PictureInPictureManager.prototype.exit = function() {
+    if (!this.active_) {
+      return;
+    }
+    if (this.document_.pictureInPictureElement === this.videoElement_) {
+      this.document_.exitPictureInPicture().then(
+          null, this.onError_.bind(this));
+    } else if (typeof this.videoElement_.webkitSetPresentationMode ==
+        'function') {
+      this.videoElement_.webkitSetPresentationMode('inline');
+    }
+  };
+
+  /**
+   * Stops following picture-in-picture and the ads.
+   */
+  PictureInPictureManager.prototype.destroy = function() {
+    var video = this.videoElement_;
+    video.removeEventListener('enterpictureinpicture', this.onEnter_, false);
+    video.removeEventListener('leavepictureinpicture', this.onLeave_, false);
+    video.removeEventListener('webkitpresentationmodechanged',
+        this.onPresentationModeChanged_, false);
+    video.removeEventListener('play', this.onContentPlay_, false);
+    this.ads_.off('breakStart', this.onBreakStart_);
+    this.ads_.off('adStart', this.onAdStart_);
+    this.ads_.off('breakEnd', this.onBreakEnd_);
+  };
+
+  /**
+   * @private
+   */
+  PictureInPictureManager.prototype.onPresentationModeChanged_ = function() {
+    this.setActive_(this.videoElement_.webkitPresentationMode == WEBKIT_MODE);
+  };
+
+  /**
+   * @private
+   */
+  PictureInPictureManager.prototype.onBreakStart_ = function() {
+    if (this.active_ &&
+        this.adPolicy_ == PictureInPictureManager.AdPolicy.SHOW_AD) {
+      this.exit();
+    }
+  };
+
+  /**
+   * Holds each linear ad as it starts, as the SDK may not pause one that
+   * has not started yet.
+   *
+   * @param {{ad: AdsController.AdMetadata}} event
+   * @private
+   */
+  PictureInPictureManager.prototype.onAdStart_ = function(event) {
+    if (this.active_ && event.ad && event.ad.linear &&
+        this.adPolicy_ == PictureInPictureManager.AdPolicy.PAUSE_AD) {
+      this.adHeld_ = true;
+      this.ads_.interrupt('pictureInPicture');
+    }
+  };
+
+  /**
+   * A held ad can still end the break, e.g. when the page skips it.
+   *
+   * @private
+   */
+  PictureInPictureManager.prototype.onBreakEnd_ = function() {
+    this.adHeld_ = false;
+  };
+
+  /**
+   * The window's play button plays the content even while an ad is held;
+   * take the user back to the page for the ad instead.
+   *
+   * @private
+   */
+  PictureInPictureManager.prototype.onContentPlay_ = function() {
+    if (this.adHeld_) {
+      this.videoElement_.pause();
+      this.exit();
+    }
+  };
+
+  /**
+   * @param {*} error
+   * @private
+   */
+  PictureInPictureManager.prototype.onError_ = function(error) {
+    this.emit({type: 'error', error: error});
+  };
+
+  /**
+   * @param {boolean} active
+   * @private
+   */
+  PictureInPictureManager.prototype.setActive_ = function(active) {
+    if (active == this.active_) {
+      return;
+    }
+    this.active_ = active;
+    var adResumed = !active && this.adHeld_;
+    if (adResumed) {
+      this.adHeld_ = false;
+      this.ads_.resume();
+    }
+    this.emit({type: 'change', active: active, adResumed: adResumed});
+  };
+
+  return PictureInPictureManager;
+});
@@ -0,0 +1,189 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Creates the ads controllers for several players on one page
+ * and keeps them from talking over each other.
+ *
+ * Each player gets its own AdsController, and with it its own ad display
+ * container, ads loader and ads manager: an AdsLoader is tied to the display
+ * container it was made with, so it cannot be shared. What can be shared is
+ * the policy the loaders follow: the group's adsOptions (VPAID mode, consent,
+ * timeouts, retries, fallback tags...) apply to every player it creates,
+ * under each player's own options. Options that describe a single player,
+ * such as its elements and size, are never taken from the group.
+ *
+ * Whenever a player's linear ad starts, resumes or is unmuted with sound,
+ * the group interrupts every other player that is making sound, pausing its
+ * ads or content. Players that are muted or paused carry on as they are.
+ *
+ * Emits 'interrupt', with controller, the player that was paused, and by, the
+ * one whose ad took over. As a plain script it needs event_emitter.js and
+ * ads_controller.js loaded first.
+ */
+(function(root, factory) {
+  if (typeof define == 'function' && define.amd) {
+    define(['./event_emitter', './ads_controller'], factory);
+  } else if (typeof module == 'object' && module.exports) {
+    module.exports = factory(
+        require('./event_emitter.js'), require('./ads_controller.js'));
+  } else {
+    root.PlayerGroup = factory(root.EventEmitter, root.AdsController);
+  }
+})(typeof self != 'undefined' ? self : this, function(
+    EventEmitter, AdsController) {
+  'use strict';
+
+  /**
+   * AdsController options that belong to one player and are never taken from
+   * the group's adsOptions.
+   * @const {!Array<string>}
+   */
+  var PLAYER_OPTIONS = [
+    'adContainer', 'videoElement', 'clickElement', 'width', 'height',
+    'autoplay', 'muted', 'liveAdBreakInterval'
+  ];
+
+  /**
+   * @param {!PlayerGroup.Options=} options
+   * @constructor
+   * @extends {EventEmitter}
+   */
+  var PlayerGroup = function(options) {
+    EventEmitter.call(this);
+    options = options || {};
+    /** @private {!AdsController.Options} */
+    this.adsOptions_ = {};
+    for (var name in options.adsOptions) {
+      if (PLAYER_OPTIONS.indexOf(name) == -1) {
+        this.adsOptions_[name] = options.adsOptions[name];
+      }
+    }
+    this.exclusiveAudio_ = options.exclusiveAudio !== false;
+    /**
+     * The players, each with the listener the group added to it.
+     * @private {!Array<{controller: !AdsController, onAudible: function()}>}
+     */
+    this.players_ = [];
+  };
+  PlayerGroup.prototype = Object.create(EventEmitter.prototype);
+  PlayerGroup.prototype.constructor = PlayerGroup;
+
+  /**
+   * @typedef {{
+   *   adsOptions: (!AdsController.Options|undefined),
+   *   exclusiveAudio: (boolean|undefined)
+   * }}
+   *
+   * adsOptions: AdsController options shared by every player. Per-player
+   *     options (elements, size, autoplay, muted, liveAdBreakInterval) are
+   *     ignored here.
+   * exclusiveAudio: set to false to let several players play ads with sound
+   *     at once.
+   */
+  PlayerGroup.Options;
+
+  /**
+   * Creates the ads controller for one player and adds it to the group.
+   *
+   * @param {!AdsController.Options} options The player's own options, which
+   *     win over the group's.
+   * @return {!AdsController}
+   */
+  PlayerGroup.prototype.createAdsController = function(options) {
+    var merged = {};
+    for (var name in this.adsOptions_) {
+      merged[name] = this.adsOptions_[name];
+    }
+    for (name in options) {
+      merged[name] = options[name];
+    }
+    var controller = new AdsController(merged);
+    this.add(controller);
+    return controller;
+  };
+
+  /**
+   * Adds a controller made elsewhere, so its ads take part in the audio
+   * coordination. The group's adsOptions do not apply to it.
+   *
+   * @param {!AdsController} controller
+   */
+  PlayerGroup.prototype.add = function(controller) {
+    if (this.indexOf_(controller) != -1) {
+      return;
+    }
+    var onAudible = this.onAudible_.bind(this, controller);
+    controller.on('audible', onAudible);
+    this.players_.push({controller: controller, onAudible: onAudible});
+  };
+
+  /**
+   * Takes a controller out of the group, e.g. before its player is removed
+   * from the page.
+   *
+   * @param {!AdsController} controller
+   */
+  PlayerGroup.prototype.remove = function(controller) {
+    var index = this.indexOf_(controller);
+    if (index != -1) {
+      controller.off('audible', this.players_[index].onAudible);
+      this.players_.splice(index, 1);
+    }
+  };
+
+  /**
+   * @return {!Array<!AdsController>} The players' controllers, in the order
+   *     they were added.
+   */
+  PlayerGroup.prototype.getControllers = function() {
+    return this.players_.map(function(player) {
+      return player.controller;
+    });
+  };
+
+  /**
+   * @param {!AdsController} controller
+   * @return {number}
+   * @private
+   */
+  PlayerGroup.prototype.indexOf_ = function(controller) {
+    for (var i = 0; i < this.players_.length; i++) {
+      if (this.players_[i].controller === controller) {
+        return i;
+      }
+    }
+    return -1;
+  };
+
+  /**
+   * @param {!AdsController} controller The player whose ad is now audible.
+   * @private
+   */
+  PlayerGroup.prototype.onAudible_ = function(controller) {
+    if (!this.exclusiveAudio_) {
+      return;
+    }
+    // Copied, as interrupt listeners may remove players.
+    var others = this.getControllers().filter(function(other) {
+      return other !== controller && other.isAudible();
+    });
+    for (var i = 0; i < others.length; i++) {
+      others[i].interrupt('audio');
+      this.emit({type: 'interrupt', controller: others[i], by: controller});
+    }
+  };
+
+  return PlayerGroup;
+});
@@ -0,0 +1,151 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Follows the size of a player's container as the window is
+ * resized, the device rotates or the page's layout changes, so the content
+ * video and the ads can be sized to match. Uses a ResizeObserver where the
+ * browser has one, and window resize events otherwise.
+ *
+ * Outside fullscreen the height follows from the width and the aspect ratio,
+ * if one is given, so a container whose width is set by the page keeps the
+ * video's shape. In fullscreen the container's own size is used.
+ *
+ * Emits 'resize', with width, height and viewMode (a google.ima.ViewMode),
+ * whenever any of them changes. As a plain script it needs event_emitter.js
+ * loaded first.
+ */
+(function(root, factory) {
+  if (typeof define == 'function' && define.amd) {
+    define(['./event_emitter'], factory);
+  } else if (typeof module == 'object' && module.exports) {
+    module.exports = factory(require('./event_emitter.js'));
+  } else {
+    root.PlayerLayout = factory(root.EventEmitter);
+  }
+})(typeof self != 'undefined' ? self : this, function(EventEmitter) {
+  'use strict';
+
+  /**
+   * Starts following the container straight away.
+   *
+   * @param {!Element} container
+   * @param {!PlayerLayout.Options=} options
+   * @constructor
+   * @extends {EventEmitter}
+   */
+  var PlayerLayout = function(container, options) {
+    EventEmitter.call(this);
+    options = options || {};
+    this.container_ = container;
+    this.aspectRatio_ = options.aspectRatio || 0;
+    this.fullscreen_ = false;
+    this.width_ = 0;
+    this.height_ = 0;
+    this.viewMode_ = google.ima.ViewMode.NORMAL;
+
+    this.window_ = container.ownerDocument.defaultView;
+    this.update_ = this.update.bind(this);
+    this.observer_ = null;
+    if (typeof this.window_.ResizeObserver == 'function') {
+      this.observer_ = new this.window_.ResizeObserver(this.update_);
+      this.observer_.observe(container);
+    } else {
+      this.window_.addEventListener('resize', this.update_, false);
+    }
+    // Some browsers report the new size only after the rotation finishes.
+    this.window_.addEventListener('orientationchange', this.update_, false);
+    this.update();
+  };
+  PlayerLayout.prototype = Object.create(EventEmitter.prototype);
+  PlayerLayout.prototype.constructor = PlayerLayout;
+
+  /**
+   * @typedef {{
+   *   aspectRatio: (number|undefined)
+   * }}
+   *
+   * aspectRatio: width divided by height, e.g. 16 / 9. Without one the
+   *     container's height is used outside fullscreen too.
+   */
+  PlayerLayout.Options;
+
+  /**
+   * @param {boolean} fullscreen Whether the container fills the screen now.
+   *     Ads are resized with ViewMode.FULLSCREEN while it does.
+   */
+  PlayerLayout.prototype.setFullscreen = function(fullscreen) {
+    this.fullscreen_ = fullscreen;
+    this.update();
+  };
+
+  /**
+   * @return {{width: number, height: number}} The size last emitted, in
+   *     pixels.
+   */
+  PlayerLayout.prototype.getSize = function() {
+    return {width: this.width_, height: this.height_};
+  };
+
+  /**
+   * @return {string} The google.ima.ViewMode last emitted.
+   */
+  PlayerLayout.prototype.getViewMode = function() {
+    return this.viewMode_;
+  };
+
+  /**
+   * Measures the container again, emitting resize if anything changed. Called
+   * by the observer; call it after changing the layout in a way the observer
+   * can't see.
+   */
+  PlayerLayout.prototype.update = function() {
+    var width = this.container_.clientWidth;
+    var height = !this.fullscreen_ && this.aspectRatio_ ?
+        Math.round(width / this.aspectRatio_) : this.container_.clientHeight;
+    // A hidden or detached container has no size; keep the last one.
+    if (!width || !height) {
+      return;
+    }
+    var viewMode = this.fullscreen_ ?
+        google.ima.ViewMode.FULLSCREEN : google.ima.ViewMode.NORMAL;
+    if (width == this.width_ && height == this.height_ &&
+        viewMode == this.viewMode_) {
+      return;
+    }
+    this.width_ = width;
+    this.height_ = height;
+    this.viewMode_ = viewMode;
+    this.emit({
+      type: 'resize',
+      width: width,
+      height: height,
+      viewMode: viewMode
+    });
+  };
+
+  /**
+   * Stops following the container.
+   */
+  PlayerLayout.prototype.destroy = function() {
+    if (this.observer_) {
+      this.observer_.disconnect();
+    } else {
+      this.window_.removeEventListener('resize', this.update_, false);
+    }
+    this.window_.removeEventListener('orientationchange', this.update_, false);
+  };
+
+  return PlayerLayout;
+});
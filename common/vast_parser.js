@@ -0,0 +1,826 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Parses VAST (2.0 to 4.x) and VMAP responses into a tree of
+ * the parts that matter when debugging a tag: ads, wrappers, creatives,
+ * media files, tracking events, companions and ad verifications. Wrapped and
+ * ad rules responses are fetched and parsed too. Each node carries the spec
+ * violations found on it.
+ *
+ * The parser only reads the responses; it does not fire any tracking pixels.
+ */
+(function(root, factory) {
+  if (typeof define == 'function' && define.amd) {
+    define([], factory);
+  } else if (typeof module == 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.VastParser = factory();
+  }
+})(typeof self != 'undefined' ? self : this, function() {
+  'use strict';
+
+  var VAST_VERSIONS = ['2.0', '3.0', '4.0', '4.1', '4.2', '4.3'];
+
+  var VMAP_NAMESPACE = 'http://www.iab.net/videosuite/vmap';
+
+  var TRACKING_EVENTS = [
+    'mute', 'unmute', 'pause', 'resume', 'rewind', 'skip', 'playerExpand',
+    'playerCollapse', 'loaded', 'start', 'firstQuartile', 'midpoint',
+    'thirdQuartile', 'complete', 'otherAdInteraction', 'progress',
+    'closeLinear', 'creativeView', 'acceptInvitation', 'adExpand',
+    'adCollapse', 'minimize', 'close', 'overlayViewDuration', 'notUsed',
+    'interactiveStart', 'verificationNotExecuted',
+    // Removed in VAST 4 but still common in VAST 2 and 3 responses.
+    'fullscreen', 'exitFullscreen', 'expand', 'collapse',
+    'acceptInvitationLinear', 'timeSpentViewing'
+  ];
+
+  var TIME_PATTERN = /^\d{2}:\d{2}:\d{2}(\.\d{3})?$/;
+
+  /**
+   * @param {!VastParser.Options=} options
+   * @constructor
+   */
+  var VastParser = function(options) {
+    options = options || {};
+    this.maxWrapperDepth_ = options.maxWrapperDepth || 5;
+  };
+
+  /**
+   * @typedef {{
+   *   maxWrapperDepth: (number|undefined)
+   * }}
+   *
+   * maxWrapperDepth: how many wrappers deep to follow before reporting an
+   *     error, like the SDK's setNumRedirects(). Defaults to 5.
+   */
+  VastParser.Options;
+
+  /**
+   * @typedef {{
+   *   severity: string,
+   *   message: string
+   * }}
+   *
+   * severity: 'error' for a violation of the VAST or VMAP spec, 'warning' for
+   *     something that is allowed but likely to cause problems.
+   */
+  VastParser.Issue;
+
+  /**
+   * @typedef {{
+   *   label: string,
+   *   value: string,
+   *   children: !Array<!VastParser.Node>,
+   *   issues: !Array<!VastParser.Issue>
+   * }}
+   */
+  VastParser.Node;
+
+  /**
+   * Fetches and parses an ad tag, following wrappers and VMAP AdTagURIs.
+   *
+   * @param {string} url
+   * @param {function(!VastParser.Node)} callback Called with the tree once
+   *     every response has loaded or failed.
+   */
+  VastParser.prototype.load = function(url, callback) {
+    var root = createNode('Ad tag', url);
+    var state = {root: root, pending: 1, callback: callback};
+    this.loadInto_(root, url, 0, state);
+  };
+
+  /**
+   * Parses a response that is already loaded, e.g. from a local file, and
+   * fetches what it wraps. Relative wrapper URIs are resolved against the
+   * page.
+   *
+   * @param {string} text
+   * @param {string} name Shown as the root of the tree, e.g. the file name.
+   * @param {function(!VastParser.Node)} callback
+   */
+  VastParser.prototype.parse = function(text, name, callback) {
+    var root = createNode('File', name);
+    var state = {root: root, pending: 1, callback: callback};
+    root.children.push(this.parseText_(text, '', 0, state));
+    this.done_(state);
+  };
+
+  /**
+   * Calls back once the last outstanding response has been handled.
+   *
+   * @param {!Object} state
+   * @private
+   */
+  VastParser.prototype.done_ = function(state) {
+    if (--state.pending == 0) {
+      state.callback(state.root);
+    }
+  };
+
+  /**
+   * Loads a response and adds its tree under parent.
+   *
+   * @param {!VastParser.Node} parent
+   * @param {string} url
+   * @param {number} depth Wrappers followed so far.
+   * @param {!Object} state
+   * @private
+   */
+  VastParser.prototype.loadInto_ = function(parent, url, depth, state) {
+    var self = this;
+    var xhr = new XMLHttpRequest();
+    xhr.open('GET', url, true);
+    xhr.onload = function() {
+      if (xhr.status && (xhr.status < 200 || xhr.status >= 300)) {
+        addIssue(parent, 'error', 'The request failed with HTTP status ' +
+            xhr.status + '.');
+      } else {
+        parent.children.push(
+            self.parseText_(xhr.responseText, url, depth, state));
+      }
+      self.done_(state);
+    };
+    xhr.onerror = function() {
+      addIssue(parent, 'error', 'The request failed. The server may be ' +
+          'down or may not allow cross-origin requests (CORS).');
+      self.done_(state);
+    };
+    xhr.send();
+  };
+
+  /**
+   * @param {!VastParser.Node} parent
+   * @param {string} uri
+   * @param {string} baseUrl The URL of the response that uri came from, or
+   *     an empty string to resolve it against the page.
+   * @param {number} depth
+   * @param {!Object} state
+   * @private
+   */
+  VastParser.prototype.follow_ = function(parent, uri, baseUrl, depth, state) {
+    if (depth > this.maxWrapperDepth_) {
+      addIssue(parent, 'error', 'More than ' + this.maxWrapperDepth_ +
+          ' wrappers deep; the SDK gives up here (error 302).');
+      return;
+    }
+    var url;
+    try {
+      url = new URL(uri, new URL(baseUrl, location.href)).href;
+    } catch (e) {
+      addIssue(parent, 'error', 'Not a valid URL.');
+      return;
+    }
+    state.pending++;
+    this.loadInto_(parent, url, depth, state);
+  };
+
+  /**
+   * @param {string} text
+   * @param {string} baseUrl
+   * @param {number} depth
+   * @param {!Object} state
+   * @return {!VastParser.Node}
+   * @private
+   */
+  VastParser.prototype.parseText_ = function(text, baseUrl, depth, state) {
+    var doc = new DOMParser().parseFromString(text, 'text/xml');
+    if (!doc || doc.getElementsByTagName('parsererror').length) {
+      var node = createNode('Response', '');
+      addIssue(node, 'error', 'The response is not well-formed XML ' +
+          '(error 100).');
+      return node;
+    }
+    var root = doc.documentElement;
+    if (root.nodeName == 'VAST') {
+      return this.parseVast_(root, baseUrl, depth, state);
+    }
+    if (root.localName == 'VMAP') {
+      return this.parseVmap_(root, baseUrl, depth, state);
+    }
+    var unknown = createNode('Response', '<' + root.nodeName + '>');
+    addIssue(unknown, 'error', 'The root element must be <VAST> or ' +
+        '<vmap:VMAP>.');
+    return unknown;
+  };
+
+  /**
+   * @param {!Element} vast
+   * @param {string} baseUrl
+   * @param {number} depth
+   * @param {!Object} state
+   * @return {!VastParser.Node}
+   * @private
+   */
+  VastParser.prototype.parseVast_ = function(vast, baseUrl, depth, state) {
+    var version = vast.getAttribute('version') || '';
+    var node = createNode('VAST', version ? 'version ' + version : '');
+    if (!version) {
+      addIssue(node, 'error', 'The version attribute is required.');
+    } else if (VAST_VERSIONS.indexOf(version) == -1) {
+      addIssue(node, 'warning', 'Unknown VAST version ' + version + '.');
+    }
+    this.addUrls_(node, vast, 'Error');
+    var ads = children(vast, 'Ad');
+    if (!ads.length) {
+      addIssue(node, 'warning', 'No <Ad> elements: this is an empty ' +
+          'response (error 1009).');
+    }
+    for (var i = 0; i < ads.length; i++) {
+      node.children.push(
+          this.parseAd_(ads[i], parseFloat(version) || 0, baseUrl, depth,
+              state));
+    }
+    return node;
+  };
+
+  /**
+   * @param {!Element} ad
+   * @param {number} version
+   * @param {string} baseUrl
+   * @param {number} depth
+   * @param {!Object} state
+   * @return {!VastParser.Node}
+   * @private
+   */
+  VastParser.prototype.parseAd_ = function(
+      ad, version, baseUrl, depth, state) {
+    var node = createNode('Ad', describeAttributes(ad, ['id', 'sequence']));
+    var inLine = child(ad, 'InLine');
+    var wrapper = child(ad, 'Wrapper');
+    if (!!inLine == !!wrapper) {
+      addIssue(node, 'error', 'An <Ad> must contain exactly one of ' +
+          '<InLine> or <Wrapper>.');
+    }
+    var body = inLine || wrapper;
+    if (!body) {
+      return node;
+    }
+    var isWrapper = body == wrapper;
+    var bodyNode = createNode(body.nodeName, '');
+    node.children.push(bodyNode);
+
+    this.addText_(bodyNode, body, 'AdSystem', true);
+    if (!isWrapper) {
+      this.addText_(bodyNode, body, 'AdTitle', true);
+      this.addText_(bodyNode, body, 'Description', false);
+      this.addText_(bodyNode, body, 'AdServingId', version >= 4.1);
+    }
+    if (!this.addUrls_(bodyNode, body, 'Impression')) {
+      addIssue(bodyNode, 'error', 'At least one <Impression> is required.');
+    }
+    this.addUrls_(bodyNode, body, 'Error');
+
+    var verifications = child(body, 'AdVerifications') ||
+        // VAST 3 carries them in an extension.
+        child(findExtension(body, 'AdVerifications'), 'AdVerifications');
+    if (verifications) {
+      bodyNode.children.push(this.parseVerifications_(verifications, version));
+    }
+
+    var creatives = children(child(body, 'Creatives'), 'Creative');
+    if (!isWrapper && !creatives.length) {
+      addIssue(bodyNode, 'error', 'An <InLine> ad needs at least one ' +
+          '<Creative>.');
+    }
+    for (var i = 0; i < creatives.length; i++) {
+      bodyNode.children.push(
+          this.parseCreative_(creatives[i], version, isWrapper));
+    }
+
+    if (isWrapper) {
+      var tagUri = this.addUrls_(bodyNode, body, 'VASTAdTagURI');
+      if (!tagUri) {
+        addIssue(bodyNode, 'error', 'A <Wrapper> needs a <VASTAdTagURI>.');
+      } else {
+        this.follow_(tagUri, tagUri.value, baseUrl, depth + 1, state);
+      }
+    }
+    return node;
+  };
+
+  /**
+   * @param {!Element} creative
+   * @param {number} version
+   * @param {boolean} inWrapper
+   * @return {!VastParser.Node}
+   * @private
+   */
+  VastParser.prototype.parseCreative_ = function(
+      creative, version, inWrapper) {
+    var node = createNode('Creative',
+        describeAttributes(creative, ['id', 'sequence', 'adId']));
+    var universalAdId = child(creative, 'UniversalAdId');
+    if (universalAdId) {
+      node.children.push(createNode('UniversalAdId',
+          universalAdId.getAttribute('idRegistry') + ': ' +
+          textOf(universalAdId)));
+    } else if (version >= 4 && !inWrapper) {
+      addIssue(node, 'error', 'VAST 4 requires a <UniversalAdId>.');
+    }
+
+    var linear = child(creative, 'Linear');
+    var nonLinearAds = child(creative, 'NonLinearAds');
+    var companionAds = child(creative, 'CompanionAds');
+    if (linear) {
+      node.children.push(this.parseLinear_(linear, inWrapper));
+    }
+    if (nonLinearAds) {
+      node.children.push(this.parseNonLinearAds_(nonLinearAds, inWrapper));
+    }
+    if (companionAds) {
+      node.children.push(this.parseCompanionAds_(companionAds, inWrapper));
+    }
+    if (!linear && !nonLinearAds && !companionAds) {
+      addIssue(node, 'error', 'A <Creative> needs a <Linear>, ' +
+          '<NonLinearAds> or <CompanionAds>.');
+    }
+    return node;
+  };
+
+  /**
+   * @param {!Element} linear
+   * @param {boolean} inWrapper
+   * @return {!VastParser.Node}
+   * @private
+   */
+  VastParser.prototype.parseLinear_ = function(linear, inWrapper) {
+    var skipOffset = linear.getAttribute('skipoffset');
+    var node = createNode('Linear',
+        skipOffset ? 'skippable after ' + skipOffset : 'not skippable');
+    if (skipOffset && !TIME_PATTERN.test(skipOffset) &&
+        !/^\d+(\.\d+)?%$/.test(skipOffset)) {
+      addIssue(node, 'error', 'skipoffset must be HH:MM:SS[.mmm] or n%.');
+    }
+
+    var duration = child(linear, 'Duration');
+    if (duration) {
+      var durationNode = createNode('Duration', textOf(duration));
+      if (!TIME_PATTERN.test(textOf(duration))) {
+        addIssue(durationNode, 'error', 'Must be HH:MM:SS or HH:MM:SS.mmm.');
+      }
+      node.children.push(durationNode);
+    } else if (!inWrapper) {
+      addIssue(node, 'error', 'An inline <Linear> needs a <Duration>.');
+    }
+    this.addText_(node, linear, 'AdParameters', false);
+
+    var mediaFiles = child(linear, 'MediaFiles');
+    if (mediaFiles) {
+      node.children.push(this.parseMediaFiles_(mediaFiles));
+    } else if (!inWrapper) {
+      addIssue(node, 'error', 'An inline <Linear> needs <MediaFiles>.');
+    }
+
+    var videoClicks = child(linear, 'VideoClicks');
+    if (videoClicks) {
+      var clicksNode = createNode('VideoClicks', '');
+      this.addUrls_(clicksNode, videoClicks, 'ClickThrough');
+      this.addUrls_(clicksNode, videoClicks, 'ClickTracking');
+      this.addUrls_(clicksNode, videoClicks, 'CustomClick');
+      node.children.push(clicksNode);
+    }
+    this.addTracking_(node, linear);
+    return node;
+  };
+
+  /**
+   * @param {!Element} mediaFiles
+   * @return {!VastParser.Node}
+   * @private
+   */
+  VastParser.prototype.parseMediaFiles_ = function(mediaFiles) {
+    var files = children(mediaFiles, 'MediaFile');
+    var node = createNode('MediaFiles', files.length + ' file(s)');
+    if (!files.length) {
+      addIssue(node, 'error', 'At least one <MediaFile> is required.');
+    }
+    var playable = false;
+    for (var i = 0; i < files.length; i++) {
+      var file = files[i];
+      var type = file.getAttribute('type') || '';
+      var fileNode = this.createUrlNode_('MediaFile', file);
+      var size = file.getAttribute('width') && file.getAttribute('height') ?
+          file.getAttribute('width') + 'x' + file.getAttribute('height') : '';
+      fileNode.value = [
+        type,
+        size,
+        file.getAttribute('bitrate') ?
+            file.getAttribute('bitrate') + ' kbps' : '',
+        file.getAttribute('delivery'),
+        file.getAttribute('apiFramework') || ''
+      ].filter(Boolean).join(', ') + ': ' + fileNode.value;
+      var required = ['delivery', 'type', 'width', 'height'];
+      for (var j = 0; j < required.length; j++) {
+        if (!file.getAttribute(required[j])) {
+          addIssue(fileNode, 'error',
+              'The ' + required[j] + ' attribute is required.');
+        }
+      }
+      if (file.getAttribute('delivery') &&
+          ['progressive', 'streaming'].indexOf(
+              file.getAttribute('delivery')) == -1) {
+        addIssue(fileNode, 'error',
+            'delivery must be "progressive" or "streaming".');
+      }
+      if (/^video\/(mp4|webm|ogg)$/.test(type) ||
+          /mpegurl|dash/i.test(type)) {
+        playable = true;
+      }
+      node.children.push(fileNode);
+    }
+    this.addUrls_(node, mediaFiles, 'Mezzanine');
+    this.addUrls_(node, mediaFiles, 'InteractiveCreativeFile');
+    if (files.length && !playable) {
+      addIssue(node, 'warning', 'No media file an HTML5 player can play ' +
+          '(error 403).');
+    }
+    return node;
+  };
+
+  /**
+   * @param {!Element} nonLinearAds
+   * @param {boolean} inWrapper
+   * @return {!VastParser.Node}
+   * @private
+   */
+  VastParser.prototype.parseNonLinearAds_ = function(nonLinearAds, inWrapper) {
+    var node = createNode('NonLinearAds', '');
+    var nonLinears = children(nonLinearAds, 'NonLinear');
+    for (var i = 0; i < nonLinears.length; i++) {
+      var nonLinear = nonLinears[i];
+      var nonLinearNode = createNode('NonLinear',
+          describeAttributes(nonLinear, ['id', 'width', 'height',
+                                         'minSuggestedDuration']));
+      if (!inWrapper) {
+        this.checkSize_(nonLinearNode, nonLinear);
+        this.checkResource_(nonLinearNode, nonLinear);
+      }
+      this.addResources_(nonLinearNode, nonLinear);
+      this.addUrls_(nonLinearNode, nonLinear, 'NonLinearClickThrough');
+      this.addUrls_(nonLinearNode, nonLinear, 'NonLinearClickTracking');
+      node.children.push(nonLinearNode);
+    }
+    this.addTracking_(node, nonLinearAds);
+    return node;
+  };
+
+  /**
+   * @param {!Element} companionAds
+   * @param {boolean} inWrapper
+   * @return {!VastParser.Node}
+   * @private
+   */
+  VastParser.prototype.parseCompanionAds_ = function(companionAds, inWrapper) {
+    var required = companionAds.getAttribute('required');
+    var node = createNode('CompanionAds',
+        required ? 'required=' + required : '');
+    var companions = children(companionAds, 'Companion');
+    for (var i = 0; i < companions.length; i++) {
+      var companion = companions[i];
+      var companionNode = createNode('Companion',
+          describeAttributes(companion, ['id', 'width', 'height']));
+      if (!inWrapper) {
+        this.checkSize_(companionNode, companion);
+        this.checkResource_(companionNode, companion);
+      }
+      this.addResources_(companionNode, companion);
+      this.addUrls_(companionNode, companion, 'CompanionClickThrough');
+      this.addUrls_(companionNode, companion, 'CompanionClickTracking');
+      this.addTracking_(companionNode, companion);
+      node.children.push(companionNode);
+    }
+    return node;
+  };
+
+  /**
+   * @param {!Element} verifications
+   * @param {number} version
+   * @return {!VastParser.Node}
+   * @private
+   */
+  VastParser.prototype.parseVerifications_ = function(verifications, version) {
+    var node = createNode('AdVerifications', '');
+    var list = children(verifications, 'Verification');
+    for (var i = 0; i < list.length; i++) {
+      var verification = list[i];
+      var vendor = verification.getAttribute('vendor');
+      var verificationNode = createNode('Verification', vendor || '');
+      if (!vendor && version >= 4.1) {
+        addIssue(verificationNode, 'error',
+            'The vendor attribute is required.');
+      }
+      var scripts = children(verification, 'JavaScriptResource');
+      if (!scripts.length && !child(verification, 'ExecutableResource')) {
+        addIssue(verificationNode, 'error', 'A <Verification> needs a ' +
+            '<JavaScriptResource> or <ExecutableResource>.');
+      }
+      for (var j = 0; j < scripts.length; j++) {
+        var scriptNode = this.createUrlNode_('JavaScriptResource', scripts[j]);
+        if (!scripts[j].getAttribute('apiFramework')) {
+          addIssue(scriptNode, 'error',
+              'The apiFramework attribute is required.');
+        }
+        verificationNode.children.push(scriptNode);
+      }
+      this.addText_(
+          verificationNode, verification, 'VerificationParameters', false);
+      this.addTracking_(verificationNode, verification);
+      node.children.push(verificationNode);
+    }
+    return node;
+  };
+
+  /**
+   * @param {!Element} vmap
+   * @param {string} baseUrl
+   * @param {number} depth
+   * @param {!Object} state
+   * @return {!VastParser.Node}
+   * @private
+   */
+  VastParser.prototype.parseVmap_ = function(vmap, baseUrl, depth, state) {
+    var version = vmap.getAttribute('version') || '';
+    var node = createNode('VMAP', version ? 'version ' + version : '');
+    if (!version) {
+      addIssue(node, 'error', 'The version attribute is required.');
+    }
+    var adBreaks = children(vmap, 'vmap:AdBreak');
+    if (!adBreaks.length) {
+      addIssue(node, 'warning', 'The playlist has no ad breaks.');
+    }
+    for (var i = 0; i < adBreaks.length; i++) {
+      var adBreak = adBreaks[i];
+      var timeOffset = adBreak.getAttribute('timeOffset') || '';
+      var breakNode = createNode('AdBreak', describeAttributes(
+          adBreak, ['timeOffset', 'breakType', 'breakId']));
+      if (!timeOffset) {
+        addIssue(breakNode, 'error', 'The timeOffset attribute is required.');
+      } else if (!/^(start|end|#\d+|\d+(\.\d+)?%)$/.test(timeOffset) &&
+          !TIME_PATTERN.test(timeOffset)) {
+        addIssue(breakNode, 'error', 'timeOffset must be start, end, ' +
+            'HH:MM:SS[.mmm], n% or #n.');
+      }
+      if (!adBreak.getAttribute('breakType')) {
+        addIssue(breakNode, 'error', 'The breakType attribute is required.');
+      }
+      var adSource = child(adBreak, 'vmap:AdSource');
+      var vastData = child(adSource, 'vmap:VASTAdData');
+      var vast = child(vastData, 'VAST');
+      if (vast) {
+        breakNode.children.push(this.parseVast_(vast, baseUrl, depth, state));
+      } else if (child(adSource, 'vmap:AdTagURI')) {
+        var tagUri = this.addUrls_(breakNode, adSource, 'vmap:AdTagURI');
+        this.follow_(tagUri, tagUri.value, baseUrl, depth, state);
+      } else {
+        addIssue(breakNode, 'warning', 'The break has no ad source and ' +
+            'will not play.');
+      }
+      this.addTracking_(breakNode, adBreak, 'vmap:TrackingEvents',
+          'vmap:Tracking');
+      node.children.push(breakNode);
+    }
+    return node;
+  };
+
+  /**
+   * Adds a node for the text of parent's first child element with that name.
+   *
+   * @param {!VastParser.Node} node
+   * @param {!Element} parent
+   * @param {string} name
+   * @param {boolean} required
+   * @private
+   */
+  VastParser.prototype.addText_ = function(node, parent, name, required) {
+    var element = child(parent, name);
+    if (element) {
+      node.children.push(createNode(name, textOf(element)));
+    } else if (required) {
+      addIssue(node, 'error', '<' + name + '> is required.');
+    }
+  };
+
+  /**
+   * Adds a node for each URL element with that name.
+   *
+   * @param {!VastParser.Node} node
+   * @param {!Element} parent
+   * @param {string} name
+   * @return {?VastParser.Node} The first node added.
+   * @private
+   */
+  VastParser.prototype.addUrls_ = function(node, parent, name) {
+    var elements = children(parent, name);
+    for (var i = 0; i < elements.length; i++) {
+      node.children.push(this.createUrlNode_(name, elements[i]));
+    }
+    return elements.length ?
+        node.children[node.children.length - elements.length] : null;
+  };
+
+  /**
+   * @param {string} label
+   * @param {!Element} element
+   * @return {!VastParser.Node}
+   * @private
+   */
+  VastParser.prototype.createUrlNode_ = function(label, element) {
+    var url = textOf(element);
+    var node = createNode(label, url);
+    if (!url) {
+      addIssue(node, 'error', 'The URL is empty.');
+    } else if (/^http:/i.test(url)) {
+      addIssue(node, 'warning', 'Not HTTPS; blocked on secure pages.');
+    } else if (!/^(https:)?\/\//i.test(url) && !/\[\w+\]/.test(url)) {
+      addIssue(node, 'warning', 'Not an absolute URL.');
+    }
+    return node;
+  };
+
+  /**
+   * @param {!VastParser.Node} node
+   * @param {!Element} parent
+   * @param {string=} listName Defaults to TrackingEvents.
+   * @param {string=} itemName Defaults to Tracking.
+   * @private
+   */
+  VastParser.prototype.addTracking_ = function(
+      node, parent, listName, itemName) {
+    var trackingEvents = child(parent, listName || 'TrackingEvents');
+    if (!trackingEvents) {
+      return;
+    }
+    var list = children(trackingEvents, itemName || 'Tracking');
+    var trackingNode = createNode('TrackingEvents', list.length + ' URL(s)');
+    for (var i = 0; i < list.length; i++) {
+      var event = list[i].getAttribute('event') || '';
+      var offset = list[i].getAttribute('offset');
+      var eventNode = this.createUrlNode_(
+          event + (offset ? ' @' + offset : ''), list[i]);
+      if (!event) {
+        addIssue(eventNode, 'error', 'The event attribute is required.');
+      } else if (!listName && TRACKING_EVENTS.indexOf(event) == -1) {
+        addIssue(eventNode, 'warning', 'Unknown tracking event "' + event +
+            '"; it will never fire.');
+      }
+      if (event == 'progress' && !offset) {
+        addIssue(eventNode, 'error',
+            'progress tracking needs an offset attribute.');
+      }
+      trackingNode.children.push(eventNode);
+    }
+    node.children.push(trackingNode);
+  };
+
+  /**
+   * @param {!VastParser.Node} node
+   * @param {!Element} element
+   * @private
+   */
+  VastParser.prototype.checkSize_ = function(node, element) {
+    if (!element.getAttribute('width') || !element.getAttribute('height')) {
+      addIssue(node, 'error', 'The width and height attributes are ' +
+          'required.');
+    }
+  };
+
+  /**
+   * @param {!VastParser.Node} node
+   * @param {!Element} element
+   * @private
+   */
+  VastParser.prototype.checkResource_ = function(node, element) {
+    if (!child(element, 'StaticResource') &&
+        !child(element, 'IFrameResource') &&
+        !child(element, 'HTMLResource')) {
+      addIssue(node, 'error', 'A <StaticResource>, <IFrameResource> or ' +
+          '<HTMLResource> is required.');
+    }
+  };
+
+  /**
+   * @param {!VastParser.Node} node
+   * @param {!Element} element
+   * @private
+   */
+  VastParser.prototype.addResources_ = function(node, element) {
+    var statics = children(element, 'StaticResource');
+    for (var i = 0; i < statics.length; i++) {
+      var staticNode = this.createUrlNode_('StaticResource', statics[i]);
+      if (!statics[i].getAttribute('creativeType')) {
+        addIssue(staticNode, 'error',
+            'The creativeType attribute is required.');
+      }
+      node.children.push(staticNode);
+    }
+    this.addUrls_(node, element, 'IFrameResource');
+    var html = child(element, 'HTMLResource');
+    if (html) {
+      node.children.push(createNode('HTMLResource',
+          textOf(html).length + ' characters of markup'));
+    }
+  };
+
+  /**
+   * @param {string} label
+   * @param {string} value
+   * @return {!VastParser.Node}
+   */
+  var createNode = function(label, value) {
+    return {label: label, value: value, children: [], issues: []};
+  };
+
+  /**
+   * @param {!VastParser.Node} node
+   * @param {string} severity
+   * @param {string} message
+   */
+  var addIssue = function(node, severity, message) {
+    node.issues.push({severity: severity, message: message});
+  };
+
+  /**
+   * @param {!Element} element
+   * @param {!Array<string>} names
+   * @return {string} The attributes that are set, as name=value pairs.
+   */
+  var describeAttributes = function(element, names) {
+    var parts = [];
+    for (var i = 0; i < names.length; i++) {
+      var value = element.getAttribute(names[i]);
+      if (value) {
+        parts.push(names[i] + '=' + value);
+      }
+    }
+    return parts.join(' ');
+  };
+
+  /**
+   * @param {!Element} parent
+   * @param {string} type
+   * @return {Element} The <Extension> of that type, if any.
+   */
+  var findExtension = function(parent, type) {
+    var extensions = children(child(parent, 'Extensions'), 'Extension');
+    for (var i = 0; i < extensions.length; i++) {
+      if (extensions[i].getAttribute('type') == type) {
+        return extensions[i];
+      }
+    }
+    return null;
+  };
+
+  /**
+   * @param {Element} parent
+   * @param {string} name A VAST element name, or a VMAP one as vmap:name.
+   *     VMAP elements are matched by namespace, so a document may use any
+   *     prefix for it, or make it the default namespace.
+   * @return {!Array<!Element>} The child elements with that name.
+   */
+  var children = function(parent, name) {
+    var vmapName = /^vmap:/.test(name) ? name.slice(5) : null;
+    var result = [];
+    for (var node = parent && parent.firstChild; node;
+         node = node.nextSibling) {
+      if (node.nodeType == 1 && (vmapName ?
+          node.localName == vmapName && node.namespaceURI == VMAP_NAMESPACE :
+          node.nodeName == name)) {
+        result.push(node);
+      }
+    }
+    return result;
+  };
+
+  /**
+   * @param {Element} parent
+   * @param {string} name
+   * @return {Element}
+   */
+  var child = function(parent, name) {
+    return children(parent, name)[0] || null;
+  };
+
+  /**
+   * @param {Element} element
+   * @return {string}
+   */
+  var textOf = function(element) {
+    return element ? element.textContent.trim() : '';
+  };
+
+  return VastParser;
+});
@@ -0,0 +1,171 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview A local stub consent management platform, for trying out
+ * consent handling without a real CMP. Defines __tcfapi (TCF v2), __uspapi
+ * (US Privacy) and __gpp (GPP 1.1), answering from the page's query
+ * parameters:
+ *   gdpr=0          GDPR does not apply. By default it does.
+ *   consent=no      the user rejected every purpose. By default they
+ *                   accepted all of them.
+ *   consent=pending the CMP waits for the user; call
+ *                   __cmpStub.setConsent(true or false) to choose.
+ *   usp=1YYN        the US Privacy string. Defaults to 1---.
+ *   cmpdelay=500    milliseconds before the CMP answers.
+ *
+ * The TC and GPP strings are placeholders, not real encodings, so use the
+ * stub with the offline stand-in SDK rather than real ad tags.
+ */
+(function(global) {
+  'use strict';
+
+  var search = (global.location && global.location.search) || '';
+  var param = function(name, fallback) {
+    var match = new RegExp('[?&]' + name + '=([^&]*)').exec(search);
+    return match ? decodeURIComponent(match[1]) : fallback;
+  };
+
+  var gdprApplies = param('gdpr', '1') != '0';
+  var consent = param('consent', 'yes');
+  var delay = parseInt(param('cmpdelay', '0'), 10) || 0;
+  /** @type {?boolean} Null until the user has chosen. */
+  var accepted = consent == 'pending' ? null : consent != 'no';
+  var tcfListeners = [];
+  var gppListeners = [];
+  var nextListenerId = 1;
+
+  var later = function(callback) {
+    setTimeout(callback, delay);
+  };
+
+  /**
+   * @return {!Object} The TCData for the current choice.
+   */
+  var tcData = function() {
+    var consents = {};
+    for (var purpose = 1; purpose <= 10; purpose++) {
+      consents[purpose] = !!accepted;
+    }
+    return {
+      tcString: accepted === null ? '' :
+          'CPstub' + (accepted ? 'AcceptAll' : 'RejectAll'),
+      tcfPolicyVersion: 2,
+      cmpId: 0,
+      cmpVersion: 1,
+      gdprApplies: gdprApplies,
+      eventStatus: !gdprApplies || accepted !== null ?
+          'tcloaded' : 'cmpuishown',
+      cmpStatus: 'loaded',
+      purpose: {consents: consents, legitimateInterests: {}},
+      vendor: {consents: {}, legitimateInterests: {}}
+    };
+  };
+
+  /**
+   * @return {!Object} The GPP ping data for the current choice.
+   */
+  var pingData = function() {
+    var ready = !gdprApplies || accepted !== null;
+    return {
+      gppVersion: '1.1',
+      cmpStatus: 'loaded',
+      cmpDisplayStatus: ready ? 'hidden' : 'visible',
+      signalStatus: ready ? 'ready' : 'not ready',
+      supportedAPIs: ['2:tcfeuv2'],
+      cmpId: 0,
+      sectionList: gdprApplies ? [2] : [],
+      applicableSections: gdprApplies ? [2] : [-1],
+      gppString: gdprApplies ? 'DBABMA~' + tcData().tcString : 'DBAA'
+    };
+  };
+
+  global.__tcfapi = function(command, version, callback, parameter) {
+    switch (command) {
+      case 'ping':
+        callback({gdprApplies: gdprApplies, cmpLoaded: true,
+                  cmpStatus: 'loaded', apiVersion: '2.2'}, true);
+        break;
+      case 'addEventListener':
+        var listenerId = nextListenerId++;
+        tcfListeners.push({id: listenerId, callback: callback});
+        later(function() {
+          var data = tcData();
+          data.listenerId = listenerId;
+          callback(data, true);
+        });
+        break;
+      case 'removeEventListener':
+        // The parameter is the listener ID.
+        tcfListeners = tcfListeners.filter(function(listener) {
+          return listener.id != parameter;
+        });
+        callback(true);
+        break;
+      default:
+        callback(null, false);
+    }
+  };
+
+  global.__uspapi = function(command, version, callback) {
+    if (command != 'getUSPData') {
+      callback(null, false);
+      return;
+    }
+    later(function() {
+      callback({version: 1, uspString: param('usp', '1---')}, true);
+    });
+  };
+
+  global.__gpp = function(command, callback) {
+    switch (command) {
+      case 'ping':
+        callback(pingData(), true);
+        break;
+      case 'addEventListener':
+        var listenerId = nextListenerId++;
+        gppListeners.push({id: listenerId, callback: callback});
+        later(function() {
+          callback({eventName: 'listenerRegistered', listenerId: listenerId,
+                    data: true, pingData: pingData()}, true);
+        });
+        break;
+      default:
+        callback(null, false);
+    }
+  };
+
+  /**
+   * Not part of any CMP API: simulates the user's choice in the consent
+   * dialog, notifying every listener.
+   */
+  global.__cmpStub = {
+    /**
+     * @param {boolean} userAccepted
+     */
+    setConsent: function(userAccepted) {
+      accepted = userAccepted;
+      tcfListeners.forEach(function(listener) {
+        var data = tcData();
+        data.listenerId = listener.id;
+        data.eventStatus = 'useractioncomplete';
+        listener.callback(data, true);
+      });
+      gppListeners.forEach(function(listener) {
+        listener.callback({eventName: 'signalStatus', listenerId: listener.id,
+                           data: 'ready', pingData: pingData()}, true);
+      });
+    }
+  };
+})(this);
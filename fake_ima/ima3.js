@@ -0,0 +1,1833 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview A local stand-in for the IMA HTML5 SDK (ima3.js).
+ *
+ * Implements the subset of the google.ima namespace used by the samples in
+ * this repository. Ad tags are fetched and parsed as VAST, or as a VMAP ad
+ * rules playlist, and the ads manager drives the same event sequence as the
+ * real SDK, using a clock instead of a real video element so it also runs
+ * headlessly. Tags on other
+ * origins are replaced with one of the VAST files next to this script, chosen
+ * by the page's "vast" query parameter (e.g. ?localsdk&vast=skippable).
+ */
+(function(global) {
+  'use strict';
+
+  var ima = {};
+
+  var currentScript = global.document && global.document.currentScript;
+  var BASE_URL = currentScript ?
+      currentScript.src.replace(/[^\/]*$/, '') : 'fake_ima/';
+
+  var CLOCK_INTERVAL_MS = 200;
+  var PLAYABLE_MIME_TYPES = ['video/mp4', 'video/webm', 'video/ogg'];
+  var VMAP_NAMESPACE = 'http://www.iab.net/videosuite/vmap';
+
+  ima.VERSION = '3.fake';
+
+  ima.ViewMode = {
+    NORMAL: 'normal',
+    FULLSCREEN: 'fullscreen'
+  };
+
+  ima.UiElements = {
+    AD_ATTRIBUTION: 'adAttribution',
+    COUNTDOWN: 'countdown'
+  };
+
+
+  /**
+   * Minimal event target shared by the loader and the ads manager. Mirrors
+   * the SDK's addEventListener(type, listener, useCapture, handlerScope)
+   * signature, including passing an array of types.
+   * @constructor
+   */
+  var SdkEventTarget = function() {
+    this.listeners_ = {};
+  };
+
+  SdkEventTarget.prototype.addEventListener = function(
+      type, listener, useCapture, handlerScope) {
+    var types = [].concat(type);
+    for (var i = 0; i < types.length; i++) {
+      var list = this.listeners_[types[i]] || (this.listeners_[types[i]] = []);
+      list.push({listener: listener, scope: handlerScope});
+    }
+  };
+
+  SdkEventTarget.prototype.removeEventListener = function(
+      type, listener, useCapture, handlerScope) {
+    var types = [].concat(type);
+    for (var i = 0; i < types.length; i++) {
+      var list = this.listeners_[types[i]] || [];
+      for (var j = list.length - 1; j >= 0; j--) {
+        if (list[j].listener == listener && list[j].scope == handlerScope) {
+          list.splice(j, 1);
+        }
+      }
+    }
+  };
+
+  SdkEventTarget.prototype.dispatchEvent_ = function(event) {
+    var list = (this.listeners_[event.type] || []).slice();
+    for (var i = 0; i < list.length; i++) {
+      list[i].listener.call(list[i].scope || this, event);
+    }
+  };
+
+
+  /**
+   * @constructor
+   */
+  ima.ImaSdkSettings = function() {
+    this.vpaidMode_ = ima.ImaSdkSettings.VpaidMode.ENABLED;
+    this.locale_ = 'en';
+    this.numRedirects_ = 4;
+    this.disableCustomPlaybackForIOS10Plus_ = false;
+    this.autoPlayAdBreaks_ = true;
+    this.playerType_ = '';
+    this.playerVersion_ = '';
+  };
+
+  ima.ImaSdkSettings.VpaidMode = {
+    DISABLED: 0,
+    ENABLED: 1,
+    INSECURE: 2
+  };
+
+  ima.ImaSdkSettings.prototype.setVpaidMode = function(vpaidMode) {
+    this.vpaidMode_ = vpaidMode;
+  };
+
+  ima.ImaSdkSettings.prototype.getVpaidMode = function() {
+    return this.vpaidMode_;
+  };
+
+  ima.ImaSdkSettings.prototype.setLocale = function(locale) {
+    this.locale_ = locale;
+  };
+
+  ima.ImaSdkSettings.prototype.getLocale = function() {
+    return this.locale_;
+  };
+
+  ima.ImaSdkSettings.prototype.setNumRedirects = function(numRedirects) {
+    this.numRedirects_ = numRedirects;
+  };
+
+  ima.ImaSdkSettings.prototype.getNumRedirects = function() {
+    return this.numRedirects_;
+  };
+
+  ima.ImaSdkSettings.prototype.setDisableCustomPlaybackForIOS10Plus =
+      function(disable) {
+    this.disableCustomPlaybackForIOS10Plus_ = disable;
+  };
+
+  ima.ImaSdkSettings.prototype.getDisableCustomPlaybackForIOS10Plus =
+      function() {
+    return this.disableCustomPlaybackForIOS10Plus_;
+  };
+
+  ima.ImaSdkSettings.prototype.setAutoPlayAdBreaks = function(autoPlay) {
+    this.autoPlayAdBreaks_ = autoPlay;
+  };
+
+  ima.ImaSdkSettings.prototype.isAutoPlayAdBreaks = function() {
+    return this.autoPlayAdBreaks_;
+  };
+
+  ima.ImaSdkSettings.prototype.setPlayerType = function(playerType) {
+    this.playerType_ = playerType;
+  };
+
+  ima.ImaSdkSettings.prototype.setPlayerVersion = function(playerVersion) {
+    this.playerVersion_ = playerVersion;
+  };
+
+  ima.settings = new ima.ImaSdkSettings();
+
+  /**
+   * Each AdsLoader starts from a copy of the global settings, so changing one
+   * loader's settings leaves the other players on the page alone.
+   *
+   * @param {!ima.ImaSdkSettings} settings
+   * @return {!ima.ImaSdkSettings}
+   */
+  var copySettings = function(settings) {
+    var copy = new ima.ImaSdkSettings();
+    for (var key in settings) {
+      if (settings.hasOwnProperty(key)) {
+        copy[key] = settings[key];
+      }
+    }
+    return copy;
+  };
+
+
+  /**
+   * Hooks for driving the stand-in from a script or a headless browser. Not
+   * part of the real SDK, so integrations must not depend on them.
+   */
+  ima.fake = {
+    /**
+     * How many seconds of ad time pass per second of wall time. Defaults to
+     * the page's "adrate" query parameter, e.g. ?localsdk&adrate=10.
+     * @type {number}
+     */
+    playbackRate: 1,
+
+    /**
+     * Milliseconds the stand-in ad server takes to answer an ad request, for
+     * trying out request timeouts. Defaults to the page's "addelay" query
+     * parameter, e.g. ?localsdk&addelay=10000.
+     * @type {number}
+     */
+    adServerDelay: 0,
+
+    /**
+     * The ads managers handed out by getAdsManager() and not destroyed yet,
+     * oldest first.
+     * @type {!Array<!ima.AdsManager>}
+     */
+    adsManagers: []
+  };
+
+  var adRateMatch = global.location &&
+      /[?&]adrate=([\d.]+)/.exec(global.location.search);
+  if (adRateMatch) {
+    ima.fake.playbackRate = parseFloat(adRateMatch[1]) || 1;
+  }
+  var adDelayMatch = global.location &&
+      /[?&]addelay=(\d+)/.exec(global.location.search);
+  if (adDelayMatch) {
+    ima.fake.adServerDelay = parseInt(adDelayMatch[1], 10);
+  }
+
+  /**
+   * @return {ima.AdsManager} The most recently created ads manager.
+   */
+  ima.fake.getAdsManager = function() {
+    var managers = ima.fake.adsManagers;
+    return managers.length ? managers[managers.length - 1] : null;
+  };
+
+  /**
+   * Plays the current linear ad of the latest ads manager forward without
+   * waiting for the clock, firing the same events real playback would.
+   *
+   * @param {number} seconds
+   */
+  ima.fake.advance = function(seconds) {
+    var adsManager = ima.fake.getAdsManager();
+    if (adsManager && !adsManager.paused_) {
+      adsManager.advance_(seconds);
+    }
+  };
+
+  /**
+   * Simulates the user clicking the current ad.
+   */
+  ima.fake.clickAd = function() {
+    var adsManager = ima.fake.getAdsManager();
+    if (adsManager) {
+      adsManager.onAdUiClick_();
+    }
+  };
+
+
+  /**
+   * @constructor
+   */
+  ima.AdsRequest = function() {
+    this.adTagUrl = '';
+    this.adsResponse = null;
+    this.linearAdSlotWidth = 0;
+    this.linearAdSlotHeight = 0;
+    this.nonLinearAdSlotWidth = 0;
+    this.nonLinearAdSlotHeight = 0;
+    this.liveStreamPrefetchSeconds = 0;
+    this.vastLoadTimeout = 5000;
+    this.forceNonLinearFullSlot = false;
+    this.adWillAutoPlay_ = null;
+    this.adWillPlayMuted_ = null;
+  };
+
+  ima.AdsRequest.prototype.setAdWillAutoPlay = function(autoPlay) {
+    this.adWillAutoPlay_ = autoPlay;
+  };
+
+  ima.AdsRequest.prototype.setAdWillPlayMuted = function(muted) {
+    this.adWillPlayMuted_ = muted;
+  };
+
+
+  /**
+   * @constructor
+   */
+  ima.AdsRenderingSettings = function() {
+    this.restoreCustomPlaybackStateOnAdBreakComplete = false;
+    this.enablePreloading = false;
+    this.loadVideoTimeout = 8000;
+    this.bitrate = -1;
+    this.mimeTypes = null;
+    this.playAdsAfterTime = -1;
+    this.uiElements = null;
+    this.useStyledNonLinearAds = false;
+    this.autoAlign = true;
+  };
+
+
+  /**
+   * @param {number} code
+   * @param {string} message
+   * @param {string} type
+   * @constructor
+   */
+  ima.AdError = function(code, message, type) {
+    this.code_ = code;
+    this.message_ = message;
+    this.type_ = type;
+  };
+
+  ima.AdError.Type = {
+    AD_LOAD: 'adLoadError',
+    AD_PLAY: 'adPlayError'
+  };
+
+  ima.AdError.ErrorCode = {
+    VAST_MALFORMED_RESPONSE: 100,
+    VAST_SCHEMA_VALIDATION_ERROR: 101,
+    VAST_UNSUPPORTED_VERSION: 102,
+    VAST_TRAFFICKING_ERROR: 200,
+    VAST_UNEXPECTED_LINEARITY: 201,
+    VAST_UNEXPECTED_DURATION_ERROR: 202,
+    VAST_WRAPPER_ERROR: 300,
+    VAST_LOAD_TIMEOUT: 301,
+    VAST_TOO_MANY_REDIRECTS: 302,
+    VAST_NO_ADS_AFTER_WRAPPER: 303,
+    VIDEO_PLAY_ERROR: 400,
+    VAST_MEDIA_LOAD_TIMEOUT: 402,
+    VAST_LINEAR_ASSET_MISMATCH: 403,
+    VAST_PROBLEM_DISPLAYING_MEDIA_FILE: 405,
+    OVERLAY_AD_PLAYING_FAILED: 500,
+    NONLINEAR_DIMENSIONS_ERROR: 501,
+    OVERLAY_AD_LOADING_FAILED: 502,
+    VAST_NONLINEAR_ASSET_MISMATCH: 503,
+    COMPANION_REQUIRED_ERROR: 602,
+    COMPANION_AD_LOADING_FAILED: 603,
+    UNKNOWN_ERROR: 900,
+    VPAID_ERROR: 901,
+    FAILED_TO_REQUEST_ADS: 1005,
+    VAST_ASSET_NOT_FOUND: 1007,
+    VAST_EMPTY_RESPONSE: 1009,
+    UNKNOWN_AD_RESPONSE: 1010,
+    UNSUPPORTED_LOCALE: 1011,
+    ADS_REQUEST_NETWORK_ERROR: 1012,
+    INVALID_AD_TAG: 1013,
+    STREAM_INITIALIZATION_FAILED: 1020,
+    ASSET_FALLBACK_FAILED: 1021,
+    INVALID_ARGUMENTS: 1101,
+    AUTOPLAY_DISALLOWED: 1205
+  };
+
+  ima.AdError.prototype.getErrorCode = function() {
+    return this.code_;
+  };
+
+  ima.AdError.prototype.getVastErrorCode = function() {
+    return this.code_ < 1000 ? this.code_ : 900;
+  };
+
+  ima.AdError.prototype.getMessage = function() {
+    return this.message_;
+  };
+
+  ima.AdError.prototype.getType = function() {
+    return this.type_;
+  };
+
+  ima.AdError.prototype.getInnerError = function() {
+    return null;
+  };
+
+  ima.AdError.prototype.toString = function() {
+    return 'AdError ' + this.code_ + ': ' + this.message_;
+  };
+
+
+  /**
+   * @param {!ima.AdError} error
+   * @param {Object=} userRequestContext
+   * @constructor
+   */
+  ima.AdErrorEvent = function(error, userRequestContext) {
+    this.type = ima.AdErrorEvent.Type.AD_ERROR;
+    this.error_ = error;
+    this.userRequestContext_ = userRequestContext || null;
+  };
+
+  ima.AdErrorEvent.Type = {
+    AD_ERROR: 'adError'
+  };
+
+  ima.AdErrorEvent.prototype.getError = function() {
+    return this.error_;
+  };
+
+  ima.AdErrorEvent.prototype.getUserRequestContext = function() {
+    return this.userRequestContext_;
+  };
+
+
+  /**
+   * @param {string} type
+   * @param {ima.Ad} ad
+   * @param {Object=} adData
+   * @constructor
+   */
+  ima.AdEvent = function(type, ad, adData) {
+    this.type = type;
+    this.ad_ = ad;
+    this.adData_ = adData || null;
+  };
+
+  ima.AdEvent.Type = {
+    AD_BREAK_READY: 'adBreakReady',
+    AD_BUFFERING: 'adBuffering',
+    AD_METADATA: 'adMetadata',
+    AD_PROGRESS: 'adProgress',
+    ALL_ADS_COMPLETED: 'allAdsCompleted',
+    CLICK: 'click',
+    COMPLETE: 'complete',
+    CONTENT_PAUSE_REQUESTED: 'contentPauseRequested',
+    CONTENT_RESUME_REQUESTED: 'contentResumeRequested',
+    DURATION_CHANGE: 'durationChange',
+    FIRST_QUARTILE: 'firstQuartile',
+    IMPRESSION: 'impression',
+    INTERACTION: 'interaction',
+    LINEAR_CHANGED: 'linearChanged',
+    LOADED: 'loaded',
+    LOG: 'log',
+    MIDPOINT: 'midpoint',
+    PAUSED: 'pause',
+    RESUMED: 'resume',
+    SKIPPABLE_STATE_CHANGED: 'skippableStateChanged',
+    SKIPPED: 'skip',
+    STARTED: 'start',
+    THIRD_QUARTILE: 'thirdQuartile',
+    USER_CLOSE: 'userClose',
+    VOLUME_CHANGED: 'volumeChange',
+    VOLUME_MUTED: 'mute'
+  };
+
+  ima.AdEvent.prototype.getAd = function() {
+    return this.ad_;
+  };
+
+  ima.AdEvent.prototype.getAdData = function() {
+    return this.adData_;
+  };
+
+
+  /**
+   * @param {!ima.AdsLoader} adsLoader
+   * @param {!AdsResponse} adsResponse
+   * @param {Object} userRequestContext
+   * @constructor
+   */
+  ima.AdsManagerLoadedEvent = function(
+      adsLoader, adsResponse, userRequestContext) {
+    this.type = ima.AdsManagerLoadedEvent.Type.ADS_MANAGER_LOADED;
+    this.adsLoader_ = adsLoader;
+    this.adsResponse_ = adsResponse;
+    this.userRequestContext_ = userRequestContext || null;
+  };
+
+  ima.AdsManagerLoadedEvent.Type = {
+    ADS_MANAGER_LOADED: 'adsManagerLoaded'
+  };
+
+  /**
+   * @param {!Object} contentPlayback The content video element, or any
+   *     object with currentTime and duration properties.
+   * @param {ima.AdsRenderingSettings=} adsRenderingSettings
+   * @return {!ima.AdsManager}
+   */
+  ima.AdsManagerLoadedEvent.prototype.getAdsManager = function(
+      contentPlayback, adsRenderingSettings) {
+    var adsManager = new ima.AdsManager(
+        this.adsLoader_.adDisplayContainer_,
+        this.adsResponse_,
+        contentPlayback,
+        adsRenderingSettings || new ima.AdsRenderingSettings(),
+        this.adsLoader_);
+    this.adsLoader_.adsManagers_.push(adsManager);
+    ima.fake.adsManagers.push(adsManager);
+    return adsManager;
+  };
+
+  ima.AdsManagerLoadedEvent.prototype.getUserRequestContext = function() {
+    return this.userRequestContext_;
+  };
+
+
+  /**
+   * @param {!Object} adPodInfo
+   * @constructor
+   */
+  ima.AdPodInfo = function(adPodInfo) {
+    this.adPosition_ = adPodInfo.adPosition;
+    this.totalAds_ = adPodInfo.totalAds;
+    this.podIndex_ = adPodInfo.podIndex;
+    this.timeOffset_ = adPodInfo.timeOffset;
+    this.maxDuration_ = adPodInfo.maxDuration;
+  };
+
+  ima.AdPodInfo.prototype.getAdPosition = function() {
+    return this.adPosition_;
+  };
+
+  ima.AdPodInfo.prototype.getTotalAds = function() {
+    return this.totalAds_;
+  };
+
+  ima.AdPodInfo.prototype.getPodIndex = function() {
+    return this.podIndex_;
+  };
+
+  ima.AdPodInfo.prototype.getTimeOffset = function() {
+    return this.timeOffset_;
+  };
+
+  ima.AdPodInfo.prototype.getMaxDuration = function() {
+    return this.maxDuration_;
+  };
+
+  ima.AdPodInfo.prototype.getIsBumper = function() {
+    return false;
+  };
+
+
+  /**
+   * @param {!Object} data A parsed VAST ad.
+   * @param {!ima.AdPodInfo} adPodInfo
+   * @constructor
+   */
+  ima.Ad = function(data, adPodInfo) {
+    this.data_ = data;
+    this.adPodInfo_ = adPodInfo;
+  };
+
+  ima.Ad.prototype.getAdId = function() {
+    return this.data_.adId;
+  };
+
+  ima.Ad.prototype.getCreativeId = function() {
+    return this.data_.creativeId;
+  };
+
+  ima.Ad.prototype.getCreativeAdId = function() {
+    return this.data_.creativeAdId;
+  };
+
+  ima.Ad.prototype.getAdSystem = function() {
+    return this.data_.adSystem;
+  };
+
+  ima.Ad.prototype.getTitle = function() {
+    return this.data_.title;
+  };
+
+  ima.Ad.prototype.getDescription = function() {
+    return this.data_.description;
+  };
+
+  ima.Ad.prototype.getDuration = function() {
+    return this.data_.duration;
+  };
+
+  ima.Ad.prototype.getSkipTimeOffset = function() {
+    return this.data_.skipOffset;
+  };
+
+  ima.Ad.prototype.isLinear = function() {
+    return this.data_.linear;
+  };
+
+  ima.Ad.prototype.getContentType = function() {
+    return this.data_.mediaFile ? this.data_.mediaFile.type : '';
+  };
+
+  ima.Ad.prototype.getMediaUrl = function() {
+    return this.data_.mediaFile ? this.data_.mediaFile.url : null;
+  };
+
+  ima.Ad.prototype.getVastMediaWidth = function() {
+    return this.data_.mediaFile ? this.data_.mediaFile.width : 0;
+  };
+
+  ima.Ad.prototype.getVastMediaHeight = function() {
+    return this.data_.mediaFile ? this.data_.mediaFile.height : 0;
+  };
+
+  ima.Ad.prototype.getVastMediaBitrate = function() {
+    return this.data_.mediaFile ? this.data_.mediaFile.bitrate : 0;
+  };
+
+  ima.Ad.prototype.getWidth = function() {
+    return this.data_.linear ?
+        this.getVastMediaWidth() : this.data_.nonLinear.width;
+  };
+
+  ima.Ad.prototype.getHeight = function() {
+    return this.data_.linear ?
+        this.getVastMediaHeight() : this.data_.nonLinear.height;
+  };
+
+  ima.Ad.prototype.getMinSuggestedDuration = function() {
+    return this.data_.linear ? -1 : this.data_.nonLinear.minSuggestedDuration;
+  };
+
+  ima.Ad.prototype.getAdPodInfo = function() {
+    return this.adPodInfo_;
+  };
+
+  ima.Ad.prototype.getWrapperAdIds = function() {
+    return this.data_.wrapperAdIds.slice();
+  };
+
+  ima.Ad.prototype.getTraffickingParameters = function() {
+    return {};
+  };
+
+  ima.Ad.prototype.getTraffickingParametersString = function() {
+    return this.data_.adParameters || '';
+  };
+
+  ima.Ad.prototype.getCompanionAds = function() {
+    return [];
+  };
+
+
+  /**
+   * @param {!Element} containerElement
+   * @param {HTMLVideoElement=} videoElement
+   * @param {Element=} clickTrackingElement
+   * @constructor
+   */
+  ima.AdDisplayContainer = function(
+      containerElement, videoElement, clickTrackingElement) {
+    this.containerElement_ = containerElement;
+    this.videoElement_ = videoElement || null;
+    this.clickTrackingElement_ = clickTrackingElement || null;
+    this.initialized_ = false;
+  };
+
+  /**
+   * Must be called from a user action on mobile. The stand-in only records
+   * that it happened.
+   */
+  ima.AdDisplayContainer.prototype.initialize = function() {
+    this.initialized_ = true;
+  };
+
+  ima.AdDisplayContainer.prototype.destroy = function() {
+    this.initialized_ = false;
+  };
+
+
+  /**
+   * @param {!ima.AdDisplayContainer} adDisplayContainer
+   * @constructor
+   * @extends {SdkEventTarget}
+   */
+  ima.AdsLoader = function(adDisplayContainer) {
+    SdkEventTarget.call(this);
+    this.adDisplayContainer_ = adDisplayContainer;
+    this.settings_ = copySettings(ima.settings);
+    this.adsManagers_ = [];
+  };
+  ima.AdsLoader.prototype = Object.create(SdkEventTarget.prototype);
+  ima.AdsLoader.prototype.constructor = ima.AdsLoader;
+
+  ima.AdsLoader.prototype.getSettings = function() {
+    return this.settings_;
+  };
+
+  ima.AdsLoader.prototype.getVersion = function() {
+    return ima.VERSION;
+  };
+
+  /**
+   * Fetches and parses the ad tag, following wrappers, then dispatches
+   * ADS_MANAGER_LOADED or AD_ERROR. Fails with VAST_LOAD_TIMEOUT if that
+   * takes longer than the request's vastLoadTimeout.
+   *
+   * @param {!ima.AdsRequest} adsRequest
+   * @param {Object=} userRequestContext
+   */
+  ima.AdsLoader.prototype.requestAds = function(
+      adsRequest, userRequestContext) {
+    var self = this;
+    var maxDepth = self.settings_.getNumRedirects();
+    var answered = false;
+    var answer = function(event) {
+      if (!answered) {
+        answered = true;
+        clearTimeout(timeoutTimer);
+        self.dispatchEvent_(event);
+      }
+    };
+    var timeout = adsRequest.vastLoadTimeout;
+    var timeoutTimer = timeout > 0 ? setTimeout(function() {
+      answer(new ima.AdErrorEvent(new ima.AdError(
+          ima.AdError.ErrorCode.VAST_LOAD_TIMEOUT,
+          'VAST response was not received within ' + timeout + ' ms.',
+          ima.AdError.Type.AD_LOAD), userRequestContext));
+    }, timeout) : null;
+    // Answers from the ad server are held back by adServerDelay.
+    var answerLater = function(event) {
+      if (ima.fake.adServerDelay > 0) {
+        setTimeout(answer.bind(null, event), ima.fake.adServerDelay);
+      } else {
+        answer(event);
+      }
+    };
+    var onError = function(error) {
+      answerLater(new ima.AdErrorEvent(error, userRequestContext));
+    };
+    var onLoaded = function(adsResponse) {
+      answerLater(new ima.AdsManagerLoadedEvent(
+          self, adsResponse, userRequestContext));
+    };
+    var onVastLoaded = function(ads) {
+      if (!ads.length) {
+        onError(emptyResponseError());
+        return;
+      }
+      onLoaded({adRules: false, adBreaks: [{timeOffset: 0, ads: ads}]});
+    };
+    var onVmapLoaded = function(adBreaks) {
+      if (!adBreaks.length) {
+        onError(emptyResponseError());
+        return;
+      }
+      onLoaded({adRules: true, adBreaks: adBreaks});
+    };
+    var onDocument = function(doc, url) {
+      if (doc && doc.documentElement.localName == 'VMAP') {
+        resolveVmap(doc.documentElement, url, maxDepth, onVmapLoaded);
+      } else {
+        resolveVast(
+            doc && doc.documentElement, url, [], 0, maxDepth, onVastLoaded,
+            onError);
+      }
+    };
+
+    if (adsRequest.adsResponse) {
+      setTimeout(function() {
+        onDocument(parseXml(adsRequest.adsResponse), '');
+      }, 0);
+      return;
+    }
+    if (!adsRequest.adTagUrl) {
+      setTimeout(function() {
+        onError(new ima.AdError(
+            ima.AdError.ErrorCode.INVALID_AD_TAG,
+            'Ad tag url is empty.',
+            ima.AdError.Type.AD_LOAD));
+      }, 0);
+      return;
+    }
+    var url = localTagUrl(adsRequest.adTagUrl);
+    loadXml(url, function(doc) {
+      onDocument(doc, url);
+    }, function() {
+      onError(new ima.AdError(
+          ima.AdError.ErrorCode.ADS_REQUEST_NETWORK_ERROR,
+          'Failed to load ad tag ' + url,
+          ima.AdError.Type.AD_LOAD));
+    });
+  };
+
+  /**
+   * Signals that content has finished. Lets an active non-linear ad finish.
+   */
+  ima.AdsLoader.prototype.contentComplete = function() {
+    for (var i = 0; i < this.adsManagers_.length; i++) {
+      this.adsManagers_[i].contentComplete_();
+    }
+  };
+
+  ima.AdsLoader.prototype.destroy = function() {
+    this.adsManagers_ = [];
+    this.listeners_ = {};
+  };
+
+
+  /**
+   * Plays a VAST response as a single ad break. For a VMAP response, plays
+   * the pre-roll on start(), each mid-roll once the content playback passes
+   * its cue point and the post-roll after contentComplete(), like the real
+   * SDK does for ad rules.
+   *
+   * @param {!ima.AdDisplayContainer} adDisplayContainer
+   * @param {!AdsResponse} adsResponse
+   * @param {!Object} contentPlayback
+   * @param {!ima.AdsRenderingSettings} adsRenderingSettings
+   * @param {!ima.AdsLoader} adsLoader The loader that loaded the ads.
+   * @constructor
+   * @extends {SdkEventTarget}
+   */
+  ima.AdsManager = function(adDisplayContainer, adsResponse, contentPlayback,
+      adsRenderingSettings, adsLoader) {
+    SdkEventTarget.call(this);
+    this.adDisplayContainer_ = adDisplayContainer;
+    this.adsLoader_ = adsLoader;
+    this.settings_ = adsLoader.getSettings();
+    this.contentPlayback_ = contentPlayback;
+    this.adsRenderingSettings_ = adsRenderingSettings;
+    this.adRules_ = adsResponse.adRules;
+    this.adBreaks_ = [];
+    for (var i = 0; i < adsResponse.adBreaks.length; i++) {
+      var adBreak = adsResponse.adBreaks[i];
+      var podIndex = adBreak.timeOffset < 0 ? -1 : i;
+      var ads = [];
+      for (var j = 0; j < adBreak.ads.length; j++) {
+        ads.push(new ima.Ad(adBreak.ads[j], new ima.AdPodInfo({
+          adPosition: j + 1,
+          totalAds: adBreak.ads.length,
+          podIndex: podIndex,
+          timeOffset: adBreak.timeOffset,
+          maxDuration: -1
+        })));
+      }
+      this.adBreaks_.push({
+        timeOffset: adBreak.timeOffset,
+        ads: ads,
+        error: adBreak.error || null,
+        played: false
+      });
+    }
+    // The break start() plays next: the VAST break, or the VMAP pre-roll.
+    this.pendingBreak_ = this.adRules_ ?
+        this.findBreak_(0) : this.adBreaks_[0];
+    this.currentBreak_ = null;
+    this.ads_ = [];
+    this.adIndex_ = -1;
+    this.currentAd_ = null;
+    this.currentTime_ = 0;
+    this.skippable_ = false;
+    this.paused_ = false;
+    this.breakActive_ = false;
+    this.breakReady_ = false;
+    this.destroyed_ = false;
+    this.volume_ = 1;
+    this.width_ = 0;
+    this.height_ = 0;
+    this.viewMode_ = ima.ViewMode.NORMAL;
+    this.clock_ = null;
+    this.lastTick_ = 0;
+    this.contentTimer_ = null;
+    this.contentCompleted_ = false;
+    this.allAdsCompleted_ = false;
+    this.adUi_ = null;
+  };
+  ima.AdsManager.prototype = Object.create(SdkEventTarget.prototype);
+  ima.AdsManager.prototype.constructor = ima.AdsManager;
+
+  /**
+   * With automatic ad break playback turned off, init() announces the first
+   * break with AD_BREAK_READY and start() plays it. Later ad rules breaks are
+   * announced the same way when they are due.
+   */
+  ima.AdsManager.prototype.init = function(width, height, viewMode) {
+    this.width_ = width;
+    this.height_ = height;
+    this.viewMode_ = viewMode;
+    this.createAdUi_();
+    if (this.adRules_ && !this.contentTimer_) {
+      this.contentTimer_ = setInterval(
+          this.checkCuePoints_.bind(this), CLOCK_INTERVAL_MS);
+    }
+    if (!this.settings_.isAutoPlayAdBreaks() && !this.breakReady_ &&
+        this.pendingBreak_) {
+      this.schedule_(this.announceBreak_.bind(this));
+    }
+  };
+
+  /**
+   * Starts the ads. Under manual ad break playback, plays the break announced
+   * by the last AD_BREAK_READY. For ad rules without a pre-roll there is
+   * nothing to play yet and the call is ignored.
+   */
+  ima.AdsManager.prototype.start = function() {
+    if (this.destroyed_ || this.currentBreak_ || !this.pendingBreak_) {
+      return;
+    }
+    if (!this.settings_.isAutoPlayAdBreaks() && !this.breakReady_) {
+      return;
+    }
+    var adBreak = this.pendingBreak_;
+    this.pendingBreak_ = null;
+    this.breakReady_ = false;
+    this.currentBreak_ = adBreak;
+    this.schedule_(this.startBreak_.bind(this, adBreak));
+  };
+
+  ima.AdsManager.prototype.pause = function() {
+    if (!this.currentAd_ || this.paused_ || !this.currentAd_.isLinear()) {
+      return;
+    }
+    this.paused_ = true;
+    this.dispatchAdEvent_(ima.AdEvent.Type.PAUSED);
+  };
+
+  ima.AdsManager.prototype.resume = function() {
+    if (!this.currentAd_ || !this.paused_) {
+      return;
+    }
+    this.paused_ = false;
+    this.lastTick_ = Date.now();
+    this.dispatchAdEvent_(ima.AdEvent.Type.RESUMED);
+  };
+
+  ima.AdsManager.prototype.skip = function() {
+    if (!this.currentAd_ || !this.skippable_) {
+      return;
+    }
+    this.dispatchAdEvent_(ima.AdEvent.Type.SKIPPED);
+    this.finishAd_();
+  };
+
+  ima.AdsManager.prototype.stop = function() {
+    if (!this.currentAd_) {
+      return;
+    }
+    this.adIndex_ = this.ads_.length;
+    this.finishAd_();
+  };
+
+  ima.AdsManager.prototype.destroy = function() {
+    this.destroyed_ = true;
+    this.stopClock_();
+    clearInterval(this.contentTimer_);
+    this.contentTimer_ = null;
+    this.currentAd_ = null;
+    if (this.adUi_ && this.adUi_.parentNode) {
+      this.adUi_.parentNode.removeChild(this.adUi_);
+    }
+    this.adUi_ = null;
+    this.listeners_ = {};
+    removeItem(this.adsLoader_.adsManagers_, this);
+    removeItem(ima.fake.adsManagers, this);
+  };
+
+  ima.AdsManager.prototype.resize = function(width, height, viewMode) {
+    this.width_ = width;
+    this.height_ = height;
+    this.viewMode_ = viewMode;
+    this.layoutAdUi_();
+  };
+
+  ima.AdsManager.prototype.getRemainingTime = function() {
+    if (!this.currentAd_ || !this.currentAd_.isLinear()) {
+      return -1;
+    }
+    return Math.max(0, this.currentAd_.getDuration() - this.currentTime_);
+  };
+
+  ima.AdsManager.prototype.getAdSkippableState = function() {
+    return this.skippable_;
+  };
+
+  /**
+   * @return {!Array<number>} The ad rules cue points in seconds, with 0 for
+   *     the pre-roll and -1 for the post-roll. Empty for a VAST response.
+   */
+  ima.AdsManager.prototype.getCuePoints = function() {
+    if (!this.adRules_) {
+      return [];
+    }
+    return this.adBreaks_.map(function(adBreak) {
+      return adBreak.timeOffset;
+    });
+  };
+
+  ima.AdsManager.prototype.getVolume = function() {
+    return this.volume_;
+  };
+
+  ima.AdsManager.prototype.setVolume = function(volume) {
+    if (volume == this.volume_) {
+      return;
+    }
+    this.volume_ = volume;
+    this.dispatchAdEvent_(volume == 0 ?
+        ima.AdEvent.Type.VOLUME_MUTED : ima.AdEvent.Type.VOLUME_CHANGED);
+  };
+
+  ima.AdsManager.prototype.isCustomClickTrackingUsed = function() {
+    return false;
+  };
+
+  ima.AdsManager.prototype.isCustomPlaybackUsed = function() {
+    return false;
+  };
+
+  ima.AdsManager.prototype.updateAdsRenderingSettings = function(settings) {
+    this.adsRenderingSettings_ = settings;
+  };
+
+  /**
+   * @param {function()} fn
+   * @private
+   */
+  ima.AdsManager.prototype.schedule_ = function(fn) {
+    var self = this;
+    setTimeout(function() {
+      if (!self.destroyed_) {
+        fn();
+      }
+    }, 0);
+  };
+
+  /**
+   * @param {string} type
+   * @param {Object=} adData
+   * @private
+   */
+  ima.AdsManager.prototype.dispatchAdEvent_ = function(type, adData) {
+    this.dispatchEvent_(new ima.AdEvent(type, this.currentAd_, adData));
+  };
+
+  /**
+   * @param {number} code
+   * @param {string} message
+   * @private
+   */
+  ima.AdsManager.prototype.dispatchAdError_ = function(code, message) {
+    this.dispatchEvent_(new ima.AdErrorEvent(
+        new ima.AdError(code, message, ima.AdError.Type.AD_PLAY)));
+  };
+
+  /**
+   * @param {number} timeOffset
+   * @return {Object} The break at that cue point, if it has not played.
+   * @private
+   */
+  ima.AdsManager.prototype.findBreak_ = function(timeOffset) {
+    for (var i = 0; i < this.adBreaks_.length; i++) {
+      var adBreak = this.adBreaks_[i];
+      if (adBreak.timeOffset == timeOffset && !adBreak.played) {
+        return adBreak;
+      }
+    }
+    return null;
+  };
+
+  /**
+   * Polls the content playback and plays the mid-roll whose cue point it has
+   * passed. After a seek over several cue points only the last one plays.
+   *
+   * @private
+   */
+  ima.AdsManager.prototype.checkCuePoints_ = function() {
+    if (this.currentBreak_ || this.pendingBreak_ || this.contentCompleted_) {
+      return;
+    }
+    var contentTime = this.contentPlayback_.currentTime || 0;
+    var due = null;
+    for (var i = 0; i < this.adBreaks_.length; i++) {
+      var adBreak = this.adBreaks_[i];
+      if (!adBreak.played && adBreak.timeOffset > 0 &&
+          adBreak.timeOffset <= contentTime) {
+        if (due) {
+          due.played = true;
+        }
+        due = adBreak;
+      }
+    }
+    if (due) {
+      this.breakDue_(due);
+    }
+  };
+
+  /**
+   * @param {!Object} adBreak
+   * @private
+   */
+  ima.AdsManager.prototype.breakDue_ = function(adBreak) {
+    this.pendingBreak_ = adBreak;
+    if (this.settings_.isAutoPlayAdBreaks()) {
+      this.start();
+    } else {
+      this.announceBreak_();
+    }
+  };
+
+  /**
+   * @private
+   */
+  ima.AdsManager.prototype.announceBreak_ = function() {
+    this.breakReady_ = true;
+    this.dispatchAdEvent_(ima.AdEvent.Type.AD_BREAK_READY);
+  };
+
+  /**
+   * @param {!Object} adBreak
+   * @private
+   */
+  ima.AdsManager.prototype.startBreak_ = function(adBreak) {
+    adBreak.played = true;
+    this.ads_ = adBreak.ads;
+    if (adBreak.error) {
+      this.dispatchEvent_(new ima.AdErrorEvent(adBreak.error));
+    }
+    this.loadAd_(0);
+  };
+
+  /**
+   * @param {number} index
+   * @private
+   */
+  ima.AdsManager.prototype.loadAd_ = function(index) {
+    this.adIndex_ = index;
+    if (index >= this.ads_.length) {
+      this.endBreak_();
+      return;
+    }
+    var ad = this.ads_[index];
+    this.currentAd_ = ad;
+    this.currentTime_ = 0;
+    this.skippable_ = false;
+    this.paused_ = false;
+
+    if (ad.isLinear() && !ad.data_.mediaFile) {
+      this.currentAd_ = null;
+      this.dispatchAdError_(
+          ima.AdError.ErrorCode.VAST_LINEAR_ASSET_MISMATCH,
+          'Linear assets were found in the VAST ad response, but none of ' +
+          'them matched the video player\'s capabilities.');
+      this.schedule_(this.loadAd_.bind(this, index + 1));
+      return;
+    }
+
+    this.dispatchAdEvent_(ima.AdEvent.Type.LOADED);
+    if (this.destroyed_) {
+      return;
+    }
+    if (ad.isLinear()) {
+      if (!this.breakActive_) {
+        this.breakActive_ = true;
+        this.dispatchAdEvent_(ima.AdEvent.Type.CONTENT_PAUSE_REQUESTED);
+      }
+    }
+    this.showAdUi_();
+    this.dispatchAdEvent_(ima.AdEvent.Type.IMPRESSION);
+    this.dispatchAdEvent_(ima.AdEvent.Type.STARTED);
+    if (ad.isLinear()) {
+      this.startClock_();
+    }
+  };
+
+  /**
+   * Moves past the current ad without reporting COMPLETE.
+   * @private
+   */
+  ima.AdsManager.prototype.finishAd_ = function() {
+    this.stopClock_();
+    this.hideAdUi_();
+    this.currentAd_ = null;
+    this.skippable_ = false;
+    this.paused_ = false;
+    this.schedule_(this.loadAd_.bind(this, this.adIndex_ + 1));
+  };
+
+  /**
+   * Hands back to the content. An ad rules break asks for the content even if
+   * none of its ads played, so content starts after a failed pre-roll.
+   *
+   * @private
+   */
+  ima.AdsManager.prototype.endBreak_ = function() {
+    this.currentAd_ = null;
+    this.currentBreak_ = null;
+    if (this.breakActive_ || this.adRules_) {
+      this.breakActive_ = false;
+      this.dispatchAdEvent_(ima.AdEvent.Type.CONTENT_RESUME_REQUESTED);
+    }
+    if (this.destroyed_) {
+      return;
+    }
+    if (!this.adRules_) {
+      this.dispatchAdEvent_(ima.AdEvent.Type.ALL_ADS_COMPLETED);
+    } else if (this.contentCompleted_) {
+      this.completeContent_();
+    }
+  };
+
+  /**
+   * Called by the loader when content completes. Ends a non-linear ad that is
+   * still showing, then plays the ad rules post-roll if there is one.
+   * @private
+   */
+  ima.AdsManager.prototype.contentComplete_ = function() {
+    if (this.contentCompleted_) {
+      return;
+    }
+    this.contentCompleted_ = true;
+    if (this.currentAd_ && !this.currentAd_.isLinear()) {
+      this.finishAd_();
+    } else if (this.adRules_ && !this.currentBreak_) {
+      this.completeContent_();
+    }
+  };
+
+  /**
+   * Once content has completed, plays the post-roll or, when there is none
+   * left, reports that all ads completed.
+   *
+   * @private
+   */
+  ima.AdsManager.prototype.completeContent_ = function() {
+    var postRoll = this.findBreak_(-1);
+    if (postRoll) {
+      this.breakDue_(postRoll);
+    } else if (!this.allAdsCompleted_) {
+      this.allAdsCompleted_ = true;
+      this.schedule_(this.dispatchAdEvent_.bind(
+          this, ima.AdEvent.Type.ALL_ADS_COMPLETED));
+    }
+  };
+
+  /**
+   * @private
+   */
+  ima.AdsManager.prototype.startClock_ = function() {
+    this.stopClock_();
+    this.lastTick_ = Date.now();
+    this.clock_ = setInterval(this.tick_.bind(this), CLOCK_INTERVAL_MS);
+  };
+
+  /**
+   * @private
+   */
+  ima.AdsManager.prototype.stopClock_ = function() {
+    if (this.clock_) {
+      clearInterval(this.clock_);
+      this.clock_ = null;
+    }
+  };
+
+  /**
+   * @private
+   */
+  ima.AdsManager.prototype.tick_ = function() {
+    var now = Date.now();
+    var elapsed = (now - this.lastTick_) / 1000;
+    this.lastTick_ = now;
+    if (!this.paused_) {
+      this.advance_(elapsed * ima.fake.playbackRate);
+    }
+  };
+
+  /**
+   * Advances the current linear ad and reports progress, quartiles,
+   * skippability and completion.
+   *
+   * @param {number} elapsed Seconds of ad playback to simulate.
+   * @private
+   */
+  ima.AdsManager.prototype.advance_ = function(elapsed) {
+    if (!this.currentAd_ || !this.currentAd_.isLinear()) {
+      return;
+    }
+    var ad = this.currentAd_;
+    var duration = ad.getDuration();
+    var previousTime = this.currentTime_;
+    this.currentTime_ = Math.min(duration, previousTime + elapsed);
+
+    var quartiles = [
+      [0.25, ima.AdEvent.Type.FIRST_QUARTILE],
+      [0.5, ima.AdEvent.Type.MIDPOINT],
+      [0.75, ima.AdEvent.Type.THIRD_QUARTILE]
+    ];
+    for (var i = 0; i < quartiles.length; i++) {
+      var mark = duration * quartiles[i][0];
+      if (previousTime < mark && this.currentTime_ >= mark) {
+        this.dispatchAdEvent_(quartiles[i][1]);
+      }
+    }
+    var skipOffset = ad.getSkipTimeOffset();
+    if (!this.skippable_ && skipOffset >= 0 &&
+        this.currentTime_ >= skipOffset) {
+      this.skippable_ = true;
+      this.dispatchAdEvent_(ima.AdEvent.Type.SKIPPABLE_STATE_CHANGED);
+    }
+    if (this.currentAd_ != ad) {
+      return;
+    }
+    var podInfo = ad.getAdPodInfo();
+    this.dispatchAdEvent_(ima.AdEvent.Type.AD_PROGRESS, {
+      adBreakDuration: this.getBreakDuration_(),
+      adPosition: podInfo.getAdPosition(),
+      currentTime: this.currentTime_,
+      duration: duration,
+      totalAds: podInfo.getTotalAds()
+    });
+    this.updateAdUi_();
+    if (this.currentAd_ == ad && this.currentTime_ >= duration) {
+      this.dispatchAdEvent_(ima.AdEvent.Type.COMPLETE);
+      this.finishAd_();
+    }
+  };
+
+  /**
+   * @return {number} The summed duration of the linear ads in the break.
+   * @private
+   */
+  ima.AdsManager.prototype.getBreakDuration_ = function() {
+    var total = 0;
+    for (var i = 0; i < this.ads_.length; i++) {
+      if (this.ads_[i].isLinear()) {
+        total += this.ads_[i].getDuration();
+      }
+    }
+    return total;
+  };
+
+  /**
+   * Creates the element standing in for the ad creative.
+   * @private
+   */
+  ima.AdsManager.prototype.createAdUi_ = function() {
+    if (this.adUi_) {
+      return;
+    }
+    var container = this.adDisplayContainer_.containerElement_;
+    var doc = container.ownerDocument;
+    this.adUi_ = doc.createElement('div');
+    this.adUi_.className = 'fake-ima-ad';
+    this.adUi_.style.position = 'absolute';
+    this.adUi_.style.display = 'none';
+    this.adUi_.style.boxSizing = 'border-box';
+    this.adUi_.style.padding = '8px';
+    this.adUi_.style.color = '#fff';
+    this.adUi_.style.font = '14px sans-serif';
+    this.adUi_.style.cursor = 'pointer';
+    this.adUi_.addEventListener('click', this.onAdUiClick_.bind(this), false);
+    container.appendChild(this.adUi_);
+    this.layoutAdUi_();
+  };
+
+  /**
+   * @private
+   */
+  ima.AdsManager.prototype.layoutAdUi_ = function() {
+    if (!this.adUi_) {
+      return;
+    }
+    var ad = this.currentAd_;
+    if (ad && !ad.isLinear()) {
+      var width = Math.min(ad.getWidth() || this.width_, this.width_);
+      var height = Math.min(ad.getHeight() || 60, this.height_);
+      this.adUi_.style.left = Math.round((this.width_ - width) / 2) + 'px';
+      this.adUi_.style.top = (this.height_ - height) + 'px';
+      this.adUi_.style.width = width + 'px';
+      this.adUi_.style.height = height + 'px';
+      this.adUi_.style.background = 'rgba(0, 0, 0, 0.6)';
+    } else {
+      this.adUi_.style.left = '0px';
+      this.adUi_.style.top = '0px';
+      this.adUi_.style.width = this.width_ + 'px';
+      this.adUi_.style.height = this.height_ + 'px';
+      this.adUi_.style.background = '#333';
+    }
+  };
+
+  /**
+   * @private
+   */
+  ima.AdsManager.prototype.showAdUi_ = function() {
+    if (!this.adUi_) {
+      return;
+    }
+    this.layoutAdUi_();
+    this.updateAdUi_();
+    this.adUi_.style.display = 'block';
+  };
+
+  /**
+   * @private
+   */
+  ima.AdsManager.prototype.hideAdUi_ = function() {
+    if (this.adUi_) {
+      this.adUi_.style.display = 'none';
+    }
+  };
+
+  /**
+   * @private
+   */
+  ima.AdsManager.prototype.updateAdUi_ = function() {
+    var ad = this.currentAd_;
+    if (!this.adUi_ || !ad) {
+      return;
+    }
+    var text = (ad.getTitle() || 'Advertisement');
+    if (ad.isLinear()) {
+      text += ' (' + ad.getAdPodInfo().getAdPosition() + ' of ' +
+          ad.getAdPodInfo().getTotalAds() + ') ' +
+          Math.ceil(this.getRemainingTime()) + 's';
+    }
+    this.adUi_.textContent = text;
+  };
+
+  /**
+   * @private
+   */
+  ima.AdsManager.prototype.onAdUiClick_ = function() {
+    var ad = this.currentAd_;
+    if (!ad || !ad.data_.clickThrough) {
+      return;
+    }
+    this.dispatchAdEvent_(ima.AdEvent.Type.CLICK);
+    this.pause();
+  };
+
+
+  /**
+   * @param {!Array} list
+   * @param {*} item Taken out of the list if it is there.
+   * @private
+   */
+  var removeItem = function(list, item) {
+    var index = list.indexOf(item);
+    if (index != -1) {
+      list.splice(index, 1);
+    }
+  };
+
+
+  /**
+   * Maps ad tags on other origins to a local VAST file so pages run offline.
+   *
+   * @param {string} adTagUrl
+   * @return {string}
+   * @private
+   */
+  var localTagUrl = function(adTagUrl) {
+    var location = global.location;
+    var isRemote = /^(https?:)?\/\//.test(adTagUrl) && location &&
+        adTagUrl.indexOf(location.protocol + '//' + location.host) != 0;
+    if (!isRemote) {
+      return adTagUrl;
+    }
+    var match = location && /[?&]vast=([\w-]+)/.exec(location.search);
+    return BASE_URL + 'vast/' + (match ? match[1] : 'linear') + '.xml';
+  };
+
+  /**
+   * @param {string} url
+   * @param {function(Document)} onLoaded Called with the parsed document, or
+   *     null if the response is not XML.
+   * @param {function()} onError Called if the request fails.
+   * @private
+   */
+  var loadXml = function(url, onLoaded, onError) {
+    var xhr = new XMLHttpRequest();
+    xhr.open('GET', url, true);
+    xhr.onload = function() {
+      if (xhr.status && (xhr.status < 200 || xhr.status >= 300)) {
+        onError();
+        return;
+      }
+      onLoaded(parseXml(xhr.responseText));
+    };
+    xhr.onerror = onError;
+    xhr.send();
+  };
+
+  /**
+   * @param {string} url
+   * @param {!Array<string>} wrapperAdIds
+   * @param {number} depth
+   * @param {number} maxDepth
+   * @param {function(!Array<!Object>)} onLoaded
+   * @param {function(!ima.AdError)} onError
+   * @private
+   */
+  var loadVast = function(
+      url, wrapperAdIds, depth, maxDepth, onLoaded, onError) {
+    loadXml(url, function(doc) {
+      resolveVast(
+          doc && doc.documentElement, url, wrapperAdIds, depth, maxDepth,
+          onLoaded, onError);
+    }, function() {
+      onError(new ima.AdError(
+          depth ? ima.AdError.ErrorCode.VAST_WRAPPER_ERROR :
+              ima.AdError.ErrorCode.ADS_REQUEST_NETWORK_ERROR,
+          'Failed to load ad tag ' + url,
+          ima.AdError.Type.AD_LOAD));
+    });
+  };
+
+  /**
+   * @return {!ima.AdError}
+   * @private
+   */
+  var emptyResponseError = function() {
+    return new ima.AdError(
+        ima.AdError.ErrorCode.VAST_EMPTY_RESPONSE,
+        'No ads VAST response after one or more wrappers.',
+        ima.AdError.Type.AD_LOAD);
+  };
+
+  /**
+   * A parsed ad response: one break for VAST, or the scheduled breaks of a
+   * VMAP playlist. A break whose ads failed to load keeps the error, which
+   * the ads manager reports when the break is due.
+   *
+   * @typedef {{
+   *   adRules: boolean,
+   *   adBreaks: !Array<{
+   *     timeOffset: number,
+   *     ads: !Array<!Object>,
+   *     error: (ima.AdError|undefined)
+   *   }>
+   * }}
+   * @private
+   */
+  var AdsResponse;
+
+  /**
+   * Loads the ads of every break in a VMAP playlist. Breaks with a time offset
+   * the stand-in does not support (percentages and positions) are dropped.
+   *
+   * @param {!Element} vmap
+   * @param {string} url The URL the playlist was loaded from, used to resolve
+   *     relative AdTagURIs.
+   * @param {number} maxDepth
+   * @param {function(!Array<!Object>)} onLoaded Called with the breaks in
+   *     playback order, the post-roll last.
+   * @private
+   */
+  var resolveVmap = function(vmap, url, maxDepth, onLoaded) {
+    var adBreaks = [];
+    var breakElements = childElements(vmap, 'vmap:AdBreak');
+    var pending = breakElements.length + 1;
+    var done = function() {
+      if (--pending == 0) {
+        adBreaks = adBreaks.filter(Boolean);
+        adBreaks.sort(function(a, b) {
+          return (a.timeOffset < 0 ? Infinity : a.timeOffset) -
+              (b.timeOffset < 0 ? Infinity : b.timeOffset);
+        });
+        onLoaded(adBreaks);
+      }
+    };
+    breakElements.forEach(function(breakElement, i) {
+      var timeOffset = parseTimeOffset(
+          breakElement.getAttribute('timeOffset'));
+      var adSource = firstChild(breakElement, 'vmap:AdSource');
+      var vastData = firstChild(adSource, 'vmap:VASTAdData');
+      var tagUri = textOf(firstChild(adSource, 'vmap:AdTagURI'));
+      if (timeOffset === null || (!vastData && !tagUri)) {
+        done();
+        return;
+      }
+      var onBreakLoaded = function(ads) {
+        adBreaks[i] = {
+          timeOffset: timeOffset,
+          ads: ads,
+          error: ads.length ? undefined : emptyResponseError()
+        };
+        done();
+      };
+      var onBreakError = function(error) {
+        adBreaks[i] = {timeOffset: timeOffset, ads: [], error: error};
+        done();
+      };
+      if (vastData) {
+        resolveVast(
+            firstChild(vastData, 'VAST'), url, [], 0, maxDepth,
+            onBreakLoaded, onBreakError);
+        return;
+      }
+      if (url) {
+        tagUri = new URL(tagUri, new URL(url, global.location.href)).href;
+      }
+      loadVast(
+          localTagUrl(tagUri), [], 0, maxDepth, onBreakLoaded, onBreakError);
+    });
+    done();
+  };
+
+  /**
+   * @param {?string} timeOffset A VMAP timeOffset: "start", "end" or
+   *     "hh:mm:ss[.mmm]".
+   * @return {?number} The cue point in seconds, with -1 for the post-roll, or
+   *     null if the offset is not supported.
+   * @private
+   */
+  var parseTimeOffset = function(timeOffset) {
+    if (timeOffset == 'start') {
+      return 0;
+    }
+    if (timeOffset == 'end') {
+      return -1;
+    }
+    if (/^\d+:\d{2}:\d{2}(\.\d+)?$/.test(timeOffset || '')) {
+      return parseTime(timeOffset);
+    }
+    return null;
+  };
+
+  /**
+   * @param {string} text
+   * @return {Document} The parsed document, or null if it is not XML.
+   * @private
+   */
+  var parseXml = function(text) {
+    var doc = new DOMParser().parseFromString(text, 'text/xml');
+    if (!doc || doc.getElementsByTagName('parsererror').length) {
+      return null;
+    }
+    return doc;
+  };
+
+  /**
+   * Turns a VAST document into ad data, loading wrapped responses first.
+   *
+   * @param {Element} vast The VAST root element, or null if the response
+   *     was not XML.
+   * @param {string} url The URL the document was loaded from, used to
+   *     resolve relative wrapper URIs.
+   * @param {!Array<string>} wrapperAdIds
+   * @param {number} depth
+   * @param {number} maxDepth
+   * @param {function(!Array<!Object>)} onLoaded
+   * @param {function(!ima.AdError)} onError
+   * @private
+   */
+  var resolveVast = function(
+      vast, url, wrapperAdIds, depth, maxDepth, onLoaded, onError) {
+    if (!vast || vast.nodeName != 'VAST') {
+      onError(new ima.AdError(
+          ima.AdError.ErrorCode.VAST_MALFORMED_RESPONSE,
+          'The VAST response is not valid XML.',
+          ima.AdError.Type.AD_LOAD));
+      return;
+    }
+    var adElements = childElements(vast, 'Ad');
+    adElements.sort(function(a, b) {
+      return (parseInt(a.getAttribute('sequence'), 10) || 0) -
+          (parseInt(b.getAttribute('sequence'), 10) || 0);
+    });
+    var ads = [];
+    var pending = adElements.length;
+    var failed = false;
+    if (!pending) {
+      onLoaded(ads);
+      return;
+    }
+    var done = function() {
+      if (--pending == 0 && !failed) {
+        onLoaded([].concat.apply([], ads));
+      }
+    };
+    var fail = function(error) {
+      if (!failed) {
+        failed = true;
+        onError(error);
+      }
+    };
+    adElements.forEach(function(adElement, i) {
+      var adId = adElement.getAttribute('id') || '';
+      var wrapper = firstChild(adElement, 'Wrapper');
+      if (!wrapper) {
+        var inLine = firstChild(adElement, 'InLine');
+        ads[i] = inLine ? [parseInLine(inLine, adId, wrapperAdIds)] : [];
+        done();
+        return;
+      }
+      if (depth >= maxDepth) {
+        fail(new ima.AdError(
+            ima.AdError.ErrorCode.VAST_TOO_MANY_REDIRECTS,
+            'The maximum number of VAST wrapper redirects has been reached.',
+            ima.AdError.Type.AD_LOAD));
+        return;
+      }
+      var tagUri = textOf(firstChild(wrapper, 'VASTAdTagURI'));
+      if (url) {
+        tagUri = new URL(tagUri, new URL(url, global.location.href)).href;
+      }
+      loadVast(
+          localTagUrl(tagUri), wrapperAdIds.concat(adId), depth + 1,
+          maxDepth,
+          function(wrappedAds) {
+            ads[i] = wrappedAds;
+            done();
+          },
+          fail);
+    });
+  };
+
+  /**
+   * @param {!Element} inLine
+   * @param {string} adId
+   * @param {!Array<string>} wrapperAdIds
+   * @return {!Object}
+   * @private
+   */
+  var parseInLine = function(inLine, adId, wrapperAdIds) {
+    var data = {
+      adId: adId,
+      adSystem: textOf(firstChild(inLine, 'AdSystem')),
+      title: textOf(firstChild(inLine, 'AdTitle')),
+      description: textOf(firstChild(inLine, 'Description')),
+      wrapperAdIds: wrapperAdIds,
+      creativeId: '',
+      creativeAdId: '',
+      linear: true,
+      duration: 0,
+      skipOffset: -1,
+      mediaFile: null,
+      clickThrough: '',
+      adParameters: '',
+      nonLinear: null
+    };
+    var creatives = inLine.getElementsByTagName('Creative');
+    for (var i = 0; i < creatives.length; i++) {
+      var creative = creatives[i];
+      var linear = firstChild(creative, 'Linear');
+      // <NonLinearAds> may hold only tracking events, with nothing to show.
+      var nonLinear = firstChild(firstChild(creative, 'NonLinearAds'),
+          'NonLinear');
+      if (!linear && !nonLinear) {
+        continue;
+      }
+      data.creativeId = creative.getAttribute('id') || '';
+      data.creativeAdId = creative.getAttribute('adId') || '';
+      if (linear) {
+        data.duration = parseTime(textOf(firstChild(linear, 'Duration')));
+        var skipOffset = linear.getAttribute('skipoffset');
+        if (skipOffset) {
+          data.skipOffset = /%$/.test(skipOffset) ?
+              data.duration * parseFloat(skipOffset) / 100 :
+              parseTime(skipOffset);
+        }
+        data.mediaFile = pickMediaFile(linear.getElementsByTagName(
+            'MediaFile'));
+        data.clickThrough = textOf(
+            linear.getElementsByTagName('ClickThrough')[0]);
+        data.adParameters = textOf(firstChild(linear, 'AdParameters'));
+      } else {
+        data.linear = false;
+        data.nonLinear = {
+          width: parseInt(nonLinear.getAttribute('width'), 10) || 0,
+          height: parseInt(nonLinear.getAttribute('height'), 10) || 0,
+          minSuggestedDuration:
+              parseTime(nonLinear.getAttribute('minSuggestedDuration'))
+        };
+        data.clickThrough = textOf(
+            firstChild(nonLinear, 'NonLinearClickThrough'));
+      }
+      break;
+    }
+    return data;
+  };
+
+  /**
+   * @param {!NodeList} mediaFiles
+   * @return {Object} The first progressive media file the SDK could play.
+   * @private
+   */
+  var pickMediaFile = function(mediaFiles) {
+    for (var i = 0; i < mediaFiles.length; i++) {
+      var type = mediaFiles[i].getAttribute('type');
+      if (PLAYABLE_MIME_TYPES.indexOf(type) > -1) {
+        return {
+          url: textOf(mediaFiles[i]),
+          type: type,
+          width: parseInt(mediaFiles[i].getAttribute('width'), 10) || 0,
+          height: parseInt(mediaFiles[i].getAttribute('height'), 10) || 0,
+          bitrate: parseInt(mediaFiles[i].getAttribute('bitrate'), 10) || 0
+        };
+      }
+    }
+    return null;
+  };
+
+  /**
+   * @param {?string} time A VAST time such as "00:00:15" or "00:00:15.500".
+   * @return {number} The time in seconds.
+   * @private
+   */
+  var parseTime = function(time) {
+    var parts = (time || '').split(':');
+    var seconds = 0;
+    for (var i = 0; i < parts.length; i++) {
+      seconds = seconds * 60 + (parseFloat(parts[i]) || 0);
+    }
+    return seconds;
+  };
+
+  /**
+   * @param {!Element} parent
+   * @param {string} name A VAST element name, or a VMAP one as vmap:name,
+   *     matched by namespace whatever prefix the response uses.
+   * @return {!Array<!Element>}
+   * @private
+   */
+  var childElements = function(parent, name) {
+    var vmapName = /^vmap:/.test(name) ? name.slice(5) : null;
+    var result = [];
+    for (var node = parent.firstChild; node; node = node.nextSibling) {
+      if (node.nodeType == 1 && (vmapName ?
+          node.localName == vmapName && node.namespaceURI == VMAP_NAMESPACE :
+          node.nodeName == name)) {
+        result.push(node);
+      }
+    }
+    return result;
+  };
+
+  /**
+   * @param {Element} parent
+   * @param {string} name
+   * @return {Element}
+   * @private
+   */
+  var firstChild = function(parent, name) {
+    return parent ? childElements(parent, name)[0] || null : null;
+  };
+
+  /**
+   * @param {Element} element
+   * @return {string}
+   * @private
+   */
+  var textOf = function(element) {
+    return element ? element.textContent.trim() : '';
+  };
+
+
+  global.google = global.google || {};
+  global.google.ima = ima;
+})(this);
@@ -0,0 +1,51 @@
+// Copyright 2013 Google Inc. All Rights Reserved.
+// You may study, modify, and use this example for any purpose.
+// Note that this example is provided "as is", WITHOUT WARRANTY
+// of any kind either expressed or implied.
+
+var AD_TAG = new AdTagBuilder(
+    'https://pubads.g.doubleclick.net/gampad/ads?' +
+    'sz=640x480&iu=/124319096/external/single_ad_samples&ciu_szs=300x250&' +
+    'impl=s&gdfp_req=1&env=vp&output=vast&unviewed_position_start=1&' +
+    'correlator=',
+    {targeting: {deployment: 'devsite', sample_ct: 'linear'}});
+
+// Creates each player's ads controller with the same request policy, and
+// pauses the other players when one starts an ad with sound.
+var playerGroup = new PlayerGroup({
+  adsOptions: {
+    adRequestTimeout: 5000,
+    contentStartTimeout: 10000
+  }
+});
+
+/**
+ * Sets up the player in one embed. Everything is looked up inside the
+ * embed, so the page can hold any number of them.
+ *
+ * @param {!Element} embed
+ * @param {number} index The embed's position on the page, for logging.
+ */
+function initPlayer(embed, index) {
+  var adsController = playerGroup.createAdsController({
+    adContainer: embed.querySelector('.adContainer'),
+    videoElement: embed.querySelector('.contentElement'),
+    width: 640,
+    height: 360
+  });
+  adsController.on('error', function(event) {
+    // Handle the error logging.
+    console.log('Player ' + (index + 1) + ': ' + event.error);
+  });
+  embed.querySelector('.playButton').addEventListener('click', function() {
+    adsController.play();
+  });
+  adsController.requestAds(AD_TAG);
+}
+
+function initMultiplePlayersExample() {
+  var embeds = document.querySelectorAll('.embed');
+  for (var i = 0; i < embeds.length; i++) {
+    initPlayer(embeds[i], i);
+  }
+}
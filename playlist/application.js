@@ -4,25 +4,62 @@
 // of any kind either expressed or implied.
 
 /**
- * Handles user interaction and creates the player and ads controllers.
+ * Handles user interaction and creates the player and ads controllers. The
+ * player's controls are looked up inside config.container; the playlist and
+ * the console are page widgets, found by ID.
+ *
+ * @param {!Application.Config} config
  */
-var Application = function() {
-  this.console_ = document.getElementById('console');
-  this.playButton_ = document.getElementById('playpause');
+var Application = function(config) {
+  this.container_ = config.container;
+  this.eventLog_ = new EventLog({
+    creator: {name: document.title, version: google.ima.VERSION}
+  });
+  this.logView_ = new EventLogView(
+      this.eventLog_,
+      document.getElementById('console'),
+      {categories: ['app', 'content', 'ad'], filename: 'ima-event-log'});
+  this.log('Welcome to IMA HTML5 SDK Demo!');
+  this.playButton_ = this.find_('playpause');
   this.playButton_.addEventListener(
       'click',
       this.bind_(this, this.onClick_),
       false);
-  this.replayButton_ = document.getElementById('replay');
+  this.replayButton_ = this.find_('replay');
   this.replayButton_.addEventListener(
       'click',
       this.bind_(this, this.onReplay_),
       false);
-  this.fullscreenButton_ = document.getElementById('fullscreen');
+  this.adControls_ = this.find_('adControls');
+  this.adPosition_ = this.find_('adPosition');
+  this.adCountdown_ = this.find_('adCountdown');
+  this.skipButton_ = this.find_('skipAd');
+  this.skipButton_.addEventListener(
+      'click',
+      this.bind_(this, this.onSkipClick_),
+      false);
+  this.fullscreenButton_ = this.find_('fullscreen');
   this.fullscreenButton_.addEventListener(
       'click',
       this.bind_(this, this.onFullscreenClick_),
       false);
+  this.pipButton_ = this.find_('pip');
+  this.pipButton_.addEventListener(
+      'click',
+      this.bind_(this, this.onPictureInPictureClick_),
+      false);
+  this.muteButton_ = this.find_('mute');
+  this.muteButton_.addEventListener(
+      'click',
+      this.bind_(this, this.onMuteClick_),
+      false);
+  this.announcer_ = this.find_('announcer');
+  this.shortcuts_ = new KeyboardShortcuts(this.container_);
+  this.shortcuts_.on('playPause', this.bind_(this, this.onPlayPauseKey_));
+  this.shortcuts_.on('fullscreen', this.bind_(this, this.onFullscreenClick_));
+  this.shortcuts_.on('mute', this.bind_(this, this.onMuteClick_));
+  this.shortcuts_.on('seek', this.bind_(this, this.onSeekKey_));
+  this.shortcuts_.on('volume', this.bind_(this, this.onVolumeKey_));
 
   var playlistDiv = document.getElementById('playlistDiv');
   var playlistItems = playlistDiv.childNodes;
@@ -35,68 +72,203 @@ var Application = function() {
     }
   }
 
-  this.fullscreenWidth = null;
-  this.fullscreenHeight = null;
-
-  var fullScreenEvents = [
-      'fullscreenchange',
-      'mozfullscreenchange',
-      'webkitfullscreenchange'];
-  for (key in fullScreenEvents) {
-    document.addEventListener(
-        fullScreenEvents[key],
-        this.bind_(this, this.onFullscreenChange_),
-        false);
-  }
-
   this.initialUserActionHappened_ = false;
   this.playing_ = false;
   this.adsActive_ = false;
   this.adsDone_ = false;
+  this.currentAd_ = null;
+  this.adTimer_ = null;
+  this.seekTarget_ = null;
   this.fullscreen = false;
+  this.focusBeforeAd_ = null;
+  this.skipAnnounced_ = false;
 
-  this.videoPlayer_ = new VideoPlayer();
-  this.ads_ = new Ads(this, this.videoPlayer_);
-  this.adTagUrl_ = 'https://pubads.g.doubleclick.net/' +
+  this.videoPlayer_ = new VideoPlayer({
+    container: this.container_,
+    width: config.width,
+    height: config.height,
+    contentUrls: config.contentUrls
+  });
+  this.ads_ = this.createAdsController_(config, {
+    adContainer: this.videoPlayer_.adContainer,
+    videoElement: this.videoPlayer_.contentPlayer,
+    clickElement: config.clickElement,
+    width: this.videoPlayer_.width,
+    height: this.videoPlayer_.height
+  });
+  this.videoPlayer_.setSeekHandler(this.bind_(this, this.onSeek_));
+  // Keeps the content and ads the size of the container as the window
+  // resizes or rotates, at the configured aspect ratio.
+  this.layout_ = new PlayerLayout(this.container_, {
+    aspectRatio: this.videoPlayer_.width / this.videoPlayer_.height
+  });
+  this.layout_.on('resize', this.bind_(this, this.onLayoutChange_));
+  // Only this player's container goes fullscreen, not the whole page.
+  this.fullscreenManager_ = new FullscreenManager(
+      this.container_, this.videoPlayer_.contentPlayer);
+  this.fullscreenManager_.on(
+      'change', this.bind_(this, this.onFullscreenChange_));
+  this.fullscreenManager_.on(
+      'error', this.bind_(this, this.onFullscreenError_));
+  this.pip_ = new PictureInPictureManager(
+      this.videoPlayer_.contentPlayer, this.ads_,
+      {adPolicy: config.pictureInPictureAdPolicy});
+  this.pip_.on('change', this.bind_(this, this.onPictureInPictureChange_));
+  this.pip_.on('error', this.bind_(this, this.onPictureInPictureError_));
+  this.pipButton_.style.display = this.pip_.isSupported() ? '' : 'none';
+  this.ads_.on('adsManagerLoaded', this.bind_(this, this.onAdsManagerLoaded_));
+  this.ads_.on('breakStart', this.bind_(this, this.onBreakStart_));
+  this.ads_.on('breakStart', this.bind_(this, this.pauseForAd));
+  this.ads_.on('breakEnd', this.bind_(this, this.resumeAfterAd));
+  this.ads_.on('click', this.bind_(this, this.adClicked));
+  this.ads_.on('adStart', this.bind_(this, this.onAdStart_));
+  this.ads_.on('adComplete', this.bind_(this, this.onAdEnd_));
+  this.ads_.on('skip', this.bind_(this, this.onAdEnd_));
+  this.ads_.on('error', this.bind_(this, this.onAdError_));
+  this.ads_.on('watchdog', this.bind_(this, this.onWatchdog_));
+  this.ads_.on('interrupted', this.bind_(this, this.onInterrupted_));
+  var loggedEvents = ['adStart', 'quartile', 'adComplete', 'skip', 'click',
+                      'allAdsCompleted', 'adEvent'];
+  for (var i = 0; i < loggedEvents.length; i++) {
+    this.ads_.on(loggedEvents[i], this.bind_(this, this.onAdEvent_));
+  }
+  this.ads_.on('complete', this.bind_(this, this.switchButtonToReplay));
+  // Built again for every video, with a new correlator each time.
+  this.adTag_ = config.adTag || new AdTagBuilder(
+      'https://pubads.g.doubleclick.net/' +
       'gampad/ads?sz=640x480&iu=/124319096/external/single_ad_samples&' +
       'ciu_szs=300x250&impl=s&gdfp_req=1&env=vp&output=vast&' +
-      'unviewed_position_start=1&' +
-      'cust_params=deployment%3Ddevsite%26sample_ct%3Dlinear&correlator=';
-
-  this.videoEndedCallback_ = this.bind_(this, this.onContentEnded_);
-  this.setVideoEndedCallbackEnabled(true);
-
+      'unviewed_position_start=1&correlator=',
+      {targeting: {deployment: 'devsite', sample_ct: 'linear'}});
 };
 
-Application.prototype.setVideoEndedCallbackEnabled = function(enable) {
-  if (enable) {
-    this.videoPlayer_.registerVideoEndedCallback(this.videoEndedCallback_);
-  } else {
-    this.videoPlayer_.removeVideoEndedCallback(this.videoEndedCallback_);
-  }
-};
+/**
+ * @typedef {{
+ *   container: !Element,
+ *   width: (number|undefined),
+ *   height: (number|undefined),
+ *   contentUrls: (!Array<string>|undefined),
+ *   adTag: (string|!AdTagBuilder|undefined),
+ *   clickElement: (Element|undefined),
+ *   adsOptions: (!AdsController.Options|undefined),
+ *   playerGroup: (!PlayerGroup|undefined),
+ *   pictureInPictureAdPolicy: (!PictureInPictureManager.AdPolicy|undefined)
+ * }}
+ *
+ * container: the player element; see VideoPlayer.Config.
+ * width, height: the player size in pixels. Defaults to 640x360.
+ * contentUrls: the playlist. Defaults to the two sample videos.
+ * adTag: requested before each video. Defaults to the sample tag.
+ * clickElement: see AdsController.Options.
+ * adsOptions: more AdsController options. They win over the application's
+ *     own, except for the player elements and size.
+ * playerGroup: creates the ads controller, for pages with several players.
+ *     Only one of them plays ads with sound at a time.
+ * pictureInPictureAdPolicy: what an ad break does while the content is in
+ *     picture-in-picture. Defaults to leaving it to show the ad.
+ */
+Application.Config;
 
 Application.prototype.switchButtonToReplay = function() {
   this.playButton_.style.display = 'none';
   this.replayButton_.style.display = 'block';
 };
 
-Application.prototype.log = function(message) {
-  console.log(message);
-  this.console_.innerHTML = this.console_.innerHTML + '<br/>' + message;
+/**
+ * @param {string} message
+ * @param {string=} severity One of EventLog.SEVERITIES. Defaults to info.
+ */
+Application.prototype.log = function(message, severity) {
+  this.eventLog_.add({severity: severity, category: 'app', message: message});
 };
 
-Application.prototype.resumeAfterAd = function() {
-  this.videoPlayer_.play();
-  this.adsActive_ = false;
-  this.updateChrome_();
+/**
+ * @param {string} severity
+ * @param {string} type The ad event type.
+ * @param {string} message
+ * @param {AdsController.AdMetadata} ad
+ * @private
+ */
+Application.prototype.logAd_ = function(severity, type, message, ad) {
+  this.eventLog_.add({
+    severity: severity,
+    category: 'ad',
+    type: type,
+    message: message,
+    adId: ad ? ad.adId : '',
+    creativeId: ad ? ad.creativeId : ''
+  });
+};
+
+/**
+ * @param {string} type
+ * @param {string} message
+ * @private
+ */
+Application.prototype.logContent_ = function(type, message) {
+  this.eventLog_.add({category: 'content', type: type, message: message});
+};
+
+/**
+ * @param {{played: boolean, timeOffset: ?number}} event
+ */
+Application.prototype.resumeAfterAd = function(event) {
+  // A break whose ads failed, or that had none, never paused the content,
+  // but it is over all the same and must not hold up a seek past it.
+  if (event.timeOffset !== null) {
+    this.videoPlayer_.markCuePointPlayed(event.timeOffset);
+  }
+  if (event.played) {
+    this.logContent_('resume', 'Content resumed after the ad break.');
+    this.adsActive_ = false;
+    this.onAdEnd_();
+    this.updateChrome_();
+    this.announce_('Ad break over.');
+    this.restoreFocusAfterAd_();
+  }
+  if (this.seekTarget_ !== null) {
+    // The break the user seeked past is over; finish their seek.
+    this.videoPlayer_.seek(this.seekTarget_);
+    this.seekTarget_ = null;
+  }
 };
 
 Application.prototype.pauseForAd = function() {
+  this.logContent_('pause', 'Content paused for an ad break.');
   this.adsActive_ = true;
   this.playing_ = true;
-  this.videoPlayer_.pause();
   this.updateChrome_();
+  this.moveFocusToAd_();
+};
+
+/**
+ * Keyboard users who were in the player follow the break into the ad
+ * container, where the SDK draws the ad's own controls.
+ *
+ * @private
+ */
+Application.prototype.moveFocusToAd_ = function() {
+  var active = document.activeElement;
+  if (active && this.container_.contains(active)) {
+    this.focusBeforeAd_ = active;
+    this.videoPlayer_.adContainer.focus();
+  }
+};
+
+/**
+ * Puts focus back where it was before the break, unless the user has moved
+ * it on. Focus left on the ad, or lost as the SDK removed the ad's
+ * elements, counts as not moved.
+ *
+ * @private
+ */
+Application.prototype.restoreFocusAfterAd_ = function() {
+  var active = document.activeElement;
+  if (this.focusBeforeAd_ && (!active || active == document.body ||
+      this.videoPlayer_.adContainer.contains(active))) {
+    this.focusBeforeAd_.focus();
+  }
+  this.focusBeforeAd_ = null;
 };
 
 Application.prototype.adClicked = function() {
@@ -104,6 +276,215 @@ Application.prototype.adClicked = function() {
   this.updateChrome_();
 };
 
+Application.prototype.onAdStart_ = function(event) {
+  if (!event.ad.linear) {
+    return;
+  }
+  this.currentAd_ = event.ad;
+  this.skipAnnounced_ = false;
+  var remainingTime = Math.ceil(this.ads_.getRemainingTime());
+  if (remainingTime < 0) {
+    remainingTime = Math.ceil(event.ad.duration);
+  }
+  this.announce_((event.ad.totalAds > 1 ?
+      'Ad ' + event.ad.adPosition + ' of ' + event.ad.totalAds : 'Ad') +
+      ' playing, ' + remainingTime + ' seconds remaining');
+  // The SDK has no countdown event, so poll the remaining time.
+  clearInterval(this.adTimer_);
+  this.adTimer_ = setInterval(this.bind_(this, this.updateAdControls_), 250);
+  this.updateAdControls_();
+};
+
+Application.prototype.onAdEnd_ = function() {
+  clearInterval(this.adTimer_);
+  this.adTimer_ = null;
+  this.currentAd_ = null;
+  this.updateAdControls_();
+};
+
+Application.prototype.onSkipClick_ = function() {
+  if (this.ads_.getAdSkippableState()) {
+    this.ads_.skip();
+  }
+};
+
+/**
+ * Shows the ad's position in the break, the time left and, for skippable
+ * ads, a skip button that is enabled once the SDK allows skipping.
+ *
+ * @private
+ */
+Application.prototype.updateAdControls_ = function() {
+  var ad = this.currentAd_;
+  if (!ad) {
+    this.adPosition_.textContent = '';
+    this.adCountdown_.textContent = '';
+    this.skipButton_.style.display = 'none';
+    return;
+  }
+  this.adPosition_.textContent = ad.totalAds > 1 ?
+      'Ad ' + ad.adPosition + ' of ' + ad.totalAds : 'Ad';
+  var remainingTime = Math.ceil(this.ads_.getRemainingTime());
+  this.adCountdown_.textContent = remainingTime >= 0 ?
+      this.formatTime_(remainingTime) : '';
+
+  if (ad.skipOffset < 0) {
+    this.skipButton_.style.display = 'none';
+    return;
+  }
+  var skippable = this.ads_.getAdSkippableState();
+  var untilSkippable = Math.ceil(
+      ad.skipOffset - (ad.duration - this.ads_.getRemainingTime()));
+  this.skipButton_.style.display = 'inline-block';
+  this.skipButton_.disabled = !skippable;
+  if (skippable && !this.skipAnnounced_) {
+    this.skipAnnounced_ = true;
+    this.announce_('You can skip the ad now.');
+  }
+  this.skipButton_.textContent = skippable || untilSkippable <= 0 ?
+      'Skip ad' : 'Skip in ' + untilSkippable;
+};
+
+/**
+ * @param {number} seconds
+ * @return {string} The time as m:ss.
+ * @private
+ */
+Application.prototype.formatTime_ = function(seconds) {
+  var minutes = Math.floor(seconds / 60);
+  var rest = Math.floor(seconds % 60);
+  return minutes + ':' + (rest < 10 ? '0' : '') + rest;
+};
+
+Application.prototype.onAdsManagerLoaded_ = function() {
+  this.log('Ads loaded.');
+  this.seekTarget_ = null;
+  this.videoPlayer_.setCuePoints(this.ads_.getCuePoints());
+};
+
+Application.prototype.onBreakStart_ = function(event) {
+  if (event.ad) {
+    this.videoPlayer_.markCuePointPlayed(event.ad.timeOffset);
+  }
+};
+
+/**
+ * Seeks content to the time picked on the seek bar. Seeking past a mid-roll
+ * that hasn't played snaps back to it first: the content is moved to the cue
+ * point, so the SDK sees the playhead cross it and plays the break, and the
+ * seek finishes when content resumes.
+ *
+ * @param {number} time
+ * @private
+ */
+Application.prototype.onSeek_ = function(time) {
+  var cuePoint = this.findSkippedCuePoint_(
+      this.videoPlayer_.getCurrentTime(), time);
+  if (cuePoint === null) {
+    this.logContent_('seek', 'Seeked to ' + this.formatTime_(time) + '.');
+    this.seekTarget_ = null;
+    this.videoPlayer_.seek(time);
+    return;
+  }
+  this.logContent_('seek', 'Seeked past the ad break at ' + cuePoint +
+      's; playing it first.');
+  this.seekTarget_ = time;
+  this.videoPlayer_.seek(cuePoint);
+};
+
+/**
+ * @param {number} from
+ * @param {number} to
+ * @return {?number} The last unplayed mid-roll cue point in (from, to], or
+ *     null if the seek doesn't skip one.
+ * @private
+ */
+Application.prototype.findSkippedCuePoint_ = function(from, to) {
+  var cuePoints = this.videoPlayer_.getCuePoints();
+  var skipped = null;
+  for (var i = 0; i < cuePoints.length; i++) {
+    var cuePoint = cuePoints[i];
+    if (cuePoint > from && cuePoint <= to &&
+        !this.videoPlayer_.isCuePointPlayed(cuePoint) &&
+        (skipped === null || cuePoint > skipped)) {
+      skipped = cuePoint;
+    }
+  }
+  return skipped;
+};
+
+Application.prototype.onAdEvent_ = function(event) {
+  var type = event.adEvent ? event.adEvent.type : event.type;
+  // Progress arrives several times a second; keep it out of the default view.
+  var severity = type == google.ima.AdEvent.Type.AD_PROGRESS ? 'debug' : 'info';
+  this.logAd_(severity, type,
+      event.quartile ? 'quartile ' + event.quartile : '', event.ad);
+};
+
+/**
+ * What the ads controller does after an error, by the error's recovery.
+ * @const {!Object<string, string>}
+ * @private
+ */
+Application.prototype.RECOVERY_MESSAGES_ = {
+  'retry': 'retrying the ad tag',
+  'fallback': 'trying the next ad tag',
+  'none': 'resuming content'
+};
+
+Application.prototype.onAdError_ = function(event) {
+  // Errors the controller recovers from are only warnings.
+  this.logAd_(event.recovery == 'none' ? 'error' : 'warning', 'error',
+      event.errorClass + ': ' + event.error.toString() + '; ' +
+      this.RECOVERY_MESSAGES_[event.recovery], event.ad);
+};
+
+Application.prototype.onWatchdog_ = function(event) {
+  var waitingFor = event.requestPending ? 'the ad server to answer' :
+      event.adsManagerLoaded ? 'the ads to start' : 'ads';
+  this.logAd_('warning', 'watchdog', 'No ad break began within ' +
+      event.timeout / 1000 + ' s while waiting for ' + waitingFor +
+      '; starting the content without ads.', event.ad);
+  this.playing_ = true;
+  this.updateChrome_();
+};
+
+/**
+ * @param {string} className
+ * @return {!Element} The player's element with the class.
+ * @private
+ */
+Application.prototype.find_ = function(className) {
+  return this.container_.querySelector('.' + className);
+};
+
+/**
+ * @param {!Application.Config} config
+ * @param {!AdsController.Options} options The application's own options.
+ * @return {!AdsController} A controller with config.adsOptions merged into
+ *     the options, from config.playerGroup if there is one.
+ * @private
+ */
+Application.prototype.createAdsController_ = function(config, options) {
+  var fixed = ['adContainer', 'videoElement', 'width', 'height'];
+  for (var name in config.adsOptions) {
+    if (fixed.indexOf(name) == -1) {
+      options[name] = config.adsOptions[name];
+    }
+  }
+  return config.playerGroup ?
+      config.playerGroup.createAdsController(options) :
+      new AdsController(options);
+};
+
+Application.prototype.onInterrupted_ = function(event) {
+  this.log(event.reason == 'pictureInPicture' ?
+      'Ad paused until the video leaves picture-in-picture.' :
+      'Paused while another player plays an ad.');
+  this.playing_ = false;
+  this.updateChrome_();
+};
+
 Application.prototype.bind_ = function(thisObj, fn) {
   return function() {
     fn.apply(thisObj, arguments);
@@ -160,95 +541,170 @@ Application.prototype.switchButtonToPlay_ = function() {
 };
 
 Application.prototype.onFullscreenClick_ = function() {
-  if (this.fullscreen) {
-    // The video is currently in fullscreen mode
-    var cancelFullscreen = document.exitFullscreen ||
-        document.exitFullScreen ||
-        document.webkitCancelFullScreen ||
-        document.mozCancelFullScreen;
-    if (cancelFullscreen) {
-      cancelFullscreen.call(document);
-    } else {
-      this.onFullscreenChange_();
-    }
+  this.fullscreenManager_.toggle();
+};
+
+Application.prototype.onPictureInPictureClick_ = function() {
+  this.pip_.toggle();
+};
+
+Application.prototype.onPlayPauseKey_ = function() {
+  if (this.replayButton_.style.display == 'block') {
+    this.onReplay_();
   } else {
-    // Try to enter fullscreen mode in the browser
-    var requestFullscreen = document.documentElement.requestFullscreen ||
-        document.documentElement.webkitRequestFullscreen ||
-        document.documentElement.mozRequestFullscreen ||
-        document.documentElement.requestFullScreen ||
-        document.documentElement.webkitRequestFullScreen ||
-        document.documentElement.mozRequestFullScreen;
-    if (requestFullscreen) {
-      this.fullscreenWidth = window.screen.width;
-      this.fullscreenHeight = window.screen.height;
-      requestFullscreen.call(document.documentElement);
-    } else {
-      this.fullscreenWidth = window.innerWidth;
-      this.fullscreenHeight = window.innerHeight;
-      this.onFullscreenChange_();
-    }
+    this.onClick_();
+  }
+};
+
+Application.prototype.onMuteClick_ = function() {
+  var muted = !this.ads_.isMuted();
+  this.ads_.setMuted(muted);
+  this.updateChrome_();
+  this.announce_(muted ? 'Muted' : 'Unmuted');
+};
+
+/**
+ * @param {{delta: number}} event
+ * @private
+ */
+Application.prototype.onVolumeKey_ = function(event) {
+  this.ads_.setVolume(this.ads_.getVolume() + event.delta);
+  // Turning the volume all the way down mutes.
+  this.updateChrome_();
+  this.announce_('Volume ' + Math.round(this.ads_.getVolume() * 100) + '%');
+};
+
+/**
+ * Seeks the content like the seek bar does, so unplayed breaks still play.
+ *
+ * @param {{delta: number}} event
+ * @private
+ */
+Application.prototype.onSeekKey_ = function(event) {
+  if (this.adsActive_ || !this.adsDone_) {
+    return;
   }
-  requestFullscreen.call(document.documentElement);
+  var time = Math.max(this.videoPlayer_.getCurrentTime() + event.delta, 0);
+  this.onSeek_(time);
+  this.announce_('Seeked to ' + this.formatTime_(time));
 };
 
 Application.prototype.updateChrome_ = function() {
+  var muted = this.ads_.isMuted();
   if (this.playing_) {
-    this.playButton_.textContent = 'II';
+    this.setGlyph_(this.playButton_, 'II');
   } else {
     // Unicode play symbol.
-    this.playButton_.textContent = String.fromCharCode(9654);
+    this.setGlyph_(this.playButton_, String.fromCharCode(9654));
   }
+  // Unicode speaker, with and without sound waves.
+  this.setGlyph_(this.muteButton_, muted ? '\uD83D\uDD07' : '\uD83D\uDD0A');
+  // During linear ads the bar also shows the ad's position in the break, the
+  // time left and the skip button.
+  this.adControls_.style.display = this.adsActive_ ? 'block' : 'none';
+  this.videoPlayer_.setSeekEnabled(!this.adsActive_);
+  // Only the content goes picture-in-picture.
+  this.pipButton_.disabled = this.adsActive_ && !this.pip_.isActive();
+  // The buttons show glyphs; screen readers get their names and state.
+  this.playButton_.setAttribute('aria-label', this.playing_ ?
+      (this.adsActive_ ? 'Pause ad' : 'Pause') :
+      (this.adsActive_ ? 'Play ad' : 'Play'));
+  this.fullscreenButton_.setAttribute(
+      'aria-pressed', String(this.fullscreen));
+  this.pipButton_.setAttribute('aria-pressed', String(this.pip_.isActive()));
+  this.muteButton_.setAttribute('aria-pressed', String(muted));
+};
+
+/**
+ * Shows a glyph on a button. The glyph is hidden from screen readers, which
+ * read the button's label instead.
+ *
+ * @param {!Element} button
+ * @param {string} glyph
+ * @private
+ */
+Application.prototype.setGlyph_ = function(button, glyph) {
+  button.querySelector('.glyph').textContent = glyph;
+};
+
+/**
+ * Reads a message out to screen reader users, through the player's live
+ * region.
+ *
+ * @param {string} message
+ * @private
+ */
+Application.prototype.announce_ = function(message) {
+  this.announcer_.textContent = message;
 };
 
 Application.prototype.loadAds_ = function() {
   this.videoPlayer_.removePreloadListener();
-  this.ads_.requestAds(this.adTagUrl_);
-};
-
-Application.prototype.onFullscreenChange_ = function() {
-  if (this.fullscreen) {
-    // The user just exited fullscreen
-    // Resize the ad container
-    this.ads_.resize(
-        this.videoPlayer_.width,
-        this.videoPlayer_.height);
-    // Return the video to its original size and position
-    this.videoPlayer_.resize(
-        'relative',
-        '',
-        '',
-        this.videoPlayer_.width,
-        this.videoPlayer_.height);
-    this.fullscreen = false;
-  } else {
-    // The fullscreen button was just clicked
-    // Resize the ad container
-    var width = this.fullscreenWidth;
-    var height = this.fullscreenHeight;
-    this.makeAdsFullscreen_();
-    // Make the video take up the entire screen
-    this.videoPlayer_.resize('absolute', 0, 0, width, height);
-    this.fullscreen = true;
+  this.ads_.requestAds(this.adTag_);
+  this.ads_.play();
+};
+
+/**
+ * @param {{fullscreen: boolean, mode: ?FullscreenManager.Mode}} event
+ * @private
+ */
+Application.prototype.onFullscreenChange_ = function(event) {
+  this.fullscreen = event.fullscreen;
+  // On iPhone only the video goes fullscreen; the container stays in the
+  // page. The layout measures the new size and resizes the player and the
+  // ads, with ViewMode.FULLSCREEN while fullscreen.
+  this.videoPlayer_.setFullscreen(
+      event.fullscreen && event.mode != FullscreenManager.Mode.VIDEO);
+  this.layout_.setFullscreen(event.fullscreen);
+  this.updateChrome_();
+};
+
+Application.prototype.onFullscreenError_ = function() {
+  this.log('The browser did not allow fullscreen.', 'warning');
+};
+
+/**
+ * @param {{active: boolean, adResumed: boolean}} event
+ * @private
+ */
+Application.prototype.onPictureInPictureChange_ = function(event) {
+  this.logContent_('pictureInPicture', event.active ?
+      'Content moved to picture-in-picture.' :
+      'Content back in the page.');
+  if (event.adResumed) {
+    this.playing_ = true;
   }
+  if (!event.active) {
+    // The page may have been resized, or left fullscreen, while the video
+    // was away; measure the container again and size the ads to it.
+    this.layout_.update();
+    var size = this.layout_.getSize();
+    this.ads_.resize(size.width, size.height, this.layout_.getViewMode());
+  }
+  this.updateChrome_();
 };
 
-Application.prototype.makeAdsFullscreen_ = function() {
-  this.ads_.resize(
-      this.fullscreenWidth,
-      this.fullscreenHeight);
+Application.prototype.onPictureInPictureError_ = function(event) {
+  this.log('Picture-in-picture failed: ' + event.error, 'warning');
 };
 
-Application.prototype.onContentEnded_ = function() {
-  this.ads_.contentEnded();
+/**
+ * Sizes the content and the ads to the player's container.
+ *
+ * @param {{width: number, height: number, viewMode: string}} event
+ * @private
+ */
+Application.prototype.onLayoutChange_ = function(event) {
+  this.videoPlayer_.resize(event.width, event.height);
+  this.ads_.resize(event.width, event.height, event.viewMode);
 };
 
 Application.prototype.onPlaylistItemClick_ = function(event) {
   // Terms of Service says we can't kill an ad prematurely, so we will only
   // switch videos if there isn't an ad playing.
-  if (!this.ads_.linearAdPlaying) {
+  if (!this.ads_.isLinearAdPlaying()) {
     this.ads_.destroyAdsManager();
-    this.ads_.contentCompleted();
+    this.ads_.contentComplete();
     if (!this.initialUserActionHappened_) {
       this.ads_.initialUserAction();
       this.initialUserActionHappened_ = true;
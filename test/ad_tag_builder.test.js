@@ -0,0 +1,105 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests the ad tag URLs AdTagBuilder builds.
+ */
+'use strict';
+
+const assert = require('node:assert/strict');
+const {describe, it} = require('node:test');
+const AdTagBuilder = require('../common/ad_tag_builder.js');
+
+const TAG = 'https://ads.example/gampad/ads?iu=/1/video';
+
+/**
+ * @param {string} url
+ * @param {string} name
+ * @return {?string} The parameter's value, decoded once.
+ */
+function param(url, name) {
+  return new URL(url).searchParams.get(name);
+}
+
+describe('AdTagBuilder', function() {
+  describe('build', function() {
+    it('merges the targeting into the template\'s cust_params', function() {
+      const builder = new AdTagBuilder(
+          TAG + '&cust_params=section%3Dnews%26tier%3Dfree',
+          {targeting: {tier: 'paid', tags: ['a', 'b']}});
+
+      assert.equal(param(builder.build(), 'cust_params'),
+          'section=news&tier=paid&tags=a,b');
+    });
+
+    it('encodes targeting values inside cust_params', function() {
+      const builder = new AdTagBuilder(TAG,
+          {targeting: {title: 'Q&A = 1', tags: ['a,b']}});
+      const url = builder.build();
+
+      assert.match(url, /&cust_params=title%3DQ%2526A%2520%253D%25201%26/);
+      const pairs = new URLSearchParams(param(url, 'cust_params'));
+      assert.equal(pairs.get('title'), 'Q&A = 1');
+      // A comma inside a value is encoded; the ones between values aren't.
+      assert.equal(pairs.get('tags'), 'a,b');
+      assert.match(param(url, 'cust_params'), /tags=a%2Cb$/);
+    });
+
+    it('sets a new correlator only where the template has one',
+        function() {
+          const builder = new AdTagBuilder(TAG + '&correlator=');
+          const first = param(builder.build(), 'correlator');
+          const second = param(builder.build(), 'correlator');
+
+          assert.match(first, /^\d+$/);
+          assert.notEqual(first, second);
+          assert.equal(new AdTagBuilder(TAG).build(), TAG);
+        });
+
+    it('expands the macros it knows and leaves the others', function() {
+      const builder = new AdTagBuilder(
+          TAG + '&sz=[PLAYERSIZE]&vpos=[CONTENTPLAYHEAD]&custom=[CUSTOM]' +
+          '&later=[LATER]&ord=[CACHEBUSTING]',
+          {macros: {CUSTOM: 'a b'}});
+      const url = builder.build({width: 640, height: 360,
+        contentPlayhead: 3725.5});
+
+      assert.match(url, /&sz=640%2C360&vpos=01%3A02%3A05\.500&custom=a%20b&/);
+      assert.match(url, /&later=\[LATER\]&ord=\d{8}$/);
+    });
+
+    it('keeps the fragment at the end', function() {
+      const builder = new AdTagBuilder(TAG + '&correlator=#top',
+          {contentId: 'v1'});
+
+      assert.match(builder.build(),
+          /\?iu=\/1\/video&correlator=\d+&vid=v1#top$/);
+    });
+  });
+
+  describe('setParams', function() {
+    it('replaces and appends parameters, leaving the others', function() {
+      assert.equal(
+          AdTagBuilder.setParams(TAG + '&npa=0&sz=1x1', {npa: '1', gdpr: '0'}),
+          TAG + '&npa=1&sz=1x1&gdpr=0');
+    });
+
+    it('leaves a parameter set to null or undefined as it is', function() {
+      assert.equal(
+          AdTagBuilder.setParams(TAG + '&npa=0#top',
+              {npa: null, gdpr: undefined}),
+          TAG + '&npa=0#top');
+    });
+  });
+});
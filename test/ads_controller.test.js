@@ -0,0 +1,496 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests AdsController against the stand-in SDK. Tags are the
+ * VAST files in fake_ima/vast; a missing file fails like an unreachable ad
+ * server.
+ */
+'use strict';
+
+const assert = require('node:assert/strict');
+const {afterEach, describe, it} = require('node:test');
+const {endContent, loadScripts, nextEvent, waitFor} = require('./dom.js');
+
+const LINEAR = 'fake_ima/vast/linear.xml';
+const POD = 'fake_ima/vast/pod.xml';
+const VMAP = 'fake_ima/vast/vmap.xml';
+const EMPTY = 'fake_ima/vast/empty.xml';
+const UNPLAYABLE = 'fake_ima/vast/unplayable.xml';
+const MISSING = 'fake_ima/vast/missing.xml';
+
+let window = null;
+
+/**
+ * @param {!Object=} options More AdsController options.
+ * @return {{ads: !AdsController, video: !HTMLVideoElement, fake: !Object}}
+ */
+function createController(options) {
+  window = loadScripts(
+      '<div id="adContainer"></div><video id="content"></video>', [
+        'common/event_emitter.js', 'fake_ima/ima3.js',
+        'common/ad_tag_builder.js', 'common/ads_controller.js'
+      ]);
+  const document = window.document;
+  const fake = window.google.ima.fake;
+  fake.playbackRate = 0;
+  const video = document.getElementById('content');
+  const config = {
+    adContainer: document.getElementById('adContainer'),
+    videoElement: video,
+    contentStartTimeout: 0,
+    retryDelay: 0
+  };
+  Object.assign(config, options);
+  return {ads: new window.AdsController(config), video: video, fake: fake};
+}
+
+/**
+ * Plays the current break's linear ads to the end.
+ *
+ * @param {!Object} player From createController().
+ * @return {!Promise<!Object>} The breakEnd event.
+ */
+async function finishBreak(player) {
+  const breakEnd = nextEvent(player.ads, 'breakEnd');
+  const advance = setInterval(function() {
+    player.fake.advance(60);
+  }, 20);
+  try {
+    return await breakEnd;
+  } finally {
+    clearInterval(advance);
+  }
+}
+
+/**
+ * @param {!AdsController} ads
+ * @param {!Array<string>} types
+ * @return {!Array<string>} Filled with the type of each of the events the
+ *     controller emits, in order.
+ */
+function recordEvents(ads, types) {
+  const events = [];
+  for (const type of types) {
+    ads.on(type, function(event) {
+      events.push(event.type +
+          (event.quartile ? ' ' + event.quartile : ''));
+    });
+  }
+  return events;
+}
+
+/**
+ * @param {!AdsController} ads
+ * @return {!Array<string>} Filled with "errorClass recovery adTagUrl" for
+ *     each error event.
+ */
+function recordErrors(ads) {
+  const errors = [];
+  ads.on('error', function(event) {
+    errors.push(event.errorClass + ' ' + event.recovery + ' ' +
+        event.adTagUrl);
+  });
+  return errors;
+}
+
+afterEach(function() {
+  if (window) {
+    window.close();
+    window = null;
+  }
+});
+
+describe('AdsController', function() {
+  describe('requestAds and play', function() {
+    it('starts the ads once they load when play() came first',
+        async function() {
+          const player = createController();
+          const breakStart = nextEvent(player.ads, 'breakStart');
+          player.ads.requestAds(LINEAR);
+          player.ads.play();
+          const event = await breakStart;
+
+          assert.equal(event.ad.title, 'Linear ad');
+          assert.equal(player.ads.isLinearAdPlaying(), true);
+          assert.equal(player.video.paused, true);
+
+          const breakEnd = await finishBreak(player);
+          assert.equal(breakEnd.played, true);
+          assert.equal(breakEnd.timeOffset, null);
+          assert.equal(player.ads.isLinearAdPlaying(), false);
+          assert.equal(player.video.paused, false);
+        });
+
+    it('waits for play() before starting loaded ads', async function() {
+      const player = createController();
+      let breaks = 0;
+      player.ads.on('breakStart', function() {
+        breaks++;
+      });
+      const loaded = nextEvent(player.ads, 'adsManagerLoaded');
+      player.ads.requestAds(LINEAR);
+      const event = await loaded;
+
+      assert.equal(event.adsManager, player.ads.getAdsManager());
+      assert.equal(breaks, 0);
+      assert.equal(player.video.paused, true);
+
+      const breakStart = nextEvent(player.ads, 'breakStart');
+      player.ads.play();
+      await breakStart;
+    });
+
+    it('plays the content when there are no ads to wait for', function() {
+      const player = createController();
+      player.ads.play();
+
+      assert.equal(player.video.paused, false);
+      assert.equal(player.ads.getAdsManager(), null);
+    });
+
+    it('builds each request from an AdTagBuilder', async function() {
+      const player = createController();
+      const error = nextEvent(player.ads, 'error');
+      player.ads.requestAds(new window.AdTagBuilder(
+          MISSING + '?sz=[PLAYERSIZE]&correlator='));
+      const event = await error;
+
+      assert.match(event.adTagUrl,
+          /^fake_ima\/vast\/missing\.xml\?sz=640%2C360&correlator=\d+$/);
+    });
+
+    it('ignores the answer to a request that a later one replaced',
+        async function() {
+          const player = createController();
+          player.fake.adServerDelay = 20;
+          let loads = 0;
+          player.ads.on('adsManagerLoaded', function() {
+            loads++;
+          });
+          player.ads.requestAds(VMAP);
+          player.ads.requestAds(LINEAR);
+          await waitFor(function() {
+            return loads > 0;
+          }, 'the ads to load');
+          await new Promise(function(resolve) {
+            setTimeout(resolve, 100);
+          });
+
+          assert.equal(loads, 1);
+          assert.deepEqual(Array.from(player.ads.getCuePoints()), []);
+          assert.equal(player.fake.adsManagers.length, 1);
+        });
+
+    it('destroys the previous ads manager on a new request',
+        async function() {
+          const player = createController();
+          const loaded = nextEvent(player.ads, 'adsManagerLoaded');
+          player.ads.requestAds(LINEAR);
+          const adsManager = (await loaded).adsManager;
+
+          player.ads.requestAds(LINEAR);
+
+          assert.equal(adsManager.destroyed_, true);
+          assert.equal(player.ads.getAdsManager(), null);
+        });
+
+    it('starts the ads without play() when the content may autoplay',
+        async function() {
+          const player = createController({autoplay: true});
+          let blocked = 0;
+          player.ads.on('autoplayBlocked', function() {
+            blocked++;
+          });
+          const breakStart = nextEvent(player.ads, 'breakStart');
+          player.ads.requestAds(LINEAR);
+          await breakStart;
+
+          assert.equal(player.ads.isLinearAdPlaying(), true);
+          assert.equal(blocked, 0);
+        });
+
+    it('plays the ads muted when asked to', async function() {
+      const player = createController({muted: true});
+      const breakStart = nextEvent(player.ads, 'breakStart');
+      player.ads.requestAds(LINEAR);
+      player.ads.play();
+      await breakStart;
+
+      assert.equal(player.video.muted, true);
+      assert.equal(player.ads.getAdsManager().getVolume(), 0);
+    });
+  });
+
+  describe('events', function() {
+    it('follows a pod from break start to break end', async function() {
+      const player = createController();
+      const events = recordEvents(player.ads, [
+        'breakStart', 'adStart', 'quartile', 'adComplete', 'breakEnd',
+        'allAdsCompleted'
+      ]);
+      const allAdsCompleted = nextEvent(player.ads, 'allAdsCompleted');
+      player.ads.requestAds(POD);
+      player.ads.play();
+      await nextEvent(player.ads, 'breakStart');
+      await finishBreak(player);
+      await allAdsCompleted;
+
+      const ad = [
+        'adStart', 'quartile 1', 'quartile 2', 'quartile 3', 'adComplete'
+      ];
+      assert.deepEqual(events, ['breakStart'].concat(
+          ad, ad, ['breakEnd', 'allAdsCompleted']));
+    });
+
+    it('attaches the ad to its events', async function() {
+      const player = createController();
+      const adStarts = [];
+      player.ads.on('adStart', function(event) {
+        adStarts.push(event.ad);
+      });
+      player.ads.requestAds(POD);
+      player.ads.play();
+      await nextEvent(player.ads, 'breakStart');
+      await finishBreak(player);
+
+      assert.deepEqual(adStarts.map(function(ad) {
+        return ad.title + ' ' + ad.adPosition + '/' + ad.totalAds;
+      }), ['Pod ad 1 1/2', 'Pod ad 2 2/2']);
+      assert.equal(adStarts[0].linear, true);
+    });
+  });
+
+  describe('onAdError_', function() {
+    it('retries network errors, then falls back in order', async function() {
+      const player = createController({
+        fallbackAdTags: [EMPTY, LINEAR],
+        maxRetries: 2
+      });
+      const errors = recordErrors(player.ads);
+      const breakStart = nextEvent(player.ads, 'breakStart');
+      player.ads.requestAds(MISSING);
+      player.ads.play();
+      const event = await breakStart;
+
+      assert.deepEqual(errors, [
+        'network retry ' + MISSING,
+        'network retry ' + MISSING,
+        'network fallback ' + MISSING,
+        'empty fallback ' + EMPTY
+      ]);
+      assert.equal(event.ad.title, 'Linear ad');
+    });
+
+    it('plays the content once the retries run out', async function() {
+      const player = createController({maxRetries: 1});
+      const errors = recordErrors(player.ads);
+      player.ads.requestAds(MISSING);
+      player.ads.play();
+      await waitFor(function() {
+        return !player.video.paused;
+      }, 'the content to play');
+
+      assert.deepEqual(errors, [
+        'network retry ' + MISSING,
+        'network none ' + MISSING
+      ]);
+      assert.equal(player.ads.getAdsManager(), null);
+    });
+
+    it('retries a request that times out', async function() {
+      const player = createController({
+        adRequestTimeout: 10,
+        maxRetries: 1
+      });
+      player.fake.adServerDelay = 200;
+      const errors = recordErrors(player.ads);
+      player.ads.requestAds(LINEAR);
+      player.ads.play();
+      await waitFor(function() {
+        return errors.length == 2;
+      }, 'the retry to time out');
+
+      assert.deepEqual(errors, [
+        'timeout retry ' + LINEAR,
+        'timeout none ' + LINEAR
+      ]);
+      assert.equal(player.video.paused, false);
+    });
+
+    it('does not retry errors that would fail again', async function() {
+      const player = createController({maxRetries: 2});
+      const errors = recordErrors(player.ads);
+      player.ads.requestAds(EMPTY);
+      player.ads.play();
+      await waitFor(function() {
+        return !player.video.paused;
+      }, 'the content to play');
+
+      assert.deepEqual(errors, ['empty none ' + EMPTY]);
+      assert.equal(player.ads.getAdsManager(), null);
+    });
+
+    it('falls back when an ad fails to play', async function() {
+      const player = createController({fallbackAdTags: [LINEAR]});
+      const errors = recordErrors(player.ads);
+      const breakStart = nextEvent(player.ads, 'breakStart');
+      player.ads.requestAds(UNPLAYABLE);
+      player.ads.play();
+      await breakStart;
+
+      assert.deepEqual(errors, ['media fallback ' + UNPLAYABLE]);
+    });
+
+    it('plays the content when the ad fails to play', async function() {
+      const player = createController();
+      const error = nextEvent(player.ads, 'error');
+      player.ads.requestAds(UNPLAYABLE);
+      player.ads.play();
+      await error;
+
+      assert.equal(player.video.paused, false);
+      assert.equal(player.ads.isLinearAdPlaying(), false);
+      assert.equal(player.ads.getAdsManager(), null);
+    });
+
+    it('leaves an ad rules error to its break', async function() {
+      const player = createController();
+      const errors = recordErrors(player.ads);
+      player.ads.requestAds(VMAP);
+      player.ads.play();
+      await nextEvent(player.ads, 'breakStart');
+      const adsManager = player.ads.getAdsManager();
+
+      adsManager.dispatchAdError_(
+          window.google.ima.AdError.ErrorCode.VIDEO_PLAY_ERROR, 'Failed');
+
+      assert.deepEqual(errors, ['media none ' + VMAP]);
+      assert.equal(player.ads.getAdsManager(), adsManager);
+    });
+
+    it('reports the error to the page before resuming the content',
+        async function() {
+          const player = createController();
+          const error = nextEvent(player.ads, 'error');
+          player.ads.requestAds(MISSING);
+          player.ads.play();
+          const event = await error;
+
+          assert.equal(event.error.getErrorCode(),
+              window.google.ima.AdError.ErrorCode.ADS_REQUEST_NETWORK_ERROR);
+          assert.equal(event.adTagUrl, MISSING);
+        });
+
+    it('starts the content when no break begins in time',
+        async function() {
+          const player = createController({contentStartTimeout: 50});
+          player.fake.adServerDelay = 500;
+          const watchdog = nextEvent(player.ads, 'watchdog');
+          player.ads.requestAds(LINEAR);
+          player.ads.play();
+          const event = await watchdog;
+
+          assert.equal(event.timeout, 50);
+          assert.equal(event.adTagUrl, LINEAR);
+          assert.equal(event.requestPending, true);
+          assert.equal(event.adsManagerLoaded, false);
+          assert.equal(player.video.paused, false);
+
+          // The answer that finally comes is for a request given up on.
+          await new Promise(function(resolve) {
+            setTimeout(resolve, 600);
+          });
+          assert.equal(player.ads.getAdsManager(), null);
+          assert.equal(player.video.paused, false);
+        });
+
+    it('leaves the content paused when play() was never called',
+        async function() {
+          const player = createController({maxRetries: 0});
+          const error = nextEvent(player.ads, 'error');
+          player.ads.requestAds(MISSING);
+          await error;
+
+          assert.equal(player.video.paused, true);
+        });
+  });
+
+  describe('onContentEnded_', function() {
+    it('plays the ad rules post-roll, then completes', async function() {
+      const player = createController();
+      player.ads.requestAds(VMAP);
+      player.ads.play();
+      await nextEvent(player.ads, 'breakStart');
+      const preroll = await finishBreak(player);
+      assert.equal(preroll.timeOffset, 0);
+
+      const breakStart = nextEvent(player.ads, 'breakStart');
+      const complete = nextEvent(player.ads, 'complete');
+      endContent(player.video);
+      const postroll = await breakStart;
+      assert.equal(postroll.ad.timeOffset, -1);
+
+      // The ad's own ended events aren't the content's.
+      endContent(player.video);
+      const breakEnd = await finishBreak(player);
+      await complete;
+
+      assert.equal(breakEnd.played, true);
+      assert.equal(breakEnd.timeOffset, -1);
+      // Content that has ended doesn't start over after the post-roll.
+      assert.equal(player.video.paused, true);
+    });
+
+    it('completes once the content ends after a pre-roll', async function() {
+      const player = createController();
+      let completes = 0;
+      player.ads.on('complete', function() {
+        completes++;
+      });
+      const allAdsCompleted = nextEvent(player.ads, 'allAdsCompleted');
+      player.ads.requestAds(LINEAR);
+      player.ads.play();
+      await nextEvent(player.ads, 'breakStart');
+      await finishBreak(player);
+      await allAdsCompleted;
+      assert.equal(completes, 0);
+
+      endContent(player.video);
+      endContent(player.video);
+
+      assert.equal(completes, 1);
+      // Content that has ended doesn't start over.
+      assert.equal(player.video.paused, true);
+    });
+
+    it('ignores ended events during a linear ad', async function() {
+      const player = createController();
+      let completes = 0;
+      player.ads.on('complete', function() {
+        completes++;
+      });
+      player.ads.requestAds(LINEAR);
+      player.ads.play();
+      await nextEvent(player.ads, 'breakStart');
+
+      // The ad's own ended events aren't the content's.
+      endContent(player.video);
+      await finishBreak(player);
+
+      assert.equal(completes, 0);
+      assert.equal(player.video.paused, false);
+    });
+  });
+});
@@ -0,0 +1,153 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests ConsentManager against fake CMPs, which answer when the
+ * test tells them to.
+ */
+'use strict';
+
+const assert = require('node:assert/strict');
+const {describe, it} = require('node:test');
+const ConsentManager = require('../common/consent.js');
+const {nextEvent} = require('./dom.js');
+
+/** TCF purposes 1 to 10, all consented to. */
+const ALL_PURPOSES = {
+  1: true, 2: true, 3: true, 4: true, 5: true,
+  6: true, 7: true, 8: true, 9: true, 10: true
+};
+
+/**
+ * @return {{api: !Function, answer: function(!Object)}} A TCF v2 CMP that
+ *     answers with the TCData the test passes to answer().
+ */
+function fakeTcf() {
+  let listener = null;
+  return {
+    api: function(command, version, callback) {
+      assert.equal(command, 'addEventListener');
+      assert.equal(version, 2);
+      listener = callback;
+    },
+    answer: function(tcData) {
+      listener(tcData, true);
+    }
+  };
+}
+
+describe('ConsentManager', function() {
+  it('waits for the user while the CMP shows its UI', function() {
+    const tcf = fakeTcf();
+    const consent = new ConsentManager({window: {__tcfapi: tcf.api}});
+
+    tcf.answer({gdprApplies: true, eventStatus: 'cmpuishown'});
+    assert.equal(consent.isResolved(), false);
+    assert.equal(consent.blocksRequests(), true);
+
+    tcf.answer({
+      gdprApplies: true,
+      eventStatus: 'tcloaded',
+      tcString: 'TC',
+      purpose: {consents: ALL_PURPOSES}
+    });
+    assert.equal(consent.isResolved(), true);
+    assert.deepEqual(consent.getAdTagParams(),
+        {'gdpr': '1', 'gdpr_consent': 'TC'});
+  });
+
+  it('asks for non-personalized ads without the ads purposes', function() {
+    const tcf = fakeTcf();
+    const consent = new ConsentManager({window: {__tcfapi: tcf.api}});
+    tcf.answer({
+      gdprApplies: true,
+      eventStatus: 'useractioncomplete',
+      tcString: 'TC',
+      purpose: {consents: {1: true}}
+    });
+
+    assert.equal(consent.isPersonalized(), false);
+    assert.equal(consent.getAdTagParams()['npa'], '1');
+  });
+
+  it('resolves at once when GDPR does not apply', function() {
+    const tcf = fakeTcf();
+    const consent = new ConsentManager({window: {__tcfapi: tcf.api}});
+    tcf.answer({gdprApplies: false, eventStatus: 'cmpuishown'});
+
+    assert.equal(consent.isResolved(), true);
+    assert.equal(consent.isPersonalized(), true);
+    assert.deepEqual(consent.getAdTagParams(), {'gdpr': '0'});
+  });
+
+  it('asks for non-personalized ads when the user opted out of the sale',
+      function() {
+        const consent = new ConsentManager({window: {
+          __uspapi: function(command, version, callback) {
+            callback({version: 1, uspString: '1YYN'}, true);
+          }
+        }});
+
+        assert.equal(consent.isResolved(), true);
+        assert.deepEqual(consent.getAdTagParams(),
+            {'us_privacy': '1YYN', 'npa': '1'});
+      });
+
+  it('leaves gpp_sid out when no GPP section applies', function() {
+    const consent = new ConsentManager({window: {
+      __gpp: function(command, callback) {
+        callback({pingData: {signalStatus: 'not ready'}}, true);
+        callback({pingData: {
+          signalStatus: 'ready',
+          gppString: 'GPP',
+          applicableSections: [-1]
+        }}, true);
+      }
+    }});
+
+    assert.deepEqual(consent.getConsent().gppSections, []);
+    assert.deepEqual(consent.getAdTagParams(), {'gpp': 'GPP'});
+  });
+
+  it('resolves non-personalized when the CMP does not answer in time',
+      async function() {
+        const tcf = fakeTcf();
+        const consent = new ConsentManager({
+          window: {__tcfapi: tcf.api},
+          timeout: 10
+        });
+        const event = await nextEvent(consent, 'resolved');
+
+        assert.equal(event.timedOut, true);
+        assert.equal(consent.blocksRequests(), false);
+        assert.deepEqual(consent.getAdTagParams(), {'npa': '1'});
+        assert.equal(consent.applyTo('https://ads.example/tag?iu=1'),
+            'https://ads.example/tag?iu=1&npa=1');
+
+        // A late answer is a change, and counts from then on.
+        const change = nextEvent(consent, 'change');
+        tcf.answer({gdprApplies: false, eventStatus: 'tcloaded'});
+        assert.equal((await change).consent.gdprApplies, false);
+        assert.deepEqual(consent.getAdTagParams(), {'gdpr': '0'});
+      });
+
+  it('emits resolved after construction without a CMP', async function() {
+    const consent = new ConsentManager({window: {}});
+    assert.equal(consent.isResolved(), true);
+
+    const event = await nextEvent(consent, 'resolved');
+    assert.equal(event.timedOut, false);
+    assert.equal(consent.isPersonalized(), true);
+  });
+});
@@ -0,0 +1,209 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Runs the samples and the common scripts in jsdom, against
+ * the stand-in SDK in fake_ima/. jsdom plays no media, so video elements get
+ * a playhead the tests move themselves.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {JSDOM, ResourceLoader, VirtualConsole} = require('jsdom');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Loads the repository's own files only, so the pages' remote scripts
+ * (gpt.js, the real SDK) are never fetched.
+ */
+class LocalResourceLoader extends ResourceLoader {
+  fetch(url, options) {
+    const parsed = new URL(url);
+    if (parsed.protocol != 'file:' || parsed.host) {
+      return null;
+    }
+    return super.fetch(url, options);
+  }
+}
+
+/**
+ * Stands in for media playback: play() and pause() flip paused, and
+ * currentTime and duration are whatever the test sets.
+ *
+ * @param {!Window} window
+ */
+function stubMedia(window) {
+  const state = new WeakMap();
+  const get = function(media) {
+    if (!state.has(media)) {
+      state.set(media, {paused: true, currentTime: 0, duration: 60});
+    }
+    return state.get(media);
+  };
+  const proto = window.HTMLMediaElement.prototype;
+  proto.load = function() {};
+  proto.play = function() {
+    get(this).paused = false;
+    return Promise.resolve();
+  };
+  proto.pause = function() {
+    get(this).paused = true;
+  };
+  Object.defineProperties(proto, {
+    paused: {
+      configurable: true,
+      get: function() {
+        return get(this).paused;
+      }
+    },
+    currentTime: {
+      configurable: true,
+      get: function() {
+        return get(this).currentTime;
+      },
+      set: function(time) {
+        get(this).currentTime = time;
+        this.dispatchEvent(new window.Event('timeupdate'));
+      }
+    },
+    duration: {
+      configurable: true,
+      get: function() {
+        return get(this).duration;
+      }
+    }
+  });
+}
+
+/**
+ * Ends the content the way a browser does: the playhead at the end, paused,
+ * and an ended event.
+ *
+ * @param {!HTMLVideoElement} video
+ */
+function endContent(video) {
+  video.currentTime = video.duration;
+  video.pause();
+  video.dispatchEvent(new video.ownerDocument.defaultView.Event('ended'));
+}
+
+/**
+ * Opens a sample page with the stand-in SDK and waits for it to load.
+ *
+ * @param {string} sample The sample's directory, e.g. 'advanced'.
+ * @param {string=} query More page parameters, e.g. 'vast=vmap'.
+ * @return {!Promise<{window: !Window, errors: !Array<!Error>}>} The page,
+ *     and the script errors it has raised so far and raises later.
+ */
+async function loadPage(sample, query) {
+  const errors = [];
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('jsdomError', function(error) {
+    errors.push(error);
+  });
+  const file = path.join(ROOT, sample, 'index.html');
+  const dom = await JSDOM.fromFile(file, {
+    url: 'file://' + file + '?localsdk' + (query ? '&' + query : ''),
+    runScripts: 'dangerously',
+    resources: new LocalResourceLoader(),
+    pretendToBeVisual: true,
+    virtualConsole: virtualConsole,
+    beforeParse: stubMedia
+  });
+  const window = dom.window;
+  if (window.document.readyState != 'complete') {
+    await new Promise(function(resolve) {
+      window.addEventListener('load', resolve);
+    });
+  }
+  return {window: window, errors: errors};
+}
+
+/**
+ * Creates an empty page at the repository root and runs scripts in it.
+ *
+ * @param {string} html The page body.
+ * @param {!Array<string>} scripts Paths from the repository root.
+ * @return {!Window}
+ */
+function loadScripts(html, scripts) {
+  // Left quiet, as tests request missing files on purpose.
+  const dom = new JSDOM(html, {
+    url: 'file://' + path.join(ROOT, 'index.html'),
+    runScripts: 'outside-only',
+    virtualConsole: new VirtualConsole(),
+    beforeParse: stubMedia
+  });
+  for (const script of scripts) {
+    dom.window.eval(fs.readFileSync(path.join(ROOT, script), 'utf8'));
+  }
+  return dom.window;
+}
+
+/**
+ * Resolves once a condition holds, checking it every few milliseconds.
+ *
+ * @param {function(): *} condition
+ * @param {string} description What is waited for, for the failure message.
+ * @param {number=} timeout Milliseconds. Defaults to 3000.
+ * @return {!Promise}
+ */
+function waitFor(condition, description, timeout) {
+  const deadline = Date.now() + (timeout || 3000);
+  return new Promise(function(resolve, reject) {
+    const check = function() {
+      if (condition()) {
+        resolve();
+      } else if (Date.now() > deadline) {
+        reject(new Error('Timed out waiting for ' + description));
+      } else {
+        setTimeout(check, 10);
+      }
+    };
+    check();
+  });
+}
+
+/**
+ * @param {!EventEmitter} emitter An AdsController or another of the common
+ *     emitters.
+ * @param {string} type
+ * @param {number=} timeout Milliseconds. Defaults to 3000.
+ * @return {!Promise<!Object>} The next event of the type.
+ */
+function nextEvent(emitter, type, timeout) {
+  return new Promise(function(resolve, reject) {
+    const timer = setTimeout(function() {
+      emitter.off(type, listener);
+      reject(new Error('Timed out waiting for ' + type));
+    }, timeout || 3000);
+    const listener = function(event) {
+      clearTimeout(timer);
+      emitter.off(type, listener);
+      resolve(event);
+    };
+    emitter.on(type, listener);
+  });
+}
+
+module.exports = {
+  ROOT: ROOT,
+  endContent: endContent,
+  loadPage: loadPage,
+  loadScripts: loadScripts,
+  nextEvent: nextEvent,
+  waitFor: waitFor
+};
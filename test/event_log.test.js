@@ -0,0 +1,123 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests the entries EventLog keeps, filters and exports.
+ */
+'use strict';
+
+const assert = require('node:assert/strict');
+const {describe, it} = require('node:test');
+const EventLog = require('../common/event_log.js');
+
+/**
+ * @param {!Object=} options EventLog options.
+ * @return {!EventLog} A log with an entry of each severity: an ad's debug
+ *     progress, its info start, a content warning and an app error.
+ */
+function createLog(options) {
+  const log = new EventLog(options);
+  log.add({severity: 'debug', category: 'ad', type: 'adProgress',
+    adId: 'ad-1'});
+  log.add({category: 'ad', type: 'start', message: 'Ad started',
+    adId: 'ad-1', creativeId: 'creative-1'});
+  log.add({severity: 'warning', category: 'content', type: 'stall',
+    message: 'Buffering'});
+  log.add({severity: 'error', type: 'adError', message: 'VAST error 303'});
+  return log;
+}
+
+/**
+ * @param {!Array<!EventLog.Entry>} entries
+ * @return {!Array<string>}
+ */
+function types(entries) {
+  return entries.map(function(entry) {
+    return entry.type;
+  });
+}
+
+describe('EventLog', function() {
+  it('fills in the fields an entry leaves out', function() {
+    const entry = new EventLog().add({severity: 'fatal', message: 42});
+
+    assert.equal(entry.severity, 'info');
+    assert.equal(entry.category, 'app');
+    assert.equal(entry.message, '42');
+    assert.equal(entry.adId, '');
+  });
+
+  it('drops the oldest entries past maxEntries', function() {
+    const log = createLog({maxEntries: 3});
+    log.add({type: 'complete'});
+
+    assert.equal(log.getMaxEntries(), 3);
+    assert.deepEqual(types(log.getEntries()),
+        ['stall', 'adError', 'complete']);
+  });
+
+  it('filters by category, minimum severity and text', function() {
+    const log = createLog();
+
+    assert.deepEqual(types(log.getEntries({category: 'ad'})),
+        ['adProgress', 'start']);
+    assert.deepEqual(types(log.getEntries({minSeverity: 'warning'})),
+        ['stall', 'adError']);
+    // Text matches the type, message and IDs, in any case.
+    assert.deepEqual(types(log.getEntries({text: 'CREATIVE-1'})), ['start']);
+    assert.deepEqual(types(log.getEntries({text: 'vast'})), ['adError']);
+    assert.deepEqual(
+        types(log.getEntries({category: 'ad', minSeverity: 'info'})),
+        ['start']);
+  });
+
+  it('exports the matching entries as HAR', function() {
+    const log = createLog({creator: {name: 'Test', version: '2'}});
+    const har = JSON.parse(log.toHar({category: 'ad'})).log;
+
+    assert.equal(har.version, '1.2');
+    assert.deepEqual(har.creator, {name: 'Test', version: '2'});
+    assert.equal(har.pages.length, 1);
+    assert.equal(har.pages[0].startedDateTime,
+        har.entries[0].startedDateTime);
+    assert.deepEqual(har.entries[1], {
+      pageref: har.pages[0].id,
+      startedDateTime: new Date(log.getEntries()[1].time).toISOString(),
+      time: 0,
+      comment: 'Ad started',
+      _severity: 'info',
+      _category: 'ad',
+      _type: 'start',
+      _adId: 'ad-1',
+      _creativeId: 'creative-1'
+    });
+    assert.equal(har.entries.length, 2);
+  });
+
+  it('writes to the console only when asked to', function(t) {
+    const logged = t.mock.method(console, 'log', function() {});
+    const warned = t.mock.method(console, 'warn', function() {});
+    const errored = t.mock.method(console, 'error', function() {});
+    createLog();
+    assert.equal(logged.mock.callCount() + warned.mock.callCount() +
+        errored.mock.callCount(), 0);
+
+    createLog({mirrorToConsole: true});
+    assert.equal(logged.mock.callCount(), 2);
+    assert.equal(warned.mock.callCount(), 1);
+    assert.equal(errored.mock.callCount(), 1);
+    assert.match(errored.mock.calls[0].arguments[0],
+        /^\d\d:\d\d:\d\d\.\d{3} \[error\] app adError: VAST error 303$/);
+  });
+});
@@ -0,0 +1,106 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests how the stand-in SDK reads VAST responses, through
+ * the SDK's own API.
+ */
+'use strict';
+
+const assert = require('node:assert/strict');
+const {afterEach, describe, it} = require('node:test');
+const {loadScripts} = require('./dom.js');
+
+let window = null;
+
+/**
+ * @param {string} creatives The <Creative> elements of an inline ad.
+ * @return {string} A VAST response with that ad.
+ */
+function vast(creatives) {
+  return '<VAST version="3.0"><Ad id="ad"><InLine>' +
+      '<AdSystem>Test</AdSystem><AdTitle>Test ad</AdTitle>' +
+      '<Creatives>' + creatives + '</Creatives></InLine></Ad></VAST>';
+}
+
+/**
+ * Requests ads with the response, and starts them.
+ *
+ * @param {string} response
+ * @return {!Promise<!google.ima.Ad>} The first ad, once it starts.
+ */
+function startAd(response) {
+  window = loadScripts(
+      '<div id="adContainer"></div><video id="content"></video>',
+      ['fake_ima/ima3.js']);
+  const ima = window.google.ima;
+  ima.fake.playbackRate = 0;
+  const video = window.document.getElementById('content');
+  const adsLoader = new ima.AdsLoader(new ima.AdDisplayContainer(
+      window.document.getElementById('adContainer'), video));
+  return new Promise(function(resolve, reject) {
+    adsLoader.addEventListener(ima.AdErrorEvent.Type.AD_ERROR,
+        function(event) {
+          reject(new Error(event.getError().getMessage()));
+        });
+    adsLoader.addEventListener(
+        ima.AdsManagerLoadedEvent.Type.ADS_MANAGER_LOADED,
+        function(event) {
+          const adsManager = event.getAdsManager(video);
+          adsManager.addEventListener(ima.AdEvent.Type.STARTED,
+              function(adEvent) {
+                resolve(adEvent.getAd());
+              });
+          adsManager.init(640, 360, ima.ViewMode.NORMAL);
+          adsManager.start();
+        });
+    const adsRequest = new ima.AdsRequest();
+    adsRequest.adsResponse = response;
+    adsLoader.requestAds(adsRequest);
+  });
+}
+
+afterEach(function() {
+  if (window) {
+    window.close();
+    window = null;
+  }
+});
+
+describe('stand-in SDK', function() {
+  it('plays a nonlinear ad', async function() {
+    const ad = await startAd(vast(
+        '<Creative id="banner"><NonLinearAds><NonLinear width="480" ' +
+        'height="70" minSuggestedDuration="00:00:10"/></NonLinearAds>' +
+        '</Creative>'));
+
+    assert.equal(ad.isLinear(), false);
+    assert.equal(ad.getCreativeId(), 'banner');
+    assert.equal(ad.getWidth(), 480);
+  });
+
+  it('skips <NonLinearAds> with no <NonLinear> in it', async function() {
+    const ad = await startAd(vast(
+        '<Creative id="tracking"><NonLinearAds><TrackingEvents/>' +
+        '</NonLinearAds></Creative>' +
+        '<Creative id="video"><Linear><Duration>00:00:05</Duration>' +
+        '<MediaFiles><MediaFile delivery="progressive" type="video/mp4" ' +
+        'width="640" height="360">ad.mp4</MediaFile></MediaFiles>' +
+        '</Linear></Creative>'));
+
+    assert.equal(ad.isLinear(), true);
+    assert.equal(ad.getCreativeId(), 'video');
+    assert.equal(ad.getDuration(), 5);
+  });
+});
@@ -0,0 +1,143 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests PlayerGroup with several players on one page, against
+ * the stand-in SDK.
+ */
+'use strict';
+
+const assert = require('node:assert/strict');
+const {afterEach, describe, it} = require('node:test');
+const {loadScripts, nextEvent} = require('./dom.js');
+
+const LINEAR = 'fake_ima/vast/linear.xml';
+
+let window = null;
+
+/**
+ * @param {number} count How many players the page has.
+ * @return {!Array<!Element>} Each player's element, holding an ad container
+ *     and a video.
+ */
+function createPage(count) {
+  window = loadScripts(
+      '<div class="player"><div></div><video></video></div>'.repeat(count), [
+        'common/event_emitter.js', 'fake_ima/ima3.js',
+        'common/ad_tag_builder.js', 'common/ads_controller.js',
+        'common/player_group.js'
+      ]);
+  window.google.ima.fake.playbackRate = 0;
+  return Array.from(window.document.querySelectorAll('.player'));
+}
+
+/**
+ * @param {!PlayerGroup} group
+ * @param {!Element} player From createPage().
+ * @param {!Object=} options More of the player's own options.
+ * @return {!AdsController}
+ */
+function createController(group, player, options) {
+  return group.createAdsController(Object.assign({
+    adContainer: player.querySelector('div'),
+    videoElement: player.querySelector('video'),
+    contentStartTimeout: 0
+  }, options));
+}
+
+afterEach(function() {
+  if (window) {
+    window.close();
+    window = null;
+  }
+});
+
+describe('PlayerGroup', function() {
+  it('pauses the players with sound when another starts an audible ad',
+      async function() {
+        const players = createPage(3);
+        const group = new window.PlayerGroup();
+        const ads = createController(group, players[0]);
+        const loud = createController(group, players[1]);
+        const quiet = createController(group, players[2], {muted: true});
+        // Neither has ads, so both play their content straight away.
+        loud.play();
+        quiet.play();
+        const interrupts = [];
+        group.on('interrupt', function(event) {
+          interrupts.push(event);
+        });
+        const interrupted = nextEvent(loud, 'interrupted');
+
+        ads.requestAds(LINEAR);
+        ads.play();
+        await nextEvent(ads, 'breakStart');
+
+        assert.equal((await interrupted).reason, 'audio');
+        assert.equal(players[1].querySelector('video').paused, true);
+        assert.equal(players[2].querySelector('video').paused, false);
+        assert.equal(interrupts.length, 1);
+        assert.equal(interrupts[0].controller, loud);
+        assert.equal(interrupts[0].by, ads);
+      });
+
+  it('leaves the others playing without exclusiveAudio', async function() {
+    const players = createPage(2);
+    const group = new window.PlayerGroup({exclusiveAudio: false});
+    const ads = createController(group, players[0]);
+    const other = createController(group, players[1]);
+    other.play();
+
+    ads.requestAds(LINEAR);
+    ads.play();
+    await nextEvent(ads, 'breakStart');
+
+    assert.equal(players[1].querySelector('video').paused, false);
+  });
+
+  it('stops coordinating a player once it is removed', async function() {
+    const players = createPage(2);
+    const group = new window.PlayerGroup();
+    const ads = createController(group, players[0]);
+    const other = createController(group, players[1]);
+    other.play();
+    group.remove(ads);
+
+    ads.requestAds(LINEAR);
+    ads.play();
+    await nextEvent(ads, 'breakStart');
+
+    assert.deepEqual(Array.from(group.getControllers()), [other]);
+    assert.equal(players[1].querySelector('video').paused, false);
+  });
+
+  it('shares the group\'s policy but not per-player options',
+      function() {
+        const players = createPage(2);
+        const group = new window.PlayerGroup({adsOptions: {
+          adRequestTimeout: 1234,
+          muted: true,
+          width: 100
+        }});
+        const first = createController(group, players[0], {width: 320});
+        const second = createController(group, players[1]);
+
+        assert.equal(first.options_.adRequestTimeout, 1234);
+        assert.equal(second.options_.adRequestTimeout, 1234);
+        assert.equal(first.options_.width, 320);
+        assert.equal(second.options_.width, undefined);
+        assert.equal(second.options_.muted, undefined);
+        assert.equal(players[1].querySelector('video').muted, false);
+      });
+});
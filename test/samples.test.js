@@ -0,0 +1,415 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Plays the advanced and playlist samples through their ad
+ * flows, with google.ima.fake standing in for the SDK. The fake's clock is
+ * stopped, so ads only move when a test calls advance().
+ */
+'use strict';
+
+const assert = require('node:assert/strict');
+const {afterEach, describe, it} = require('node:test');
+const {endContent, loadPage, nextEvent, waitFor} = require('./dom.js');
+
+let page = null;
+
+/**
+ * Opens a sample with the given stand-in response and stops the fake's ad
+ * clock.
+ *
+ * @param {string} sample
+ * @param {string} vast The response, one of the files in fake_ima/vast.
+ * @return {!Promise<!Object>} The page's parts the tests look at.
+ */
+async function open(sample, vast) {
+  page = await loadPage(sample, 'vast=' + vast);
+  const window = page.window;
+  const document = window.document;
+  window.google.ima.fake.playbackRate = 0;
+  return {
+    window: window,
+    fake: window.google.ima.fake,
+    app: window.application,
+    ads: window.application.ads_,
+    video: document.querySelector('video.content'),
+    playButton: document.querySelector('.playpause'),
+    adControls: document.querySelector('.adControls'),
+    skipButton: document.querySelector('.skipAd'),
+    announcer: document.querySelector('.announcer')
+  };
+}
+
+/**
+ * Clicks play, in the advanced sample after filling in the sample tag.
+ *
+ * @param {!Object} player From open().
+ */
+function clickPlay(player) {
+  const sampleAdTag = player.window.document.getElementById('sampleAdTag');
+  if (sampleAdTag) {
+    sampleAdTag.click();
+  }
+  player.playButton.click();
+}
+
+/**
+ * @param {!Object} player From open().
+ * @return {?google.ima.Ad} The ad the fake is showing.
+ */
+function currentAd(player) {
+  const adsManager = player.fake.getAdsManager();
+  return adsManager && adsManager.currentAd_;
+}
+
+/**
+ * @param {!Object} player From open().
+ * @return {!Promise<!google.ima.Ad>} The pre-roll, once it plays.
+ */
+async function startPreroll(player) {
+  clickPlay(player);
+  await waitFor(function() {
+    const ad = currentAd(player);
+    return ad && ad.isLinear();
+  }, 'the pre-roll to start');
+  return currentAd(player);
+}
+
+/**
+ * @param {!google.ima.AdsManager} adsManager
+ * @param {string} type
+ * @return {!Promise<!google.ima.AdEvent>} The manager's next event of the
+ *     type.
+ */
+function nextAdEvent(adsManager, type) {
+  return new Promise(function(resolve) {
+    const listener = function(event) {
+      adsManager.removeEventListener(type, listener);
+      resolve(event);
+    };
+    adsManager.addEventListener(type, listener);
+  });
+}
+
+/**
+ * Plays the current break's linear ads to the end.
+ *
+ * @param {!Object} player From open().
+ * @return {!Promise} Resolves on CONTENT_RESUME_REQUESTED.
+ */
+async function finishBreak(player) {
+  const resumed = nextAdEvent(player.fake.getAdsManager(),
+      player.window.google.ima.AdEvent.Type.CONTENT_RESUME_REQUESTED);
+  const advance = setInterval(function() {
+    player.fake.advance(60);
+  }, 20);
+  try {
+    await resumed;
+  } finally {
+    clearInterval(advance);
+  }
+}
+
+/**
+ * @param {!Object} player From open().
+ */
+function assertPlayingContent(player) {
+  assert.equal(player.app.adsActive_, false);
+  assert.equal(player.video.paused, false);
+  assert.equal(player.adControls.style.display, 'none');
+  assert.equal(player.playButton.getAttribute('aria-label'), 'Pause');
+}
+
+afterEach(function() {
+  if (page) {
+    assert.deepEqual(page.errors, []);
+    page.window.close();
+    page = null;
+  }
+});
+
+describe('advanced sample', function() {
+  it('plays a pre-roll, then the content', async function() {
+    const player = await open('advanced', 'linear');
+    const ad = await startPreroll(player);
+
+    assert.equal(ad.getTitle(), 'Linear ad');
+    assert.equal(player.app.adsActive_, true);
+    assert.equal(player.video.paused, true);
+    assert.equal(player.playButton.getAttribute('aria-label'), 'Pause ad');
+    assert.equal(player.adControls.style.display, 'block');
+    assert.equal(player.announcer.textContent,
+        'Ad playing, 10 seconds remaining');
+    const document = player.window.document;
+    assert.equal(document.querySelector('.adPosition').textContent, 'Ad');
+    assert.equal(document.querySelector('.adCountdown').textContent, '0:10');
+    assert.equal(player.skipButton.style.display, 'none');
+
+    await finishBreak(player);
+    assertPlayingContent(player);
+    assert.equal(player.announcer.textContent, 'Ad break over.');
+  });
+
+  it('pauses and resumes the ad from the play button', async function() {
+    const player = await open('advanced', 'linear');
+    await startPreroll(player);
+    const adsManager = player.fake.getAdsManager();
+
+    player.playButton.click();
+    assert.equal(adsManager.paused_, true);
+    assert.equal(player.playButton.getAttribute('aria-label'), 'Play ad');
+    player.fake.advance(60);
+    assert.equal(player.app.adsActive_, true);
+
+    player.playButton.click();
+    assert.equal(adsManager.paused_, false);
+    assert.equal(player.playButton.getAttribute('aria-label'), 'Pause ad');
+    await finishBreak(player);
+    assertPlayingContent(player);
+  });
+
+  it('pauses the ad and mutes from the keyboard', async function() {
+    const player = await open('advanced', 'linear');
+    await startPreroll(player);
+    const press = function(key) {
+      player.video.dispatchEvent(new player.window.KeyboardEvent(
+          'keydown', {key: key, bubbles: true, cancelable: true}));
+    };
+
+    press(' ');
+    assert.equal(player.fake.getAdsManager().paused_, true);
+    assert.equal(player.playButton.getAttribute('aria-label'), 'Play ad');
+
+    press('m');
+    assert.equal(player.ads.getVolume(), 0);
+    assert.equal(player.announcer.textContent, 'Muted');
+  });
+
+  it('plays every ad of a pod before the content', async function() {
+    const player = await open('advanced', 'pod');
+    const first = await startPreroll(player);
+    const titles = [first.getTitle()];
+    player.fake.getAdsManager().addEventListener(
+        player.window.google.ima.AdEvent.Type.STARTED, function(event) {
+          titles.push(event.getAd().getTitle());
+        });
+
+    await finishBreak(player);
+
+    assert.deepEqual(titles, ['Pod ad 1', 'Pod ad 2']);
+    assertPlayingContent(player);
+  });
+
+  it('skips an ad once the skip button is enabled', async function() {
+    const player = await open('advanced', 'skippable');
+    await startPreroll(player);
+
+    assert.equal(player.skipButton.style.display, 'inline-block');
+    assert.equal(player.skipButton.disabled, true);
+    assert.equal(player.skipButton.textContent, 'Skip in 5');
+
+    player.fake.advance(6);
+    player.app.updateAdControls_();
+    assert.equal(player.skipButton.disabled, false);
+    assert.equal(player.skipButton.textContent, 'Skip ad');
+
+    const resumed = nextAdEvent(player.fake.getAdsManager(),
+        player.window.google.ima.AdEvent.Type.CONTENT_RESUME_REQUESTED);
+    player.skipButton.click();
+    await resumed;
+    assertPlayingContent(player);
+  });
+
+  it('keeps the content where it ended', async function() {
+    const player = await open('advanced', 'linear');
+    await startPreroll(player);
+    await finishBreak(player);
+
+    endContent(player.video);
+
+    assert.equal(player.ads.contentCompleteCalled_, true);
+    assert.equal(player.video.paused, true);
+    assert.equal(player.video.currentTime, player.video.duration);
+  });
+
+  it('plays an ad rules mid-roll once content passes its cue point',
+      async function() {
+        const player = await open('advanced', 'vmap');
+        await startPreroll(player);
+        await finishBreak(player);
+        assert.deepEqual(
+            Array.from(player.ads.getCuePoints()), [0, 15, 30, -1]);
+
+        const breakStart = nextEvent(player.ads, 'breakStart');
+        player.video.currentTime = 16;
+        const midroll = await breakStart;
+
+        assert.equal(midroll.ad.timeOffset, 15);
+        assert.equal(player.video.paused, true);
+        assert.equal(player.app.videoPlayer_.isCuePointPlayed(15), true);
+        assert.equal(player.app.videoPlayer_.isCuePointPlayed(30), false);
+        const items = player.window.document.querySelectorAll(
+            '#adBreakList li');
+        assert.deepEqual(Array.from(items, function(item) {
+          return item.textContent + (item.className ? ' (played)' : '');
+        }), [
+          'Pre-roll (played)', 'Mid-roll at 0:15 (played)',
+          'Mid-roll at 0:30', 'Post-roll'
+        ]);
+
+        await finishBreak(player);
+        assertPlayingContent(player);
+      });
+
+  it('plays the last mid-roll a seek skips, then finishes the seek',
+      async function() {
+        const player = await open('advanced', 'vmap');
+        await startPreroll(player);
+        await finishBreak(player);
+
+        const breakStart = nextEvent(player.ads, 'breakStart');
+        player.app.onSeek_(40);
+        const midroll = await breakStart;
+
+        assert.equal(midroll.ad.timeOffset, 30);
+        assert.equal(player.app.videoPlayer_.isCuePointPlayed(15), false);
+
+        await finishBreak(player);
+        assert.equal(player.video.currentTime, 40);
+        assertPlayingContent(player);
+      });
+
+  it('plays the ad rules post-roll when content ends', async function() {
+    const player = await open('advanced', 'vmap');
+    await startPreroll(player);
+    await finishBreak(player);
+
+    const breakStart = nextEvent(player.ads, 'breakStart');
+    const complete = nextEvent(player.ads, 'complete');
+    endContent(player.video);
+    const postroll = await breakStart;
+    assert.equal(postroll.ad.timeOffset, -1);
+
+    await finishBreak(player);
+    await complete;
+    assert.equal(player.app.videoPlayer_.isCuePointPlayed(-1), true);
+    // The content stays at its end rather than starting over.
+    assert.equal(player.video.paused, true);
+    assert.equal(player.adControls.style.display, 'none');
+  });
+
+  it('shows an overlay over the playing content', async function() {
+    const player = await open('advanced', 'nonlinear');
+    clickPlay(player);
+    await waitFor(function() {
+      return currentAd(player);
+    }, 'the overlay to show');
+
+    assert.equal(currentAd(player).isLinear(), false);
+    assert.equal(player.app.adsActive_, false);
+    assert.equal(player.video.paused, false);
+    assert.equal(player.window.document.querySelector('.fake-ima-ad')
+        .style.display, 'block');
+
+    const click = nextAdEvent(player.fake.getAdsManager(),
+        player.window.google.ima.AdEvent.Type.CLICK);
+    player.fake.clickAd();
+    await click;
+    assert.equal(player.video.paused, false);
+  });
+
+  it('falls back to the sample tag, then plays the content, when the ad fails',
+      async function() {
+        const player = await open('advanced', 'unplayable');
+        const errors = [];
+        player.ads.on('error', function(event) {
+          errors.push(event.errorClass + ' ' + event.recovery);
+        });
+        clickPlay(player);
+        await waitFor(function() {
+          return !player.video.paused;
+        }, 'the content to play');
+
+        assert.deepEqual(errors, ['media fallback', 'media none']);
+        assert.equal(player.fake.getAdsManager(), null);
+        assert.equal(player.app.adsActive_, false);
+      });
+
+  it('plays the content when there are no ads', async function() {
+    const player = await open('advanced', 'empty');
+    clickPlay(player);
+    await waitFor(function() {
+      return !player.video.paused;
+    }, 'the content to play');
+
+    assert.equal(player.fake.getAdsManager(), null);
+    assert.equal(player.app.adsActive_, false);
+  });
+});
+
+describe('playlist sample', function() {
+  it('plays a pre-roll before each video', async function() {
+    const player = await open('playlist', 'linear');
+    await startPreroll(player);
+    await finishBreak(player);
+    assertPlayingContent(player);
+    assert.match(player.video.src, /android\.mp4$/);
+    const firstAdsManager = player.fake.getAdsManager();
+
+    player.window.document.getElementById('1').click();
+    await waitFor(function() {
+      return player.fake.getAdsManager() != firstAdsManager &&
+          player.ads.isLinearAdPlaying();
+    }, 'the next pre-roll to start');
+
+    assert.match(player.video.src, /output\.mp4$/);
+    assert.equal(firstAdsManager.destroyed_, true);
+    assert.equal(player.fake.adsManagers.length, 1);
+    assert.equal(player.fake.adsManagers[0], player.ads.getAdsManager());
+    assert.equal(player.video.paused, true);
+
+    await finishBreak(player);
+    assertPlayingContent(player);
+  });
+
+  it('does not switch videos during an ad', async function() {
+    const player = await open('playlist', 'linear');
+    await startPreroll(player);
+    const adsManager = player.fake.getAdsManager();
+
+    player.window.document.getElementById('1').click();
+
+    assert.match(player.video.src, /android\.mp4$/);
+    assert.equal(player.fake.getAdsManager(), adsManager);
+    assert.equal(adsManager.destroyed_, false);
+    assert.equal(player.ads.isLinearAdPlaying(), true);
+  });
+
+  it('offers a replay once the video and its ads are over',
+      async function() {
+        const player = await open('playlist', 'linear');
+        const replayButton =
+            player.window.document.querySelector('.replay');
+        await startPreroll(player);
+        await finishBreak(player);
+        await waitFor(function() {
+          return player.ads.allAdsCompleted_;
+        }, 'the ads to complete');
+
+        endContent(player.video);
+
+        assert.equal(replayButton.style.display, 'block');
+        assert.equal(player.playButton.style.display, 'none');
+      });
+});
@@ -0,0 +1,226 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Tests the trees and issues VastParser reports. Wrappers and
+ * ad tag URIs point at the files in fake_ima/vast, relative to the page at
+ * the repository root.
+ */
+'use strict';
+
+const assert = require('node:assert/strict');
+const {afterEach, describe, it} = require('node:test');
+const {loadScripts} = require('./dom.js');
+
+const VMAP_NAMESPACE = 'http://www.iab.net/videosuite/vmap';
+
+const INLINE = '<VAST version="3.0"><Ad id="embedded"><InLine>' +
+    '<AdSystem>Test</AdSystem><AdTitle>Embedded</AdTitle>' +
+    '<Impression>https://example.com/impression</Impression>' +
+    '<Creatives><Creative><Linear><Duration>00:00:05</Duration>' +
+    '<MediaFiles><MediaFile delivery="progressive" type="video/mp4" ' +
+    'width="640" height="360">https://example.com/ad.mp4</MediaFile>' +
+    '</MediaFiles></Linear></Creative></Creatives></InLine></Ad></VAST>';
+
+let window = null;
+
+/**
+ * Parses a response, and whatever it wraps, in a fresh page.
+ *
+ * @param {string} text
+ * @param {!Object=} options VastParser options.
+ * @return {!Promise<!VastParser.Node>} The tree, once the parser has called
+ *     back; the promise fails if it calls back more than once or not at all.
+ */
+function parse(text, options) {
+  window = loadScripts('', ['common/vast_parser.js']);
+  const parser = new window.VastParser(options);
+  return new Promise(function(resolve, reject) {
+    const timer = setTimeout(function() {
+      reject(new Error('The parser never called back'));
+    }, 3000);
+    let calls = 0;
+    parser.parse(text, 'test.xml', function(tree) {
+      calls++;
+      if (calls > 1) {
+        reject(new Error('The parser called back ' + calls + ' times'));
+        return;
+      }
+      clearTimeout(timer);
+      // Later calls would land before the test's next check.
+      setTimeout(function() {
+        resolve(tree);
+      }, 50);
+    });
+  });
+}
+
+/**
+ * @param {!VastParser.Node} tree
+ * @param {string} label
+ * @return {!Array<!VastParser.Node>} Every node with the label, depth first.
+ */
+function findNodes(tree, label) {
+  const found = tree.label == label ? [tree] : [];
+  for (const node of tree.children) {
+    found.push(...findNodes(node, label));
+  }
+  return found;
+}
+
+/**
+ * @param {!VastParser.Node} node
+ * @return {!Array<string>} The node's own issues, as "severity: message".
+ */
+function issues(node) {
+  return Array.from(node.issues, function(issue) {
+    return issue.severity + ': ' + issue.message;
+  });
+}
+
+/**
+ * @param {!VastParser.Node} node
+ * @return {!Array<string>} The node's own error messages.
+ */
+function errors(node) {
+  return issues(node).filter(function(issue) {
+    return issue.startsWith('error: ');
+  }).map(function(issue) {
+    return issue.slice('error: '.length);
+  });
+}
+
+/**
+ * @param {string} uri
+ * @return {string} A VAST wrapper around the URI.
+ */
+function wrapper(uri) {
+  return '<VAST version="3.0"><Ad><Wrapper><AdSystem>Test</AdSystem>' +
+      '<VASTAdTagURI>' + uri + '</VASTAdTagURI>' +
+      '<Impression>https://example.com/impression</Impression>' +
+      '</Wrapper></Ad></VAST>';
+}
+
+afterEach(function() {
+  if (window) {
+    window.close();
+    window = null;
+  }
+});
+
+describe('VastParser', function() {
+  describe('wrappers', function() {
+    it('follows wrappers down to the inline ad', async function() {
+      const tree = await parse(wrapper('fake_ima/vast/wrapper.xml'));
+
+      assert.equal(findNodes(tree, 'Wrapper').length, 2);
+      assert.equal(findNodes(tree, 'InLine').length, 1);
+      assert.deepEqual(findNodes(tree, 'VASTAdTagURI').flatMap(errors), []);
+    });
+
+    it('stops at the wrapper depth limit with error 302', async function() {
+      const tree = await parse(wrapper('fake_ima/vast/wrapper.xml'),
+          {maxWrapperDepth: 1});
+      const tagUris = findNodes(tree, 'VASTAdTagURI');
+
+      assert.equal(tagUris.length, 2);
+      assert.deepEqual(errors(tagUris[0]), []);
+      assert.deepEqual(errors(tagUris[1]), [
+        'More than 1 wrappers deep; the SDK gives up here (error 302).'
+      ]);
+      assert.equal(findNodes(tree, 'InLine').length, 0);
+    });
+
+    it('calls back once when a wrapped tag fails to load', async function() {
+      const tree = await parse(wrapper('fake_ima/vast/missing.xml'));
+      const tagUri = findNodes(tree, 'VASTAdTagURI')[0];
+
+      assert.equal(tagUri.children.length, 0);
+      assert.equal(errors(tagUri).length, 1);
+    });
+  });
+
+  describe('VMAP', function() {
+    it('reads a VMAP with its own prefix', async function() {
+      const tree = await parse(
+          '<ads:VMAP xmlns:ads="' + VMAP_NAMESPACE + '" version="1.0">' +
+          '<ads:AdBreak timeOffset="start" breakType="linear">' +
+          '<ads:AdSource><ads:VASTAdData>' + INLINE +
+          '</ads:VASTAdData></ads:AdSource></ads:AdBreak></ads:VMAP>');
+      const adBreak = findNodes(tree, 'AdBreak')[0];
+
+      assert.equal(adBreak.value, 'timeOffset=start breakType=linear');
+      assert.deepEqual(issues(adBreak), []);
+      assert.equal(findNodes(adBreak, 'InLine').length, 1);
+    });
+
+    it('reads a VMAP in the default namespace', async function() {
+      const tree = await parse(
+          '<VMAP xmlns="' + VMAP_NAMESPACE + '" version="1.0">' +
+          '<AdBreak timeOffset="end" breakType="linear"><AdSource>' +
+          '<AdTagURI>fake_ima/vast/linear.xml</AdTagURI>' +
+          '</AdSource></AdBreak></VMAP>');
+      const adBreak = findNodes(tree, 'AdBreak')[0];
+
+      assert.deepEqual(issues(adBreak), []);
+      assert.equal(findNodes(adBreak, 'vmap:AdTagURI').length, 1);
+      assert.equal(findNodes(adBreak, 'InLine').length, 1);
+    });
+
+    it('ignores elements named like VMAP ones in another namespace',
+        async function() {
+          const tree = await parse(
+              '<vmap:VMAP xmlns:vmap="' + VMAP_NAMESPACE + '" ' +
+              'xmlns:other="urn:other" version="1.0">' +
+              '<other:AdBreak timeOffset="start" breakType="linear"/>' +
+              '</vmap:VMAP>');
+
+          assert.equal(findNodes(tree, 'AdBreak').length, 0);
+          assert.deepEqual(issues(findNodes(tree, 'VMAP')[0]),
+              ['warning: The playlist has no ad breaks.']);
+        });
+  });
+
+  describe('VAST 4', function() {
+    it('reports the elements an InLine ad is missing', async function() {
+      const tree = await parse(
+          '<VAST version="4.1"><Ad><InLine><AdSystem>Test</AdSystem>' +
+          '<Creatives><Creative><Linear/></Creative></Creatives>' +
+          '</InLine></Ad></VAST>');
+
+      assert.deepEqual(errors(findNodes(tree, 'InLine')[0]), [
+        '<AdTitle> is required.',
+        '<AdServingId> is required.',
+        'At least one <Impression> is required.'
+      ]);
+      assert.deepEqual(errors(findNodes(tree, 'Creative')[0]),
+          ['VAST 4 requires a <UniversalAdId>.']);
+      assert.deepEqual(errors(findNodes(tree, 'Linear')[0]), [
+        'An inline <Linear> needs a <Duration>.',
+        'An inline <Linear> needs <MediaFiles>.'
+      ]);
+    });
+
+    it('requires a creative in an InLine ad', async function() {
+      const tree = await parse(
+          '<VAST version="4.0"><Ad><InLine><AdSystem>Test</AdSystem>' +
+          '<AdTitle>Empty</AdTitle>' +
+          '<Impression>https://example.com/impression</Impression>' +
+          '</InLine></Ad></VAST>');
+
+      assert.deepEqual(errors(findNodes(tree, 'InLine')[0]),
+          ['An <InLine> ad needs at least one <Creative>.']);
+    });
+  });
+});
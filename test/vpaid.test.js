@@ -0,0 +1,233 @@
+// Copyright 2017 Google Inc.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     https://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * @fileoverview Checks the events the sample VPAID ad sends, and their order,
+ * against VPAID 2.0. The tests play the ad's video by moving its playhead.
+ */
+'use strict';
+
+const assert = require('node:assert/strict');
+const {afterEach, describe, it} = require('node:test');
+const {loadScripts, waitFor} = require('./dom.js');
+
+const EVENTS = [
+  'AdLoaded', 'AdStarted', 'AdStopped', 'AdSkipped', 'AdLinearChange',
+  'AdSizeChange', 'AdExpandedChange', 'AdSkippableStateChange',
+  'AdDurationChange', 'AdRemainingTimeChange', 'AdVolumeChange',
+  'AdImpression', 'AdVideoStart', 'AdVideoFirstQuartile', 'AdVideoMidpoint',
+  'AdVideoThirdQuartile', 'AdVideoComplete', 'AdClickThru', 'AdInteraction',
+  'AdUserAcceptInvitation', 'AdUserMinimize', 'AdUserClose', 'AdPaused',
+  'AdPlaying', 'AdLog', 'AdError'
+];
+
+const VIDEO = {url: 'ad.mp4', mimetype: 'video/mp4'};
+
+let window = null;
+
+/**
+ * Creates the ad in a page with a slot and a video slot, and records the
+ * events it sends.
+ *
+ * @param {!Object} parameters The ad's AdParameters.
+ * @return {{ad: !VpaidVideoPlayer, video: !HTMLVideoElement,
+ *     events: !Array<string>, parameters: !Object}} The events are all but
+ *     AdLog, in order.
+ */
+function createAd(parameters) {
+  window = loadScripts(
+      '<div id="slot"></div><video id="video"></video>',
+      ['vpaid/VpaidVideoAd.js']);
+  // jsdom can play nothing.
+  window.HTMLMediaElement.prototype.canPlayType = function() {
+    return 'maybe';
+  };
+  const ad = window.getVPAIDAd();
+  const events = [];
+  for (const type of EVENTS) {
+    ad.subscribe(function() {
+      if (type != 'AdLog') {
+        events.push(type);
+      }
+    }, type, null);
+  }
+  return {ad: ad, video: window.document.getElementById('video'),
+    events: events, parameters: parameters};
+}
+
+/**
+ * @param {!Object} player From createAd().
+ */
+function initAd(player) {
+  const document = window.document;
+  player.ad.initAd(640, 360, 'normal', 500,
+      {AdParameters: JSON.stringify(player.parameters)},
+      {slot: document.getElementById('slot'), videoSlot: player.video});
+}
+
+/**
+ * @param {!Object} player From createAd().
+ * @return {!Promise} Resolves once the ad has sent AdStopped.
+ */
+function adStopped(player) {
+  return waitFor(function() {
+    return player.events.includes('AdStopped');
+  }, 'AdStopped');
+}
+
+afterEach(function() {
+  if (window) {
+    window.close();
+    window = null;
+  }
+});
+
+describe('VpaidVideoPlayer', function() {
+  it('sends AdLoaded, then the start events in order', function() {
+    const player = createAd({videos: [VIDEO]});
+    initAd(player);
+    assert.deepEqual(player.events, ['AdLoaded']);
+
+    player.ad.startAd();
+    player.video.currentTime = 0;
+
+    assert.deepEqual(player.events, [
+      'AdLoaded', 'AdStarted', 'AdImpression', 'AdVideoStart',
+      'AdRemainingTimeChange'
+    ]);
+  });
+
+  it('sends every quartile, then AdVideoComplete and AdStopped',
+      async function() {
+        const player = createAd({videos: [VIDEO]});
+        initAd(player);
+        player.ad.startAd();
+        player.events.length = 0;
+
+        player.video.currentTime = 20;
+        // A jump past two quartiles reports both.
+        player.video.currentTime = 46;
+        player.video.dispatchEvent(new window.Event('ended'));
+        await adStopped(player);
+
+        assert.deepEqual(player.events.filter(function(type) {
+          return type != 'AdRemainingTimeChange';
+        }), [
+          'AdVideoStart', 'AdVideoFirstQuartile', 'AdVideoMidpoint',
+          'AdVideoThirdQuartile', 'AdVideoComplete', 'AdStopped'
+        ]);
+      });
+
+  it('sends AdSkipped, then AdStopped, once the ad can be skipped',
+      async function() {
+        const player = createAd({videos: [VIDEO], skipOffset: 5});
+        initAd(player);
+        player.ad.startAd();
+        player.video.currentTime = 1;
+
+        player.ad.skipAd();
+        assert.equal(player.events.includes('AdSkipped'), false);
+
+        player.video.currentTime = 5;
+        assert.equal(player.ad.getAdSkippableState(), true);
+        player.events.length = 0;
+        player.ad.skipAd();
+        await adStopped(player);
+
+        assert.deepEqual(player.events, ['AdSkipped', 'AdStopped']);
+        assert.equal(player.video.paused, true);
+      });
+
+  it('sends only AdError when there is no playable video', function() {
+    const player = createAd({videos: []});
+    initAd(player);
+
+    assert.deepEqual(player.events, ['AdError']);
+  });
+
+  it('sends nothing after AdStopped', async function() {
+    const player = createAd({videos: [VIDEO]});
+    initAd(player);
+    player.ad.startAd();
+    player.ad.stopAd();
+    await adStopped(player);
+    player.events.length = 0;
+
+    player.ad.pauseAd();
+    player.ad.setAdVolume(0.5);
+
+    assert.deepEqual(player.events, []);
+  });
+
+  it('does not send AdLog from the getters the player polls', function() {
+    const player = createAd({videos: [VIDEO]});
+    initAd(player);
+    const logs = [];
+    player.ad.subscribe(function(message) {
+      logs.push(message);
+    }, 'AdLog', null);
+
+    player.ad.getAdExpanded();
+    player.ad.getAdSkippableState();
+    player.ad.getAdVolume();
+    player.ad.getAdRemainingTime();
+
+    assert.deepEqual(logs, []);
+  });
+
+  it('gives the content back its video slot after a nonlinear ad plays',
+      async function() {
+        const player = createAd({videos: [VIDEO], linear: false});
+        player.video.setAttribute('src', 'content.mp4');
+        player.video.currentTime = 12;
+        player.video.volume = 0.8;
+        initAd(player);
+        player.ad.startAd();
+        const watch = Array.from(window.document.querySelectorAll(
+            '#slot button')).find(function(button) {
+          return button.textContent == 'Watch';
+        });
+        watch.click();
+        assert.equal(player.video.getAttribute('src'), VIDEO.url);
+        assert.equal(player.ad.getAdLinear(), true);
+
+        player.ad.stopAd();
+        player.events.length = 0;
+        player.video.volume = 0.3;
+        player.video.dispatchEvent(new window.Event('volumechange'));
+        await adStopped(player);
+
+        assert.equal(player.video.getAttribute('src'), 'content.mp4');
+        assert.equal(player.video.currentTime, 12);
+        assert.deepEqual(player.events, ['AdStopped']);
+      });
+
+  it('sends AdVolumeChange once for each real change of volume', function() {
+    const player = createAd({videos: [VIDEO]});
+    initAd(player);
+    player.ad.startAd();
+    player.events.length = 0;
+
+    player.ad.setAdVolume(0.5);
+    // The browser reports the ad's own change later, as a task.
+    player.video.dispatchEvent(new window.Event('volumechange'));
+    assert.equal(player.video.volume, 0.5);
+    assert.deepEqual(player.events, ['AdVolumeChange']);
+
+    player.video.muted = true;
+    player.video.dispatchEvent(new window.Event('volumechange'));
+    assert.equal(player.ad.getAdVolume(), 0);
+    assert.deepEqual(player.events, ['AdVolumeChange', 'AdVolumeChange']);
+  });
+});
@@ -1,7 +1,43 @@
 /**
  * @fileoverview A sample VPAID ad useful for testing a VPAID JS enabled player.
- * This ad will just play a video.
+ * This ad will just play a video, or, as a nonlinear ad, show a banner over
+ * the content that plays the video when the user asks for it.
  *
+ * AdParameters is a JSON object with:
+ *   videos: the renditions, each with url, mimetype and optionally bitrate,
+ *       in kbps, width and height. Of those the browser can play, the ad
+ *       picks one no larger than the slot, then the highest bitrate up to
+ *       initAd's desiredBitrate, or failing that the lowest.
+ *   skipOffset: seconds into the ad after which it can be skipped, with the
+ *       ad's own skip button or skipAd(). Without it the ad can't be skipped.
+ *   clickThrough: the URL a click on the ad opens. Without it the player
+ *       opens the VAST ClickThrough.
+ *   playerHandles: set to false for the ad to open clickthroughs itself and
+ *       pause, instead of leaving it to the player. Defaults to true.
+ *   overlay: interactive elements drawn over the video, with:
+ *       buttons: each with id, label and optionally url, a clickthrough.
+ *       form: with id, fields (each with name and label) and submitLabel.
+ *   linear: set to false for a nonlinear ad: a banner at the bottom of the
+ *       slot, which expandAd makes taller and collapseAd shrinks back. Its
+ *       Watch button turns the ad linear, sending AdLinearChange, and plays
+ *       the video in the video slot, putting the content back in it once
+ *       the ad stops.
+ *   banner: the nonlinear banner's text, and expandedText, shown only while
+ *       it is expanded.
+ *
+ * Events follow the order VPAID 2.0 gives them: AdLoaded once initAd is
+ * done; AdStarted, AdImpression and then AdVideoStart once startAd is called;
+ * the quartiles; and AdVideoComplete before AdStopped, or AdSkipped before
+ * AdStopped. Nothing is sent after AdStopped. The ad draws minimize and close
+ * controls in the slot, which send AdUserMinimize, AdUserAcceptInvitation
+ * (restoring a minimized ad) and AdUserClose, each after an AdInteraction.
+ * Clicking the ad or an overlay button with a url sends AdClickThru, with
+ * the url, the id of what was clicked and playerHandles; every click on the
+ * ad or its overlay, and submitting the form, sends AdInteraction with that
+ * id first. setAdVolume applies to the ad's video, with 0 muting it, and
+ * AdVolumeChange is only sent when the volume really changes, whether
+ * through setAdVolume or the video's own controls. Every log message is also
+ * sent as AdLog.
  */
 
 /**
@@ -78,6 +114,112 @@ var VpaidVideoPlayer = function() {
    * @private
    */
   this.parameters_ = {};
+
+  /**
+   * Seconds into the ad after which it can be skipped, or -1 if it can't be.
+   * @type {number}
+   * @private
+   */
+  this.skipOffset_ = -1;
+
+  /**
+   * The skip button the ad draws in the slot, if it can be skipped.
+   * @type {Element}
+   * @private
+   */
+  this.skipButton_ = null;
+
+  /**
+   * Whether startAd has been called.
+   * @type {boolean}
+   * @private
+   */
+  this.started_ = false;
+
+  /**
+   * The minimize and close controls the ad draws in the slot.
+   * @type {Element}
+   * @private
+   */
+  this.controls_ = null;
+
+  /**
+   * The buttons and form from the overlay AdParameter.
+   * @type {Element}
+   * @private
+   */
+  this.overlay_ = null;
+
+  /**
+   * The nonlinear ad's banner.
+   * @type {Element}
+   * @private
+   */
+  this.banner_ = null;
+
+  /**
+   * The part of the banner shown only while the ad is expanded.
+   * @type {Element}
+   * @private
+   */
+  this.bannerDetails_ = null;
+
+  /**
+   * The banner's button that expands or collapses it.
+   * @type {Element}
+   * @private
+   */
+  this.expandButton_ = null;
+
+  /**
+   * The minimize button, which restores the ad while it is minimized.
+   * @type {Element}
+   * @private
+   */
+  this.minimizeButton_ = null;
+
+  /**
+   * Whether the user has minimized the ad.
+   * @type {boolean}
+   * @private
+   */
+  this.minimized_ = false;
+
+  /**
+   * The remaining time last reported, in whole seconds.
+   * @type {number}
+   * @private
+   */
+  this.reportedRemainingTime_ = -1;
+
+  /**
+   * Whether the ad has stopped; AdStopped is only sent once.
+   * @type {boolean}
+   * @private
+   */
+  this.stopped_ = false;
+
+  /**
+   * The listeners the ad has added to the video slot, by event type.
+   * @type {!Object<string, function()>}
+   * @private
+   */
+  this.videoListeners_ = {};
+
+  /**
+   * The content's src, currentTime, volume and muted, saved when a nonlinear
+   * ad turns linear and takes the video slot from the content.
+   * @type {Object}
+   * @private
+   */
+  this.savedContent_ = null;
+
+  /**
+   * Whether AdStopped has been sent, after which the ad sends nothing.
+   * @type {boolean}
+   * @private
+   */
+  this.adStoppedSent_ = false;
 };
 
 
@@ -121,26 +263,84 @@ VpaidVideoPlayer.prototype.initAd = function(
 
   // Parse the incoming ad parameters.
   this.parameters_ = JSON.parse(creativeData['AdParameters']);
+  if (typeof this.parameters_.skipOffset == 'number' &&
+      this.parameters_.skipOffset >= 0) {
+    this.skipOffset_ = this.parameters_.skipOffset;
+  }
+  this.attributes_['linear'] = this.parameters_.linear !== false;
 
   this.log('initAd ' + width + 'x' + height +
       ' ' + viewMode + ' ' + desiredBitrate);
-  this.updateVideoSlot_();
-  this.videoSlot_.addEventListener(
-      'timeupdate',
-      this.timeUpdateHandler_.bind(this),
-      false);
-  this.videoSlot_.addEventListener(
-      'loadedmetadata',
-      this.loadedMetadata_.bind(this),
-      false);
-  this.videoSlot_.addEventListener(
-      'ended',
-      this.stopAd.bind(this),
+  if (this.attributes_['linear']) {
+    // Without a video there is no ad to load; AdError has been sent instead.
+    if (!this.loadVideo_()) {
+      return;
+    }
+  } else {
+    // A nonlinear ad leaves the video slot to the content until it turns
+    // linear, and runs until it is stopped.
+    this.attributes_['duration'] = -2;
+    this.attributes_['remainingTime'] = -2;
+  }
+  this.slot_.addEventListener(
+      'click',
+      this.clickHandler_.bind(this),
       false);
   this.callEvent_('AdLoaded');
 };
 
 
+/**
+ * Fills the video slot and follows its playback.
+ * @return {boolean} False if there is no video to play.
+ * @private
+ */
+VpaidVideoPlayer.prototype.loadVideo_ = function() {
+  if (!this.updateVideoSlot_()) {
+    return false;
+  }
+  this.videoListeners_ = {
+    'timeupdate': this.timeUpdateHandler_.bind(this),
+    'loadedmetadata': this.loadedMetadata_.bind(this),
+    'ended': this.endedHandler_.bind(this),
+    'volumechange': this.volumeChangeHandler_.bind(this)
+  };
+  this.applyVolume_();
+  for (var type in this.videoListeners_) {
+    this.videoSlot_.addEventListener(type, this.videoListeners_[type], false);
+  }
+  return true;
+};
+
+
+/**
+ * Gives the video slot back: takes the ad's listeners off it and, if the ad
+ * took it from the content, puts the content back where it was.
+ * @private
+ */
+VpaidVideoPlayer.prototype.releaseVideoSlot_ = function() {
+  for (var type in this.videoListeners_) {
+    this.videoSlot_.removeEventListener(
+        type, this.videoListeners_[type], false);
+  }
+  this.videoListeners_ = {};
+  var content = this.savedContent_;
+  if (!content) {
+    return;
+  }
+  this.savedContent_ = null;
+  if (content.src === null) {
+    this.videoSlot_.removeAttribute('src');
+  } else {
+    this.videoSlot_.setAttribute('src', content.src);
+  }
+  this.videoSlot_.load();
+  this.videoSlot_.currentTime = content.currentTime;
+  this.videoSlot_.volume = content.volume;
+  this.videoSlot_.muted = content.muted;
+};
+
+
 /**
  * Called by the video element when video metadata is loaded.
  * @private
@@ -158,25 +358,395 @@ VpaidVideoPlayer.prototype.loadedMetadata_ = function() {
  * @private
  */
 VpaidVideoPlayer.prototype.timeUpdateHandler_ = function() {
-  if (this.nextQuartileIndex_ >= this.quartileEvents_.length) {
+  // Playback is only reported between AdStarted and AdStopped.
+  if (!this.started_ || this.stopped_) {
     return;
   }
-  var percentPlayed =
-      this.videoSlot_.currentTime * 100.0 / this.videoSlot_.duration;
-  if (percentPlayed >= this.quartileEvents_[this.nextQuartileIndex_].value) {
-    var lastQuartileEvent = this.quartileEvents_[this.nextQuartileIndex_].event;
-    this.eventsCallbacks_[lastQuartileEvent]();
+  var duration = this.videoSlot_.duration;
+  this.reportQuartiles_(duration > 0 ?
+      this.videoSlot_.currentTime * 100.0 / duration : 0);
+  if (duration > 0) {
+    this.attributes_['remainingTime'] =
+      duration - this.videoSlot_.currentTime;
+    var remainingTime = Math.ceil(this.attributes_['remainingTime']);
+    if (remainingTime != this.reportedRemainingTime_) {
+      this.reportedRemainingTime_ = remainingTime;
+      this.callEvent_('AdRemainingTimeChange');
+    }
+  }
+  this.updateSkippableState_();
+};
+
+
+/**
+ * Reports, in order, every quartile event up to percentPlayed that hasn't
+ * been reported, so none is lost when playback jumps ahead.
+ *
+ * @param {number} percentPlayed
+ * @private
+ */
+VpaidVideoPlayer.prototype.reportQuartiles_ = function(percentPlayed) {
+  while (this.nextQuartileIndex_ < this.quartileEvents_.length &&
+      percentPlayed >= this.quartileEvents_[this.nextQuartileIndex_].value) {
+    var quartileEvent = this.quartileEvents_[this.nextQuartileIndex_].event;
     this.nextQuartileIndex_ += 1;
+    this.callEvent_(quartileEvent);
   }
-  if (this.videoSlot_.duration > 0) {
-    this.attributes_['remainingTime'] =
-      this.videoSlot_.duration - this.videoSlot_.currentTime;
+};
+
+
+/**
+ * Called by the video element when the ad video ends. The last timeupdate
+ * may come short of the end, so the remaining quartiles are reported before
+ * the ad stops.
+ * @private
+ */
+VpaidVideoPlayer.prototype.endedHandler_ = function() {
+  if (this.started_ && !this.stopped_) {
+    this.reportQuartiles_(100);
+  }
+  this.stopAd();
+};
+
+
+/**
+ * Called when the user clicks the ad, outside its controls and overlay. A
+ * nonlinear ad is only its banner; the rest of the slot is content.
+ *
+ * @param {!Event} event
+ * @private
+ */
+VpaidVideoPlayer.prototype.clickHandler_ = function(event) {
+  if (!this.started_ || this.stopped_ ||
+      (!this.attributes_['linear'] && !this.banner_.contains(event.target))) {
+    return;
+  }
+  this.callEvent_('AdInteraction', ['click']);
+  this.clickThrough_(this.parameters_.clickThrough || '', 'click');
+};
+
+
+/**
+ * Sends AdClickThru. When the player handles it, the player opens the URL,
+ * or the VAST ClickThrough if there is none, and pauses the ad; otherwise
+ * the ad does both itself.
+ *
+ * @param {string} url
+ * @param {string} id What was clicked.
+ * @private
+ */
+VpaidVideoPlayer.prototype.clickThrough_ = function(url, id) {
+  var playerHandles = this.parameters_.playerHandles !== false;
+  this.callEvent_('AdClickThru', [url, id, playerHandles]);
+  if (!playerHandles) {
+    if (url) {
+      window.open(url, '_blank');
+    }
+    this.pauseAd();
   }
 };
 
 
+/**
+ * Draws the overlay AdParameter's buttons and form over the video. Clicks
+ * in it don't count as clicks on the ad.
+ * @private
+ */
+VpaidVideoPlayer.prototype.createOverlay_ = function() {
+  var overlay = this.parameters_.overlay;
+  if (!overlay) {
+    return;
+  }
+  this.overlay_ = document.createElement('div');
+  this.overlay_.style.cssText = 'position: absolute; left: 10px;' +
+      ' bottom: 10px; z-index: 1; color: #fff;';
+  this.overlay_.addEventListener('click', function(event) {
+    event.stopPropagation();
+  }, false);
+  (overlay.buttons || []).forEach(function(config) {
+    this.overlay_.appendChild(this.createButton_(config.label, function() {
+      this.callEvent_('AdInteraction', [config.id]);
+      if (config.url) {
+        this.clickThrough_(config.url, config.id);
+      }
+    }));
+  }, this);
+  if (overlay.form) {
+    this.overlay_.appendChild(this.createForm_(overlay.form));
+  }
+  this.slot_.appendChild(this.overlay_);
+};
+
+
+/**
+ * @param {{id: string, fields: Array, submitLabel: string}} config
+ * @return {!Element} A form that sends AdInteraction, and logs what was
+ *     entered, when submitted. It never leaves the page.
+ * @private
+ */
+VpaidVideoPlayer.prototype.createForm_ = function(config) {
+  var form = document.createElement('form');
+  form.style.cssText = 'display: inline-block; margin-left: 5px;' +
+      ' padding: 4px; background: rgba(0, 0, 0, 0.7);';
+  (config.fields || []).forEach(function(field) {
+    var input = document.createElement('input');
+    input.name = field.name;
+    input.placeholder = field.label;
+    input.setAttribute('aria-label', field.label);
+    input.style.marginRight = '5px';
+    form.appendChild(input);
+  });
+  var submit = document.createElement('button');
+  submit.type = 'submit';
+  submit.textContent = config.submitLabel || 'Submit';
+  form.appendChild(submit);
+  form.addEventListener('submit', function(event) {
+    event.preventDefault();
+    var values = [];
+    for (var i = 0; i < form.elements.length; i++) {
+      if (form.elements[i].name) {
+        values.push(form.elements[i].name + '=' + form.elements[i].value);
+      }
+    }
+    this.callEvent_('AdInteraction', [config.id]);
+    this.log('Form ' + config.id + ' submitted: ' + values.join(', '));
+  }.bind(this), false);
+  return form;
+};
+
+
+/**
+ * Creates a button for the slot. Clicks on it don't count as clicks on the
+ * ad.
+ *
+ * @param {string} text
+ * @param {Function} handler Called with the ad as this.
+ * @return {!Element}
+ * @private
+ */
+VpaidVideoPlayer.prototype.createButton_ = function(text, handler) {
+  var button = document.createElement('button');
+  button.textContent = text;
+  button.style.cssText = 'margin-left: 5px; padding: 8px 12px;' +
+      ' border: none; background: rgba(0, 0, 0, 0.7); color: #fff;' +
+      ' cursor: pointer;';
+  button.addEventListener('click', function(event) {
+    event.stopPropagation();
+    handler.call(this);
+  }.bind(this), false);
+  return button;
+};
+
+
+/**
+ * Draws the minimize and close controls in the top corner of the slot.
+ * @private
+ */
+VpaidVideoPlayer.prototype.createControls_ = function() {
+  this.controls_ = document.createElement('div');
+  this.controls_.style.cssText =
+      'position: absolute; top: 10px; right: 10px; z-index: 1;';
+  this.minimizeButton_ =
+      this.createButton_('Minimize', this.minimizeHandler_);
+  this.controls_.appendChild(this.minimizeButton_);
+  this.controls_.appendChild(this.createButton_('Close', this.closeHandler_));
+  this.slot_.appendChild(this.controls_);
+};
+
+
+/**
+ * Minimizes the ad, or restores it if it is minimized.
+ * @private
+ */
+VpaidVideoPlayer.prototype.minimizeHandler_ = function() {
+  this.minimized_ = !this.minimized_;
+  this.minimizeButton_.textContent = this.minimized_ ? 'Restore' : 'Minimize';
+  if (this.minimized_) {
+    this.callEvent_('AdInteraction', ['minimize']);
+    this.callEvent_('AdUserMinimize');
+    this.collapseAd();
+  } else {
+    this.callEvent_('AdInteraction', ['restore']);
+    this.callEvent_('AdUserAcceptInvitation');
+    this.expandAd();
+  }
+};
+
+
+/**
+ * Closes the ad for the user.
+ * @private
+ */
+VpaidVideoPlayer.prototype.closeHandler_ = function() {
+  this.callEvent_('AdInteraction', ['close']);
+  this.callEvent_('AdUserClose');
+  this.stopAd();
+};
+
+
+/**
+ * Draws the nonlinear ad's banner at the bottom of the slot.
+ * @private
+ */
+VpaidVideoPlayer.prototype.createBanner_ = function() {
+  var banner = this.parameters_.banner || {};
+  this.banner_ = document.createElement('div');
+  this.banner_.style.cssText = 'position: absolute; left: 0; right: 0;' +
+      ' bottom: 0; z-index: 1; box-sizing: border-box; padding: 10px;' +
+      ' overflow: hidden; background: rgba(0, 0, 0, 0.7); color: #fff;' +
+      ' cursor: pointer;';
+  var text = document.createElement('span');
+  text.textContent = banner.text || 'Sample nonlinear ad';
+  this.banner_.appendChild(text);
+  this.banner_.appendChild(this.createButton_('Watch', function() {
+    this.callEvent_('AdInteraction', ['watch']);
+    this.callEvent_('AdUserAcceptInvitation');
+    this.becomeLinear_();
+  }));
+  this.expandButton_ = this.createButton_('Expand', function() {
+    if (this.attributes_['expanded']) {
+      this.callEvent_('AdInteraction', ['collapse']);
+      this.collapseAd();
+    } else {
+      this.callEvent_('AdInteraction', ['expand']);
+      this.expandAd();
+    }
+  });
+  this.banner_.appendChild(this.expandButton_);
+  this.banner_.appendChild(this.createButton_('Close', this.closeHandler_));
+  this.bannerDetails_ = document.createElement('p');
+  this.bannerDetails_.textContent = banner.expandedText || '';
+  this.banner_.appendChild(this.bannerDetails_);
+  this.slot_.appendChild(this.banner_);
+  this.updateLayout_();
+};
+
+
+/**
+ * Turns the nonlinear ad into a linear one: the banner goes, the player is
+ * told with AdLinearChange, so it pauses the content, and the video plays.
+ * @private
+ */
+VpaidVideoPlayer.prototype.becomeLinear_ = function() {
+  this.banner_.parentNode.removeChild(this.banner_);
+  this.banner_ = null;
+  this.bannerDetails_ = null;
+  this.expandButton_ = null;
+  this.attributes_['expanded'] = false;
+  this.setLinear_(true);
+  if (this.videoSlot_) {
+    this.savedContent_ = {
+      src: this.videoSlot_.getAttribute('src'),
+      currentTime: this.videoSlot_.currentTime,
+      volume: this.videoSlot_.volume,
+      muted: this.videoSlot_.muted
+    };
+  }
+  if (this.loadVideo_()) {
+    this.startVideo_();
+  } else {
+    // The ad never played in the slot, so the content is still there.
+    this.savedContent_ = null;
+  }
+};
+
+
+/**
+ * @param {boolean} linear
+ * @private
+ */
+VpaidVideoPlayer.prototype.setLinear_ = function(linear) {
+  if (linear != this.attributes_['linear']) {
+    this.attributes_['linear'] = linear;
+    this.callEvent_('AdLinearChange');
+  }
+};
+
+
+/**
+ * Lays the ad out for its size and state: the video fills the slot, or a
+ * third of it while minimized, and the banner is a strip along the bottom,
+ * or half the slot while expanded.
+ * @private
+ */
+VpaidVideoPlayer.prototype.updateLayout_ = function() {
+  if (this.attributes_['linear']) {
+    this.updateVideoPlayerSize_();
+  } else if (this.banner_) {
+    var expanded = this.attributes_['expanded'];
+    this.banner_.style.height = expanded ?
+        Math.round(this.attributes_['height'] / 2) + 'px' : '';
+    this.bannerDetails_.style.display = expanded ? 'block' : 'none';
+    this.expandButton_.textContent = expanded ? 'Collapse' : 'Expand';
+  }
+};
+
+
+/**
+ * Draws the skip button in the slot, disabled until the skip offset.
+ * @private
+ */
+VpaidVideoPlayer.prototype.createSkipButton_ = function() {
+  this.skipButton_ = this.createButton_('', function() {
+    this.callEvent_('AdInteraction', ['skip']);
+    this.skipAd();
+  });
+  this.skipButton_.disabled = true;
+  this.skipButton_.style.position = 'absolute';
+  this.skipButton_.style.right = '10px';
+  this.skipButton_.style.bottom = '10px';
+  this.skipButton_.style.zIndex = '1';
+  this.slot_.appendChild(this.skipButton_);
+  this.updateSkippableState_();
+};
+
+
+/**
+ * Takes the ad's controls, overlay, skip button and banner out of the slot.
+ * @private
+ */
+VpaidVideoPlayer.prototype.removeControls_ = function() {
+  var elements = [this.controls_, this.overlay_, this.skipButton_,
+                  this.banner_];
+  elements.forEach(function(element) {
+    if (element && element.parentNode) {
+      element.parentNode.removeChild(element);
+    }
+  });
+  this.controls_ = null;
+  this.overlay_ = null;
+  this.banner_ = null;
+  this.bannerDetails_ = null;
+  this.expandButton_ = null;
+  this.minimizeButton_ = null;
+  this.skipButton_ = null;
+};
+
+
+/**
+ * Counts down to the skip offset on the skip button, then makes the ad
+ * skippable and tells the player.
+ * @private
+ */
+VpaidVideoPlayer.prototype.updateSkippableState_ = function() {
+  if (!this.skipButton_ || this.attributes_['skippableState']) {
+    return;
+  }
+  var untilSkippable = this.skipOffset_ - this.videoSlot_.currentTime;
+  if (untilSkippable > 0) {
+    this.skipButton_.textContent = 'Skip in ' + Math.ceil(untilSkippable);
+    return;
+  }
+  this.skipButton_.textContent = 'Skip ad';
+  this.skipButton_.disabled = false;
+  this.attributes_['skippableState'] = true;
+  this.callEvent_('AdSkippableStateChange');
+};
+
+
 /**
  * Creates or updates the video slot and fills it with a supported video.
+ * @return {boolean} False, after sending AdError, if no video is supported.
  * @private
  */
 VpaidVideoPlayer.prototype.updateVideoSlot_ = function() {
@@ -186,20 +756,61 @@ VpaidVideoPlayer.prototype.updateVideoSlot_ = function() {
     this.slot_.appendChild(this.videoSlot_);
   }
   this.updateVideoPlayerSize_();
-  var foundSource = false;
+  var rendition = null;
   var videos = this.parameters_.videos || [];
   for (var i = 0; i < videos.length; i++) {
-    // Choose the first video with a supported mimetype.
-    if (this.videoSlot_.canPlayType(videos[i].mimetype) != '') {
-      this.videoSlot_.setAttribute('src', videos[i].url);
-      foundSource = true;
-      break;
+    if (this.videoSlot_.canPlayType(videos[i].mimetype) != '' &&
+        (!rendition || this.compareRenditions_(videos[i], rendition) < 0)) {
+      rendition = videos[i];
+    }
+  }
+  if (rendition) {
+    this.log('Playing ' + rendition.url);
+    this.videoSlot_.setAttribute('src', rendition.url);
+    return true;
+  }
+  // Unable to find a source video.
+  this.callEvent_('AdError', ['No playable video in AdParameters']);
+  return false;
+};
+
+
+/**
+ * Orders renditions best first: one that fits the slot before one larger
+ * than it, or the smaller of two that don't fit; then one within
+ * desiredBitrate before one above it; then the higher bitrate of two within
+ * it, or the lower of two above it. A rendition without dimensions fits, and
+ * one without a bitrate is within desiredBitrate.
+ *
+ * @param {!Object} a A rendition from AdParameters.
+ * @param {!Object} b Another one.
+ * @return {number} Negative if a is better, positive if b is.
+ * @private
+ */
+VpaidVideoPlayer.prototype.compareRenditions_ = function(a, b) {
+  var width = this.attributes_['width'];
+  var height = this.attributes_['height'];
+  var fits = function(video) {
+    return !(video.width > width) && !(video.height > height);
+  };
+  if (fits(a) != fits(b)) {
+    return fits(a) ? -1 : 1;
+  }
+  if (!fits(a)) {
+    var area = (a.width || 0) * (a.height || 0) -
+        (b.width || 0) * (b.height || 0);
+    if (area != 0) {
+      return area;
     }
   }
-  if (!foundSource) {
-    // Unable to find a source video.
-    this.callEvent_('AdError');
+  var desiredBitrate = this.attributes_['desiredBitrate'];
+  var bitrateA = a.bitrate || 0;
+  var bitrateB = b.bitrate || 0;
+  var withinA = bitrateA <= desiredBitrate;
+  if (withinA != (bitrateB <= desiredBitrate)) {
+    return withinA ? -1 : 1;
   }
+  return withinA ? bitrateB - bitrateA : bitrateA - bitrateB;
 };
 
 
@@ -208,8 +819,11 @@ VpaidVideoPlayer.prototype.updateVideoSlot_ = function() {
  * @private
  */
 VpaidVideoPlayer.prototype.updateVideoPlayerSize_ = function() {
-  this.videoSlot_.setAttribute('width', this.attributes_['width']);
-  this.videoSlot_.setAttribute('height', this.attributes_['height']);
+  var scale = this.minimized_ ? 1 / 3 : 1;
+  this.videoSlot_.setAttribute(
+      'width', Math.round(this.attributes_['width'] * scale));
+  this.videoSlot_.setAttribute(
+      'height', Math.round(this.attributes_['height'] * scale));
 };
 
 
@@ -217,10 +831,34 @@ VpaidVideoPlayer.prototype.updateVideoPlayerSize_ = function() {
  * Called by the wrapper to start the ad.
  */
 VpaidVideoPlayer.prototype.startAd = function() {
+  if (this.started_) {
+    return;
+  }
+  this.started_ = true;
   this.log('Starting ad');
-  this.videoSlot_.play();
+  if (this.attributes_['linear']) {
+    this.startVideo_();
+  } else {
+    this.createBanner_();
+  }
 
   this.callEvent_('AdStarted');
+  // The ad is on screen now; AdVideoStart follows once the video plays.
+  this.callEvent_('AdImpression');
+};
+
+
+/**
+ * Plays the video, with the controls, overlay and skip button over it.
+ * @private
+ */
+VpaidVideoPlayer.prototype.startVideo_ = function() {
+  this.videoSlot_.play();
+  this.createControls_();
+  this.createOverlay_();
+  if (this.skipOffset_ >= 0) {
+    this.createSkipButton_();
+  }
 };
 
 
@@ -228,11 +866,19 @@ VpaidVideoPlayer.prototype.startAd = function() {
  * Called by the wrapper to stop the ad.
  */
 VpaidVideoPlayer.prototype.stopAd = function() {
+  if (this.stopped_) {
+    return;
+  }
+  this.stopped_ = true;
   this.log('Stopping ad');
+  if (this.attributes_['linear']) {
+    this.videoSlot_.pause();
+    this.releaseVideoSlot_();
+  }
+  this.removeControls_();
   // Calling AdStopped immediately terminates the ad. Setting a timeout allows
   // events to go through.
-  var callback = this.callEvent_.bind(this);
-  setTimeout(callback, 75, ['AdStopped']);
+  setTimeout(this.callEvent_.bind(this, 'AdStopped'), 75);
 };
 
 
@@ -248,7 +894,7 @@ VpaidVideoPlayer.prototype.resizeAd = function(width, height, viewMode) {
   this.attributes_['width'] = width;
   this.attributes_['height'] = height;
   this.attributes_['viewMode'] = viewMode;
-  this.updateVideoPlayerSize_();
+  this.updateLayout_();
   this.callEvent_('AdSizeChange');
 };
 
@@ -258,7 +904,9 @@ VpaidVideoPlayer.prototype.resizeAd = function(width, height, viewMode) {
  */
 VpaidVideoPlayer.prototype.pauseAd = function() {
   this.log('pauseAd');
-  this.videoSlot_.pause();
+  if (this.attributes_['linear']) {
+    this.videoSlot_.pause();
+  }
   this.callEvent_('AdPaused');
 };
 
@@ -268,7 +916,9 @@ VpaidVideoPlayer.prototype.pauseAd = function() {
  */
 VpaidVideoPlayer.prototype.resumeAd = function() {
   this.log('resumeAd');
-  this.videoSlot_.play();
+  if (this.attributes_['linear']) {
+    this.videoSlot_.play();
+  }
   this.callEvent_('AdPlaying');
 };
 
@@ -279,7 +929,8 @@ VpaidVideoPlayer.prototype.resumeAd = function() {
 VpaidVideoPlayer.prototype.expandAd = function() {
   this.log('expandAd');
   this.attributes_['expanded'] = true;
-  this.callEvent_('AdExpanded');
+  this.updateLayout_();
+  this.callEvent_('AdExpandedChange');
 };
 
 
@@ -289,17 +940,22 @@ VpaidVideoPlayer.prototype.expandAd = function() {
 VpaidVideoPlayer.prototype.collapseAd = function() {
   this.log('collapseAd');
   this.attributes_['expanded'] = false;
+  this.updateLayout_();
+  this.callEvent_('AdExpandedChange');
 };
 
 
 /**
- * Skips the ad.
+ * Skips the ad, if it is skippable yet: sends AdSkipped, then stops the ad,
+ * sending AdStopped, for players that only wait for that.
  */
 VpaidVideoPlayer.prototype.skipAd = function() {
   this.log('skipAd');
   var skippableState = this.attributes_['skippableState'];
-  if (skippableState) {
+  if (skippableState && !this.stopped_) {
+    this.videoSlot_.pause();
     this.callEvent_('AdSkipped');
+    this.stopAd();
   }
 };
 
@@ -367,7 +1023,6 @@ VpaidVideoPlayer.prototype.getAdHeight = function() {
  * @return {boolean}
  */
 VpaidVideoPlayer.prototype.getAdExpanded = function() {
-  this.log('getAdExpanded');
   return this.attributes_['expanded'];
 };
 
@@ -378,7 +1033,6 @@ VpaidVideoPlayer.prototype.getAdExpanded = function() {
  * @return {boolean}
  */
 VpaidVideoPlayer.prototype.getAdSkippableState = function() {
-  this.log('getAdSkippableState');
   return this.attributes_['skippableState'];
 };
 
@@ -409,7 +1063,6 @@ VpaidVideoPlayer.prototype.getAdDuration = function() {
  * @return {number} The volume of the ad.
  */
 VpaidVideoPlayer.prototype.getAdVolume = function() {
-  this.log('getAdVolume');
   return this.attributes_['volume'];
 };
 
@@ -417,12 +1070,51 @@ VpaidVideoPlayer.prototype.getAdVolume = function() {
 /**
  * Sets the ad volume.
  *
- * @param {number} value The volume in percentage.
+ * @param {number} value The volume, from 0, muted, to 1.
  */
 VpaidVideoPlayer.prototype.setAdVolume = function(value) {
-  this.attributes_['volume'] = value;
   this.log('setAdVolume ' + value);
-  this.callEvent_('AdVolumeChange');
+  this.setVolume_(Math.min(Math.max(Number(value) || 0, 0), 1));
+  this.applyVolume_();
+};
+
+
+/**
+ * @param {number} volume
+ * @private
+ */
+VpaidVideoPlayer.prototype.setVolume_ = function(volume) {
+  if (volume != this.attributes_['volume']) {
+    this.attributes_['volume'] = volume;
+    this.callEvent_('AdVolumeChange');
+  }
+};
+
+
+/**
+ * Plays the video at the ad volume. Until a nonlinear ad turns linear the
+ * video slot holds the content, which is left alone.
+ * @private
+ */
+VpaidVideoPlayer.prototype.applyVolume_ = function() {
+  if (!this.attributes_['linear'] || !this.videoSlot_) {
+    return;
+  }
+  var volume = this.attributes_['volume'];
+  this.videoSlot_.muted = volume == 0;
+  if (volume > 0) {
+    this.videoSlot_.volume = volume;
+  }
+};
+
+
+/**
+ * Called when the video's volume changes, e.g. through its own controls. The
+ * ad's own changes come back here too, and match the ad volume by then.
+ * @private
+ */
+VpaidVideoPlayer.prototype.volumeChangeHandler_ = function() {
+  this.setVolume_(this.videoSlot_.muted ? 0 : this.videoSlot_.volume);
 };
 
 
@@ -453,6 +1145,7 @@ VpaidVideoPlayer.prototype.getAdIcons = function() {
  */
 VpaidVideoPlayer.prototype.log = function(message) {
   console.log(message);
+  this.callEvent_('AdLog', [message]);
 };
 
 
@@ -460,11 +1153,18 @@ VpaidVideoPlayer.prototype.log = function(message) {
  * Calls an event if there is a callback.
  *
  * @param {string} eventType
+ * @param {Array=} args The event's arguments, e.g. url, id and playerHandles
+ *     for AdClickThru.
  * @private
  */
-VpaidVideoPlayer.prototype.callEvent_ = function(eventType) {
-  if (eventType in this.eventsCallbacks_) {
-    this.eventsCallbacks_[eventType]();
+VpaidVideoPlayer.prototype.callEvent_ = function(eventType, args) {
+  if (this.adStoppedSent_) {
+    return;
+  }
+  this.adStoppedSent_ = eventType == 'AdStopped';
+  // Unsubscribed events are left as null.
+  if (this.eventsCallbacks_[eventType]) {
+    this.eventsCallbacks_[eventType].apply(null, args || []);
   }
 };
 